@@ -0,0 +1,140 @@
+require('dotenv').config();
+const { Pool } = require('pg');
+const path = require('path');
+const fs = require('fs');
+
+// Database migration runner
+//
+//   node migrate.js migrate          apply every pending migration
+//   node migrate.js rollback [steps] revert the last applied migration(s)
+//   node migrate.js status           list applied and pending migrations
+//
+// Migrations live in ./migrations as NNN_description.js files exporting
+// { up, down } SQL strings and are applied in filename order. Each one runs
+// in its own database transaction and is recorded in schema_migrations.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key so two deploys cannot migrate the same database at once
+const MIGRATION_LOCK_ID = 7412093;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'string' || typeof migration.down !== 'string') {
+        throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+      }
+      return { name: file.replace(/\.js$/, ''), ...migration };
+    });
+}
+
+async function getAppliedMigrations(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  const result = await client.query('SELECT name, applied_at FROM schema_migrations ORDER BY name');
+  return result.rows;
+}
+
+async function runInTransaction(client, sql, record) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await client.query(record.text, record.values);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function migrate(client) {
+  const applied = new Set((await getAppliedMigrations(client)).map(row => row.name));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.name));
+
+  if (pending.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    await runInTransaction(client, migration.up, {
+      text: 'INSERT INTO schema_migrations (name) VALUES ($1)',
+      values: [migration.name]
+    });
+    console.log(`Applied ${migration.name}`);
+  }
+}
+
+async function rollback(client, steps) {
+  const migrations = new Map(loadMigrations().map(migration => [migration.name, migration]));
+  const applied = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+
+  if (applied.length === 0) {
+    console.log('No migrations to roll back');
+    return;
+  }
+
+  for (const { name } of applied) {
+    const migration = migrations.get(name);
+    if (!migration) {
+      throw new Error(`Migration file for ${name} not found; cannot roll back`);
+    }
+    await runInTransaction(client, migration.down, {
+      text: 'DELETE FROM schema_migrations WHERE name = $1',
+      values: [name]
+    });
+    console.log(`Rolled back ${name}`);
+  }
+}
+
+async function status(client) {
+  const applied = new Map((await getAppliedMigrations(client)).map(row => [row.name, row.applied_at]));
+
+  for (const { name } of loadMigrations()) {
+    const appliedAt = applied.get(name);
+    console.log(`${appliedAt ? 'applied' : 'pending'}  ${name}${appliedAt ? `  (${appliedAt.toISOString()})` : ''}`);
+  }
+}
+
+async function main() {
+  const [command = 'status', stepsArg] = process.argv.slice(2);
+  const commands = {
+    migrate: client => migrate(client),
+    rollback: client => rollback(client, parseInt(stepsArg, 10) || 1),
+    status: client => status(client)
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use migrate, rollback or status.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await commands[command](client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    client.release();
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Migration error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,26 @@
+module.exports = {
+  up: `
+    CREATE TABLE users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      phone_number VARCHAR(20),
+      firebase_uid VARCHAR(128),
+      balance NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      language VARCHAR(10) NOT NULL DEFAULT 'en',
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ,
+      CONSTRAINT users_username_key UNIQUE (username),
+      CONSTRAINT users_email_key UNIQUE (email),
+      CONSTRAINT users_firebase_uid_key UNIQUE (firebase_uid),
+      CONSTRAINT users_balance_check CHECK (balance >= 0)
+    );
+
+    CREATE INDEX users_phone_number_idx ON users (phone_number);
+    CREATE INDEX users_created_at_idx ON users (created_at DESC);
+  `,
+  down: `
+    DROP TABLE users;
+  `
+};
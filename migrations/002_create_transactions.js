@@ -0,0 +1,39 @@
+module.exports = {
+  up: `
+    CREATE TABLE transactions (
+      id SERIAL PRIMARY KEY,
+      -- NULL for direct (guest) airtime purchases paid by STK push
+      user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      type VARCHAR(30) NOT NULL,
+      amount NUMERIC(12, 2) NOT NULL,
+      bonus INTEGER NOT NULL DEFAULT 0,
+      phone_number VARCHAR(20),
+      recipient_phone VARCHAR(20),
+      reference VARCHAR(50) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      airtime_sent INTEGER,
+      mpesa_receipt VARCHAR(30),
+      statum_request_id VARCHAR(100),
+      failure_reason TEXT,
+      refund_reference VARCHAR(50),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      completed_at TIMESTAMPTZ,
+      CONSTRAINT transactions_reference_key UNIQUE (reference),
+      CONSTRAINT transactions_amount_check CHECK (amount > 0),
+      CONSTRAINT transactions_type_check CHECK (type IN ('deposit', 'airtime', 'direct_airtime')),
+      CONSTRAINT transactions_status_check CHECK (
+        status IN ('pending', 'processing', 'completed', 'failed', 'refund_pending', 'refunded')
+      ),
+      CONSTRAINT transactions_user_required_check CHECK (type = 'direct_airtime' OR user_id IS NOT NULL)
+    );
+
+    CREATE INDEX transactions_user_id_created_at_idx ON transactions (user_id, created_at DESC);
+    CREATE INDEX transactions_status_created_at_idx ON transactions (status, created_at);
+    CREATE INDEX transactions_statum_request_id_idx ON transactions (statum_request_id);
+    CREATE UNIQUE INDEX transactions_mpesa_receipt_key ON transactions (mpesa_receipt)
+      WHERE mpesa_receipt IS NOT NULL;
+  `,
+  down: `
+    DROP TABLE transactions;
+  `
+};
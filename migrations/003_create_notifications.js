@@ -0,0 +1,18 @@
+module.exports = {
+  up: `
+    CREATE TABLE notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      title VARCHAR(255) NOT NULL,
+      message TEXT NOT NULL,
+      type VARCHAR(30) NOT NULL,
+      is_read BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX notifications_user_id_created_at_idx ON notifications (user_id, created_at DESC);
+  `,
+  down: `
+    DROP TABLE notifications;
+  `
+};
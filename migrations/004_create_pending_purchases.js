@@ -0,0 +1,18 @@
+module.exports = {
+  up: `
+    CREATE TABLE pending_purchases (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      phone_number VARCHAR(20) NOT NULL,
+      amount NUMERIC(12, 2) NOT NULL,
+      type VARCHAR(20) NOT NULL DEFAULT 'airtime',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CONSTRAINT pending_purchases_amount_check CHECK (amount > 0)
+    );
+
+    CREATE INDEX pending_purchases_user_id_idx ON pending_purchases (user_id, created_at DESC);
+  `,
+  down: `
+    DROP TABLE pending_purchases;
+  `
+};
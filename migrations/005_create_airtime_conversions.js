@@ -0,0 +1,25 @@
+module.exports = {
+  up: `
+    CREATE TABLE airtime_conversions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      amount NUMERIC(12, 2) NOT NULL,
+      cashback_amount INTEGER NOT NULL,
+      phone_number VARCHAR(20),
+      reference VARCHAR(50) NOT NULL,
+      status VARCHAR(30) NOT NULL DEFAULT 'pending',
+      verification_code VARCHAR(50),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      verified_at TIMESTAMPTZ,
+      completed_at TIMESTAMPTZ,
+      CONSTRAINT airtime_conversions_reference_key UNIQUE (reference),
+      CONSTRAINT airtime_conversions_amount_check CHECK (amount > 0)
+    );
+
+    CREATE INDEX airtime_conversions_user_id_idx ON airtime_conversions (user_id, created_at DESC);
+    CREATE INDEX airtime_conversions_status_idx ON airtime_conversions (status, created_at);
+  `,
+  down: `
+    DROP TABLE airtime_conversions;
+  `
+};
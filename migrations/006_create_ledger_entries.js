@@ -0,0 +1,48 @@
+module.exports = {
+  up: `
+    -- Append-only double-entry ledger. Every movement is a journal of two or
+    -- more entries whose amounts sum to zero: the user's wallet leg plus the
+    -- system account it moved to or from.
+    CREATE TABLE ledger_entries (
+      id BIGSERIAL PRIMARY KEY,
+      journal_id UUID NOT NULL,
+      account VARCHAR(50) NOT NULL,
+      user_id INTEGER REFERENCES users (id) ON DELETE RESTRICT,
+      transaction_id INTEGER REFERENCES transactions (id) ON DELETE RESTRICT,
+      entry_type VARCHAR(30) NOT NULL,
+      amount NUMERIC(12, 2) NOT NULL,
+      balance_after NUMERIC(12, 2),
+      description TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CONSTRAINT ledger_entries_amount_check CHECK (amount <> 0),
+      CONSTRAINT ledger_entries_wallet_user_check CHECK ((account = 'wallet') = (user_id IS NOT NULL))
+    );
+
+    CREATE INDEX ledger_entries_user_id_idx ON ledger_entries (user_id, id DESC) WHERE user_id IS NOT NULL;
+    CREATE INDEX ledger_entries_journal_id_idx ON ledger_entries (journal_id);
+    CREATE INDEX ledger_entries_transaction_id_idx ON ledger_entries (transaction_id);
+
+    CREATE FUNCTION ledger_entries_immutable() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'ledger_entries is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER ledger_entries_no_update_or_delete
+      BEFORE UPDATE OR DELETE ON ledger_entries
+      FOR EACH ROW EXECUTE FUNCTION ledger_entries_immutable();
+
+    -- Open the ledger with each user's existing balance so it reconciles from day one
+    INSERT INTO ledger_entries (journal_id, account, user_id, entry_type, amount, balance_after, description)
+    SELECT journal_id, 'wallet', id, 'opening_balance', balance, balance, 'Opening balance'
+    FROM (SELECT gen_random_uuid() AS journal_id, id, balance FROM users WHERE balance <> 0) opening;
+
+    INSERT INTO ledger_entries (journal_id, account, entry_type, amount, description)
+    SELECT journal_id, 'opening_balance', 'opening_balance', -amount, 'Opening balance'
+    FROM ledger_entries WHERE entry_type = 'opening_balance' AND account = 'wallet';
+  `,
+  down: `
+    DROP TABLE ledger_entries;
+    DROP FUNCTION ledger_entries_immutable();
+  `
+};
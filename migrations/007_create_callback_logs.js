@@ -0,0 +1,30 @@
+module.exports = {
+  up: `
+    -- Every raw provider callback delivery, kept for audit. A delivery only
+    -- takes effect once it claims its idempotency key (status 'processing'
+    -- or 'processed'); later deliveries of the same key are 'duplicate'.
+    CREATE TABLE callback_logs (
+      id BIGSERIAL PRIMARY KEY,
+      provider VARCHAR(20) NOT NULL,
+      idempotency_key VARCHAR(150) NOT NULL,
+      remote_ip VARCHAR(45),
+      headers JSONB NOT NULL DEFAULT '{}',
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'received',
+      outcome VARCHAR(50),
+      error TEXT,
+      received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      processed_at TIMESTAMPTZ,
+      CONSTRAINT callback_logs_status_check CHECK (
+        status IN ('received', 'rejected', 'processing', 'processed', 'duplicate', 'failed')
+      )
+    );
+
+    CREATE UNIQUE INDEX callback_logs_idempotency_key ON callback_logs (provider, idempotency_key)
+      WHERE status IN ('processing', 'processed');
+    CREATE INDEX callback_logs_received_at_idx ON callback_logs (provider, received_at DESC);
+  `,
+  down: `
+    DROP TABLE callback_logs;
+  `
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  up: `
+    ALTER TABLE transactions DROP CONSTRAINT transactions_status_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_status_check CHECK (
+      status IN ('pending', 'processing', 'completed', 'failed', 'expired', 'refund_pending', 'refunded')
+    );
+
+    CREATE TABLE reconciliation_runs (
+      id SERIAL PRIMARY KEY,
+      trigger VARCHAR(20) NOT NULL,
+      checked INTEGER NOT NULL DEFAULT 0,
+      changes JSONB NOT NULL DEFAULT '[]',
+      needs_review JSONB NOT NULL DEFAULT '[]',
+      error TEXT,
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ
+    );
+
+    CREATE INDEX reconciliation_runs_started_at_idx ON reconciliation_runs (started_at DESC);
+  `,
+  down: `
+    DROP TABLE reconciliation_runs;
+
+    UPDATE transactions SET status = 'failed' WHERE status = 'expired';
+    ALTER TABLE transactions DROP CONSTRAINT transactions_status_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_status_check CHECK (
+      status IN ('pending', 'processing', 'completed', 'failed', 'refund_pending', 'refunded')
+    );
+  `
+};
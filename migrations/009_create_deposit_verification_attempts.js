@@ -0,0 +1,20 @@
+module.exports = {
+  up: `
+    CREATE TABLE deposit_verification_attempts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      mpesa_code VARCHAR(30) NOT NULL,
+      transaction_id INTEGER REFERENCES transactions (id) ON DELETE SET NULL,
+      success BOOLEAN NOT NULL,
+      reason VARCHAR(100),
+      remote_ip VARCHAR(45),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX deposit_verification_attempts_user_id_idx
+      ON deposit_verification_attempts (user_id, created_at DESC);
+  `,
+  down: `
+    DROP TABLE deposit_verification_attempts;
+  `
+};
@@ -0,0 +1,38 @@
+module.exports = {
+  up: `
+    -- 'auto' buys outstanding purchases as soon as a deposit lands,
+    -- 'confirm' asks the user to confirm them with one tap
+    ALTER TABLE users ADD COLUMN pending_purchase_mode VARCHAR(10) NOT NULL DEFAULT 'confirm'
+      CONSTRAINT users_pending_purchase_mode_check CHECK (pending_purchase_mode IN ('auto', 'confirm'));
+
+    ALTER TABLE pending_purchases
+      ADD COLUMN status VARCHAR(25) NOT NULL DEFAULT 'pending',
+      ADD COLUMN transaction_id INTEGER REFERENCES transactions (id) ON DELETE SET NULL,
+      ADD COLUMN failure_reason TEXT,
+      ADD COLUMN expires_at TIMESTAMPTZ,
+      ADD COLUMN resolved_at TIMESTAMPTZ,
+      ADD CONSTRAINT pending_purchases_status_check CHECK (
+        status IN ('pending', 'awaiting_confirmation', 'processing', 'fulfilled', 'failed', 'cancelled', 'expired')
+      );
+
+    -- Structured payload for actionable notifications, e.g. the purchase to confirm
+    ALTER TABLE notifications ADD COLUMN data JSONB;
+
+    UPDATE pending_purchases SET expires_at = created_at + INTERVAL '24 hours';
+    ALTER TABLE pending_purchases ALTER COLUMN expires_at SET NOT NULL;
+
+    CREATE INDEX pending_purchases_open_idx ON pending_purchases (user_id, created_at)
+      WHERE status IN ('pending', 'awaiting_confirmation');
+  `,
+  down: `
+    DROP INDEX pending_purchases_open_idx;
+    ALTER TABLE pending_purchases
+      DROP COLUMN status,
+      DROP COLUMN transaction_id,
+      DROP COLUMN failure_reason,
+      DROP COLUMN expires_at,
+      DROP COLUMN resolved_at;
+    ALTER TABLE notifications DROP COLUMN data;
+    ALTER TABLE users DROP COLUMN pending_purchase_mode;
+  `
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  up: `
+    -- Which provider delivered the airtime and its request id there.
+    -- statum_request_id is still written for Statum requests.
+    ALTER TABLE transactions
+      ADD COLUMN airtime_provider VARCHAR(30),
+      ADD COLUMN provider_request_id VARCHAR(100);
+
+    UPDATE transactions
+    SET airtime_provider = 'statum', provider_request_id = statum_request_id
+    WHERE statum_request_id IS NOT NULL;
+
+    CREATE INDEX transactions_provider_request_id_idx ON transactions (airtime_provider, provider_request_id);
+  `,
+  down: `
+    DROP INDEX transactions_provider_request_id_idx;
+    ALTER TABLE transactions
+      DROP COLUMN airtime_provider,
+      DROP COLUMN provider_request_id;
+  `
+};
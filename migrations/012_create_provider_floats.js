@@ -0,0 +1,41 @@
+module.exports = {
+  up: `
+    -- Running float estimate per airtime provider. float_amount is set by an
+    -- admin and decremented as airtime is sent; NULL means it is not tracked.
+    -- Sales stop (and wallet purchases queue) once a sale would take the float
+    -- below block_threshold; admins are alerted below low_threshold.
+    CREATE TABLE provider_floats (
+      provider VARCHAR(30) PRIMARY KEY,
+      available BOOLEAN NOT NULL DEFAULT true,
+      float_amount NUMERIC(12, 2),
+      low_threshold NUMERIC(12, 2) NOT NULL DEFAULT 1000,
+      block_threshold NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      last_alert_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CONSTRAINT provider_floats_thresholds_check CHECK (low_threshold >= block_threshold AND block_threshold >= 0)
+    );
+
+    INSERT INTO provider_floats (provider) VALUES ('statum');
+
+    CREATE TABLE admin_alerts (
+      id SERIAL PRIMARY KEY,
+      type VARCHAR(30) NOT NULL,
+      message TEXT NOT NULL,
+      data JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      acknowledged_at TIMESTAMPTZ
+    );
+
+    CREATE INDEX admin_alerts_created_at_idx ON admin_alerts (created_at DESC);
+
+    -- Why a purchase is waiting: the wallet could not cover it, or the
+    -- providers had no float to send it
+    ALTER TABLE pending_purchases ADD COLUMN reason VARCHAR(25) NOT NULL DEFAULT 'insufficient_balance'
+      CONSTRAINT pending_purchases_reason_check CHECK (reason IN ('insufficient_balance', 'low_float'));
+  `,
+  down: `
+    ALTER TABLE pending_purchases DROP COLUMN reason;
+    DROP TABLE admin_alerts;
+    DROP TABLE provider_floats;
+  `
+};
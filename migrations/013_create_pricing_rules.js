@@ -0,0 +1,55 @@
+module.exports = {
+  up: `
+    -- Pricing rules replace the hard-coded bonus and rates. For a given kind,
+    -- amount, network and user segment the matching active rule with the
+    -- highest priority wins; NULL network/segment/max_amount/window bounds
+    -- match anything.
+    --   deposit_bonus  bonus_fixed and/or bonus_percent of the deposit
+    --   airtime_rate   share of the amount paid that is sent as airtime
+    --   cashback_rate  share of converted airtime paid back as cash
+    CREATE TABLE pricing_rules (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      kind VARCHAR(20) NOT NULL,
+      network VARCHAR(20),
+      user_segment VARCHAR(30),
+      min_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      max_amount NUMERIC(12, 2),
+      bonus_fixed NUMERIC(12, 2),
+      bonus_percent NUMERIC(5, 2),
+      rate NUMERIC(5, 4),
+      priority INTEGER NOT NULL DEFAULT 0,
+      starts_at TIMESTAMPTZ,
+      ends_at TIMESTAMPTZ,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ,
+      CONSTRAINT pricing_rules_kind_check CHECK (kind IN ('deposit_bonus', 'airtime_rate', 'cashback_rate')),
+      CONSTRAINT pricing_rules_amount_range_check CHECK (max_amount IS NULL OR max_amount >= min_amount),
+      CONSTRAINT pricing_rules_window_check CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at),
+      CONSTRAINT pricing_rules_rate_check CHECK (rate IS NULL OR (rate > 0 AND rate <= 1)),
+      CONSTRAINT pricing_rules_values_check CHECK (
+        (kind = 'deposit_bonus' AND (bonus_fixed IS NOT NULL OR bonus_percent IS NOT NULL))
+        OR (kind <> 'deposit_bonus' AND rate IS NOT NULL)
+      )
+    );
+
+    CREATE INDEX pricing_rules_lookup_idx ON pricing_rules (kind, priority DESC) WHERE is_active;
+
+    -- The rates that used to be hard-coded
+    INSERT INTO pricing_rules (name, kind, min_amount, bonus_fixed) VALUES ('Standard deposit bonus', 'deposit_bonus', 50, 6);
+    INSERT INTO pricing_rules (name, kind, rate) VALUES ('Standard airtime rate', 'airtime_rate', 0.9);
+    INSERT INTO pricing_rules (name, kind, rate) VALUES ('Standard airtime-to-cash rate', 'cashback_rate', 0.8);
+
+    ALTER TABLE users ADD COLUMN segment VARCHAR(30) NOT NULL DEFAULT 'standard';
+
+    ALTER TABLE transactions ADD COLUMN pricing_rule_id INTEGER REFERENCES pricing_rules (id);
+    ALTER TABLE airtime_conversions ADD COLUMN pricing_rule_id INTEGER REFERENCES pricing_rules (id);
+  `,
+  down: `
+    ALTER TABLE airtime_conversions DROP COLUMN pricing_rule_id;
+    ALTER TABLE transactions DROP COLUMN pricing_rule_id;
+    ALTER TABLE users DROP COLUMN segment;
+    DROP TABLE pricing_rules;
+  `
+};
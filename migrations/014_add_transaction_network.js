@@ -0,0 +1,21 @@
+module.exports = {
+  up: `
+    -- Mobile network detected from the phone number: the recipient's network
+    -- for airtime, the paying number's network for deposits. Rows from before
+    -- detection existed stay NULL.
+    ALTER TABLE transactions ADD COLUMN network VARCHAR(20);
+    ALTER TABLE transactions ADD CONSTRAINT transactions_network_check
+      CHECK (network IN ('safaricom', 'airtel', 'telkom', 'equitel', 'faiba'));
+
+    ALTER TABLE airtime_conversions ADD COLUMN network VARCHAR(20);
+    ALTER TABLE airtime_conversions ADD CONSTRAINT airtime_conversions_network_check
+      CHECK (network IN ('safaricom', 'airtel', 'telkom', 'equitel', 'faiba'));
+
+    CREATE INDEX transactions_network_idx ON transactions (network, created_at);
+  `,
+  down: `
+    DROP INDEX transactions_network_idx;
+    ALTER TABLE airtime_conversions DROP COLUMN network;
+    ALTER TABLE transactions DROP COLUMN network;
+  `
+};
@@ -0,0 +1,60 @@
+module.exports = {
+  up: `
+    -- Data and SMS bundles sold at a fixed price per network. product_code is
+    -- the provider's code for the bundle.
+    CREATE TABLE bundles (
+      id SERIAL PRIMARY KEY,
+      network VARCHAR(20) NOT NULL,
+      category VARCHAR(10) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      product_code VARCHAR(50) NOT NULL,
+      price NUMERIC(12, 2) NOT NULL,
+      data_mb INTEGER,
+      sms_count INTEGER,
+      validity_hours INTEGER NOT NULL,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ,
+      CONSTRAINT bundles_network_check CHECK (network IN ('safaricom', 'airtel', 'telkom', 'equitel', 'faiba')),
+      CONSTRAINT bundles_category_check CHECK (category IN ('data', 'sms')),
+      CONSTRAINT bundles_price_check CHECK (price > 0),
+      CONSTRAINT bundles_validity_check CHECK (validity_hours > 0),
+      CONSTRAINT bundles_size_check CHECK (
+        (category = 'data' AND data_mb IS NOT NULL AND data_mb > 0)
+        OR (category = 'sms' AND sms_count IS NOT NULL AND sms_count > 0)
+      ),
+      CONSTRAINT bundles_product_unique UNIQUE (network, product_code)
+    );
+
+    CREATE INDEX bundles_catalogue_idx ON bundles (network, category, sort_order) WHERE is_active;
+
+    -- bundle: bought from the wallet; direct_bundle: paid by STK push
+    ALTER TABLE transactions ADD COLUMN bundle_id INTEGER REFERENCES bundles (id);
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime', 'bundle', 'direct_bundle'));
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_user_required_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_user_required_check
+      CHECK (type IN ('direct_airtime', 'direct_bundle') OR user_id IS NOT NULL);
+
+    ALTER TABLE transactions ADD CONSTRAINT transactions_bundle_check
+      CHECK ((type IN ('bundle', 'direct_bundle')) = (bundle_id IS NOT NULL));
+  `,
+  down: `
+    ALTER TABLE transactions DROP CONSTRAINT transactions_bundle_check;
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_user_required_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_user_required_check
+      CHECK (type = 'direct_airtime' OR user_id IS NOT NULL);
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime'));
+
+    ALTER TABLE transactions DROP COLUMN bundle_id;
+    DROP TABLE bundles;
+  `
+};
@@ -0,0 +1,49 @@
+module.exports = {
+  up: `
+    -- Bulk airtime disbursements. The batch total is debited from the
+    -- wallet when the batch is accepted; each row then becomes an ordinary
+    -- airtime transaction, and rows that fail are refunded individually.
+    CREATE TABLE airtime_batches (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id),
+      reference VARCHAR(50) NOT NULL UNIQUE,
+      name VARCHAR(100),
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      row_count INTEGER NOT NULL,
+      total_amount NUMERIC(12, 2) NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ,
+      CONSTRAINT airtime_batches_status_check CHECK (status IN ('queued', 'processing', 'completed', 'cancelled')),
+      CONSTRAINT airtime_batches_total_check CHECK (total_amount > 0)
+    );
+
+    CREATE INDEX airtime_batches_user_idx ON airtime_batches (user_id, created_at DESC);
+
+    CREATE TABLE airtime_batch_items (
+      id SERIAL PRIMARY KEY,
+      batch_id INTEGER NOT NULL REFERENCES airtime_batches (id),
+      row_number INTEGER NOT NULL,
+      phone_number VARCHAR(20) NOT NULL,
+      network VARCHAR(20),
+      amount NUMERIC(12, 2) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      transaction_id INTEGER REFERENCES transactions (id),
+      failure_reason TEXT,
+      processed_at TIMESTAMPTZ,
+      CONSTRAINT airtime_batch_items_status_check CHECK (
+        status IN ('pending', 'processing', 'completed', 'unconfirmed', 'failed', 'cancelled')
+      ),
+      CONSTRAINT airtime_batch_items_row_unique UNIQUE (batch_id, row_number)
+    );
+
+    CREATE INDEX airtime_batch_items_pending_idx ON airtime_batch_items (batch_id, row_number) WHERE status = 'pending';
+
+    ALTER TABLE transactions ADD COLUMN batch_id INTEGER REFERENCES airtime_batches (id);
+  `,
+  down: `
+    ALTER TABLE transactions DROP COLUMN batch_id;
+    DROP TABLE airtime_batch_items;
+    DROP TABLE airtime_batches;
+  `
+};
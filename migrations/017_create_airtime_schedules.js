@@ -0,0 +1,60 @@
+module.exports = {
+  up: `
+    -- Recurring (or one-off) wallet airtime purchases. Times are Nairobi
+    -- local time; next_run_at is the UTC instant the scheduler acts on.
+    CREATE TABLE airtime_schedules (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id),
+      label VARCHAR(100),
+      phone_number VARCHAR(20) NOT NULL,
+      network VARCHAR(20),
+      amount NUMERIC(12, 2) NOT NULL,
+      frequency VARCHAR(10) NOT NULL,
+      day_of_week SMALLINT,
+      day_of_month SMALLINT,
+      time_of_day TIME NOT NULL DEFAULT '08:00',
+      start_date DATE,
+      status VARCHAR(20) NOT NULL DEFAULT 'active',
+      next_run_at TIMESTAMPTZ,
+      retry_count INTEGER NOT NULL DEFAULT 0,
+      last_run_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ,
+      CONSTRAINT airtime_schedules_amount_check CHECK (amount >= 5),
+      CONSTRAINT airtime_schedules_frequency_check CHECK (frequency IN ('once', 'daily', 'weekly', 'monthly')),
+      CONSTRAINT airtime_schedules_status_check CHECK (status IN ('active', 'paused', 'completed', 'cancelled')),
+      CONSTRAINT airtime_schedules_day_of_week_check CHECK (
+        (frequency = 'weekly') = (day_of_week IS NOT NULL) AND (day_of_week IS NULL OR day_of_week BETWEEN 0 AND 6)
+      ),
+      CONSTRAINT airtime_schedules_day_of_month_check CHECK (
+        (frequency = 'monthly') = (day_of_month IS NOT NULL) AND (day_of_month IS NULL OR day_of_month BETWEEN 1 AND 31)
+      ),
+      CONSTRAINT airtime_schedules_once_check CHECK (frequency <> 'once' OR start_date IS NOT NULL)
+    );
+
+    CREATE INDEX airtime_schedules_due_idx ON airtime_schedules (next_run_at) WHERE status = 'active';
+    CREATE INDEX airtime_schedules_user_idx ON airtime_schedules (user_id);
+
+    -- One row per attempt; attempt counts retries of the same occurrence
+    CREATE TABLE airtime_schedule_runs (
+      id SERIAL PRIMARY KEY,
+      schedule_id INTEGER NOT NULL REFERENCES airtime_schedules (id),
+      scheduled_for TIMESTAMPTZ NOT NULL,
+      attempt INTEGER NOT NULL DEFAULT 1,
+      status VARCHAR(30) NOT NULL DEFAULT 'processing',
+      transaction_id INTEGER REFERENCES transactions (id),
+      message TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ,
+      CONSTRAINT airtime_schedule_runs_status_check CHECK (
+        status IN ('processing', 'completed', 'pending', 'failed', 'insufficient_balance', 'low_float', 'skipped')
+      )
+    );
+
+    CREATE INDEX airtime_schedule_runs_schedule_idx ON airtime_schedule_runs (schedule_id, created_at DESC);
+  `,
+  down: `
+    DROP TABLE airtime_schedule_runs;
+    DROP TABLE airtime_schedules;
+  `
+};
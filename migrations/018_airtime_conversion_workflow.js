@@ -0,0 +1,76 @@
+module.exports = {
+  up: `
+    -- Airtime-to-cash conversions move through
+    --   initiated -> airtime_received -> approved -> paid
+    -- and can be rejected at any step before paid.
+    UPDATE airtime_conversions SET status = CASE
+      WHEN status IN ('pending', 'pending_verification') THEN 'initiated'
+      WHEN status IN ('completed', 'paid') THEN 'paid'
+      WHEN status IN ('approved', 'airtime_received') THEN status
+      ELSE 'rejected'
+    END;
+
+    ALTER TABLE airtime_conversions ALTER COLUMN status SET DEFAULT 'initiated';
+    ALTER TABLE airtime_conversions ADD CONSTRAINT airtime_conversions_status_check
+      CHECK (status IN ('initiated', 'airtime_received', 'approved', 'paid', 'rejected'));
+
+    ALTER TABLE airtime_conversions ADD COLUMN receiving_number VARCHAR(20);
+    ALTER TABLE airtime_conversions ADD COLUMN received_at TIMESTAMPTZ;
+    ALTER TABLE airtime_conversions ADD COLUMN approved_at TIMESTAMPTZ;
+    ALTER TABLE airtime_conversions ADD COLUMN paid_at TIMESTAMPTZ;
+    ALTER TABLE airtime_conversions ADD COLUMN rejected_at TIMESTAMPTZ;
+    ALTER TABLE airtime_conversions ADD COLUMN rejection_reason TEXT;
+    ALTER TABLE airtime_conversions ADD COLUMN payout_method VARCHAR(10);
+    ALTER TABLE airtime_conversions ADD COLUMN payout_reference VARCHAR(100);
+    ALTER TABLE airtime_conversions ADD CONSTRAINT airtime_conversions_payout_method_check
+      CHECK (payout_method IN ('wallet', 'mpesa'));
+
+    -- Where customers send airtime for conversion, per network. dial_template
+    -- takes {amount} and {number} placeholders.
+    CREATE TABLE conversion_channels (
+      network VARCHAR(20) PRIMARY KEY,
+      receiving_number VARCHAR(20) NOT NULL,
+      dial_template VARCHAR(100) NOT NULL,
+      whatsapp_number VARCHAR(20),
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    -- The number and code that used to be hard-coded
+    INSERT INTO conversion_channels (network, receiving_number, dial_template, whatsapp_number)
+    VALUES ('safaricom', '0718369524', '*140*{amount}*{number}#', '+254718369524');
+
+    -- Every change an admin makes through the API
+    CREATE TABLE admin_audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor VARCHAR(100) NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(50),
+      details JSONB NOT NULL DEFAULT '{}',
+      ip_address VARCHAR(64),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX admin_audit_log_entity_idx ON admin_audit_log (entity_type, entity_id, created_at DESC);
+    CREATE INDEX admin_audit_log_created_at_idx ON admin_audit_log (created_at DESC);
+  `,
+  down: `
+    DROP TABLE admin_audit_log;
+    DROP TABLE conversion_channels;
+
+    ALTER TABLE airtime_conversions DROP CONSTRAINT airtime_conversions_payout_method_check;
+    ALTER TABLE airtime_conversions DROP COLUMN payout_reference;
+    ALTER TABLE airtime_conversions DROP COLUMN payout_method;
+    ALTER TABLE airtime_conversions DROP COLUMN rejection_reason;
+    ALTER TABLE airtime_conversions DROP COLUMN rejected_at;
+    ALTER TABLE airtime_conversions DROP COLUMN paid_at;
+    ALTER TABLE airtime_conversions DROP COLUMN approved_at;
+    ALTER TABLE airtime_conversions DROP COLUMN received_at;
+    ALTER TABLE airtime_conversions DROP COLUMN receiving_number;
+
+    ALTER TABLE airtime_conversions DROP CONSTRAINT airtime_conversions_status_check;
+    ALTER TABLE airtime_conversions ALTER COLUMN status SET DEFAULT 'pending';
+    UPDATE airtime_conversions SET status = CASE WHEN status = 'paid' THEN 'completed' WHEN status = 'initiated' THEN 'pending' ELSE status END;
+  `
+};
@@ -0,0 +1,68 @@
+module.exports = {
+  up: `
+    -- Withdrawals from the wallet to M-Pesa (B2C) are transactions of type
+    -- 'withdrawal'. amount is what is paid out and fee is charged on top; both
+    -- are debited when the withdrawal is requested and reversed if it fails
+    -- or is rejected. Withdrawals above the approval threshold wait in
+    -- awaiting_approval until an admin approves or rejects them.
+    ALTER TABLE transactions ADD COLUMN fee NUMERIC(12, 2) NOT NULL DEFAULT 0;
+    ALTER TABLE transactions ADD COLUMN payout_provider VARCHAR(20);
+    ALTER TABLE transactions ADD COLUMN payout_request_id VARCHAR(100);
+    ALTER TABLE transactions ADD COLUMN approved_at TIMESTAMPTZ;
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime', 'bundle', 'direct_bundle', 'withdrawal'));
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_status_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_status_check CHECK (
+      status IN ('pending', 'awaiting_approval', 'processing', 'completed', 'failed', 'rejected', 'expired', 'refund_pending', 'refunded')
+    );
+
+    CREATE UNIQUE INDEX transactions_payout_request_key ON transactions (payout_provider, payout_request_id)
+      WHERE payout_request_id IS NOT NULL;
+    CREATE INDEX transactions_withdrawals_idx ON transactions (user_id, created_at)
+      WHERE type = 'withdrawal';
+
+    -- withdrawal_fee: bonus_fixed and/or bonus_percent of the amount, charged as a fee
+    ALTER TABLE pricing_rules DROP CONSTRAINT pricing_rules_kind_check;
+    ALTER TABLE pricing_rules ADD CONSTRAINT pricing_rules_kind_check
+      CHECK (kind IN ('deposit_bonus', 'airtime_rate', 'cashback_rate', 'withdrawal_fee'));
+    ALTER TABLE pricing_rules DROP CONSTRAINT pricing_rules_values_check;
+    ALTER TABLE pricing_rules ADD CONSTRAINT pricing_rules_values_check CHECK (
+      (kind IN ('deposit_bonus', 'withdrawal_fee') AND (bonus_fixed IS NOT NULL OR bonus_percent IS NOT NULL))
+      OR (kind NOT IN ('deposit_bonus', 'withdrawal_fee') AND rate IS NOT NULL)
+    );
+
+    INSERT INTO pricing_rules (name, kind, min_amount, max_amount, bonus_fixed) VALUES ('Withdrawal fee up to 1,000', 'withdrawal_fee', 0, 1000, 15);
+    INSERT INTO pricing_rules (name, kind, min_amount, bonus_fixed) VALUES ('Withdrawal fee above 1,000', 'withdrawal_fee', 1000.01, 30);
+  `,
+  down: `
+    DELETE FROM pricing_rules WHERE kind = 'withdrawal_fee';
+    ALTER TABLE pricing_rules DROP CONSTRAINT pricing_rules_values_check;
+    ALTER TABLE pricing_rules ADD CONSTRAINT pricing_rules_values_check CHECK (
+      (kind = 'deposit_bonus' AND (bonus_fixed IS NOT NULL OR bonus_percent IS NOT NULL))
+      OR (kind <> 'deposit_bonus' AND rate IS NOT NULL)
+    );
+    ALTER TABLE pricing_rules DROP CONSTRAINT pricing_rules_kind_check;
+    ALTER TABLE pricing_rules ADD CONSTRAINT pricing_rules_kind_check
+      CHECK (kind IN ('deposit_bonus', 'airtime_rate', 'cashback_rate'));
+
+    DROP INDEX transactions_withdrawals_idx;
+    DROP INDEX transactions_payout_request_key;
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_status_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_status_check CHECK (
+      status IN ('pending', 'processing', 'completed', 'failed', 'expired', 'refund_pending', 'refunded')
+    );
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime', 'bundle', 'direct_bundle'));
+
+    ALTER TABLE transactions DROP COLUMN approved_at;
+    ALTER TABLE transactions DROP COLUMN payout_request_id;
+    ALTER TABLE transactions DROP COLUMN payout_provider;
+    ALTER TABLE transactions DROP COLUMN fee;
+  `
+};
@@ -0,0 +1,42 @@
+module.exports = {
+  up: `
+    -- Wallet-to-wallet transfers. Each transfer is a transfer_out transaction
+    -- on the sender and a transfer_in on the recipient, pointing at each other
+    -- through linked_transaction_id.
+    ALTER TABLE transactions ADD COLUMN counterparty_user_id INTEGER REFERENCES users (id);
+    ALTER TABLE transactions ADD COLUMN linked_transaction_id INTEGER REFERENCES transactions (id);
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime', 'bundle', 'direct_bundle', 'withdrawal', 'transfer_out', 'transfer_in'));
+
+    ALTER TABLE transactions ADD CONSTRAINT transactions_counterparty_check
+      CHECK ((type IN ('transfer_out', 'transfer_in')) = (counterparty_user_id IS NOT NULL));
+
+    CREATE INDEX transactions_transfers_out_idx ON transactions (user_id, created_at)
+      WHERE type = 'transfer_out';
+
+    -- Optional transaction PIN. Once set, transfers must be confirmed with it;
+    -- repeated wrong PINs lock it until locked_until.
+    CREATE TABLE user_pins (
+      user_id INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+      pin_hash VARCHAR(100) NOT NULL,
+      failed_attempts INTEGER NOT NULL DEFAULT 0,
+      locked_until TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ
+    );
+  `,
+  down: `
+    DROP TABLE user_pins;
+    DROP INDEX transactions_transfers_out_idx;
+    ALTER TABLE transactions DROP CONSTRAINT transactions_counterparty_check;
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime', 'bundle', 'direct_bundle', 'withdrawal'));
+
+    ALTER TABLE transactions DROP COLUMN linked_transaction_id;
+    ALTER TABLE transactions DROP COLUMN counterparty_user_id;
+  `
+};
@@ -0,0 +1,41 @@
+module.exports = {
+  up: `
+    -- Every user has a referral code to share. device_id is the app install
+    -- id sent at registration and is used to spot one person opening several
+    -- accounts.
+    ALTER TABLE users ADD COLUMN referral_code VARCHAR(12);
+    ALTER TABLE users ADD COLUMN device_id VARCHAR(100);
+    UPDATE users SET referral_code = UPPER(SUBSTRING(MD5(id::text || RANDOM()::text) FROM 1 FOR 8));
+    ALTER TABLE users ALTER COLUMN referral_code SET NOT NULL;
+    ALTER TABLE users ADD CONSTRAINT users_referral_code_key UNIQUE (referral_code);
+    CREATE INDEX users_device_id_idx ON users (device_id) WHERE device_id IS NOT NULL;
+
+    -- Who invited whom. A referral starts pending and is rewarded when the
+    -- referee's first qualifying deposit completes, or rejected when it
+    -- trips an abuse check (rejection_reason says which).
+    CREATE TABLE referrals (
+      id SERIAL PRIMARY KEY,
+      referrer_id INTEGER NOT NULL REFERENCES users (id),
+      referee_id INTEGER NOT NULL REFERENCES users (id),
+      code VARCHAR(12) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      rejection_reason VARCHAR(30),
+      reward_amount NUMERIC(12, 2),
+      qualifying_transaction_id INTEGER REFERENCES transactions (id),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      resolved_at TIMESTAMPTZ,
+      CONSTRAINT referrals_referee_key UNIQUE (referee_id),
+      CONSTRAINT referrals_not_self_check CHECK (referrer_id <> referee_id),
+      CONSTRAINT referrals_status_check CHECK (status IN ('pending', 'rewarded', 'rejected'))
+    );
+
+    CREATE INDEX referrals_referrer_idx ON referrals (referrer_id, created_at DESC);
+  `,
+  down: `
+    DROP TABLE referrals;
+    DROP INDEX users_device_id_idx;
+    ALTER TABLE users DROP CONSTRAINT users_referral_code_key;
+    ALTER TABLE users DROP COLUMN device_id;
+    ALTER TABLE users DROP COLUMN referral_code;
+  `
+};
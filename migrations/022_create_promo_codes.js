@@ -0,0 +1,72 @@
+module.exports = {
+  up: `
+    -- Marketing promo codes. value is read by kind:
+    --   credit            KES added to the wallet when the code is redeemed
+    --   deposit_bonus     percent of a deposit added on top of it, on top of
+    --                     any pricing-rule bonus
+    --   airtime_discount  percent taken off the price of wallet airtime
+    -- max_value caps the percent kinds. max_redemptions (NULL = unlimited)
+    -- caps uses across all users, max_per_user uses by one user.
+    CREATE TABLE promo_codes (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(30) NOT NULL,
+      description VARCHAR(200),
+      kind VARCHAR(20) NOT NULL,
+      value NUMERIC(12, 2) NOT NULL,
+      max_value NUMERIC(12, 2),
+      min_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      max_redemptions INTEGER,
+      max_per_user INTEGER NOT NULL DEFAULT 1,
+      redemption_count INTEGER NOT NULL DEFAULT 0,
+      starts_at TIMESTAMPTZ,
+      ends_at TIMESTAMPTZ,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ,
+      CONSTRAINT promo_codes_code_key UNIQUE (code),
+      CONSTRAINT promo_codes_code_upper_check CHECK (code = UPPER(code)),
+      CONSTRAINT promo_codes_kind_check CHECK (kind IN ('credit', 'deposit_bonus', 'airtime_discount')),
+      CONSTRAINT promo_codes_value_check CHECK (
+        value > 0 AND (kind = 'credit' OR value <= 100) AND (kind <> 'airtime_discount' OR value < 100)
+      ),
+      CONSTRAINT promo_codes_max_value_check CHECK (max_value IS NULL OR max_value > 0),
+      CONSTRAINT promo_codes_caps_check CHECK ((max_redemptions IS NULL OR max_redemptions > 0) AND max_per_user > 0),
+      CONSTRAINT promo_codes_window_check CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+    );
+
+    -- One row per use of a code, against the transaction it applied to.
+    -- A wallet airtime purchase that is refunded gives its use back
+    -- (status 'reversed').
+    CREATE TABLE promo_redemptions (
+      id SERIAL PRIMARY KEY,
+      promo_code_id INTEGER NOT NULL REFERENCES promo_codes (id),
+      user_id INTEGER NOT NULL REFERENCES users (id),
+      transaction_id INTEGER NOT NULL REFERENCES transactions (id),
+      amount NUMERIC(12, 2) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'applied',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      reversed_at TIMESTAMPTZ,
+      CONSTRAINT promo_redemptions_status_check CHECK (status IN ('applied', 'reversed')),
+      CONSTRAINT promo_redemptions_transaction_key UNIQUE (transaction_id)
+    );
+
+    CREATE INDEX promo_redemptions_code_user_idx ON promo_redemptions (promo_code_id, user_id) WHERE status = 'applied';
+
+    -- Code entered with a deposit or purchase. A deposit's bonus is only
+    -- granted, and the redemption recorded, once the payment completes.
+    ALTER TABLE transactions ADD COLUMN promo_code_id INTEGER REFERENCES promo_codes (id);
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime', 'bundle', 'direct_bundle', 'withdrawal', 'transfer_out', 'transfer_in', 'promo_credit'));
+  `,
+  down: `
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime', 'bundle', 'direct_bundle', 'withdrawal', 'transfer_out', 'transfer_in'));
+
+    ALTER TABLE transactions DROP COLUMN promo_code_id;
+    DROP TABLE promo_redemptions;
+    DROP TABLE promo_codes;
+  `
+};
@@ -0,0 +1,50 @@
+module.exports = {
+  up: `
+    -- Named admin accounts replacing the shared ADMIN_PASSWORD. role decides
+    -- which admin routes the account may use.
+    CREATE TABLE admin_users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) NOT NULL,
+      email VARCHAR(255),
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      last_login_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ,
+      CONSTRAINT admin_users_username_key UNIQUE (username),
+      CONSTRAINT admin_users_role_check CHECK (role IN ('support', 'finance', 'superadmin'))
+    );
+
+    -- Tie audit entries to the account that made them and keep the record's
+    -- state either side of the change
+    ALTER TABLE admin_audit_log
+      ADD COLUMN admin_user_id INTEGER REFERENCES admin_users (id) ON DELETE RESTRICT,
+      ADD COLUMN before_values JSONB,
+      ADD COLUMN after_values JSONB;
+
+    CREATE INDEX admin_audit_log_admin_user_id_idx ON admin_audit_log (admin_user_id, created_at DESC);
+    CREATE INDEX admin_audit_log_action_idx ON admin_audit_log (action, created_at DESC);
+
+    CREATE FUNCTION admin_audit_log_immutable() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'admin_audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER admin_audit_log_no_update_or_delete
+      BEFORE UPDATE OR DELETE ON admin_audit_log
+      FOR EACH ROW EXECUTE FUNCTION admin_audit_log_immutable();
+  `,
+  down: `
+    DROP TRIGGER admin_audit_log_no_update_or_delete ON admin_audit_log;
+    DROP FUNCTION admin_audit_log_immutable();
+    DROP INDEX admin_audit_log_action_idx;
+    DROP INDEX admin_audit_log_admin_user_id_idx;
+    ALTER TABLE admin_audit_log
+      DROP COLUMN after_values,
+      DROP COLUMN before_values,
+      DROP COLUMN admin_user_id;
+    DROP TABLE admin_users;
+  `
+};
@@ -0,0 +1,42 @@
+module.exports = {
+  up: `
+    -- Two-factor login and lockout. totp_secret is set when enrolment starts
+    -- and only enforced once totp_enabled_at is set by a verified code.
+    -- totp_last_step is the last accepted code's time step, so a code cannot
+    -- be replayed.
+    ALTER TABLE admin_users
+      ADD COLUMN totp_secret VARCHAR(64),
+      ADD COLUMN totp_enabled_at TIMESTAMPTZ,
+      ADD COLUMN totp_last_step BIGINT,
+      ADD COLUMN failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN locked_until TIMESTAMPTZ;
+
+    -- One row per login. Access tokens name their session and are refused
+    -- once it is revoked or expired; the refresh token is stored hashed and
+    -- replaced every time it is used.
+    CREATE TABLE admin_sessions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      admin_user_id INTEGER NOT NULL REFERENCES admin_users (id) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) NOT NULL,
+      ip_address VARCHAR(64),
+      user_agent VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ,
+      revoked_reason VARCHAR(50),
+      CONSTRAINT admin_sessions_refresh_token_hash_key UNIQUE (refresh_token_hash)
+    );
+
+    CREATE INDEX admin_sessions_admin_user_id_idx ON admin_sessions (admin_user_id, created_at DESC);
+  `,
+  down: `
+    DROP TABLE admin_sessions;
+    ALTER TABLE admin_users
+      DROP COLUMN locked_until,
+      DROP COLUMN failed_login_attempts,
+      DROP COLUMN totp_last_step,
+      DROP COLUMN totp_enabled_at,
+      DROP COLUMN totp_secret;
+  `
+};
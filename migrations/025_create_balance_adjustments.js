@@ -0,0 +1,43 @@
+module.exports = {
+  up: `
+    -- Admin credits and debits to a user's wallet. Each carries a reason
+    -- code; amounts above the approval threshold wait in 'pending' until a
+    -- second admin approves or rejects them. Applying one creates an
+    -- adjustment_credit or adjustment_debit transaction (transaction_id).
+    CREATE TABLE balance_adjustments (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id),
+      direction VARCHAR(10) NOT NULL,
+      amount NUMERIC(12, 2) NOT NULL,
+      reason_code VARCHAR(30) NOT NULL,
+      note TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      requested_by INTEGER NOT NULL REFERENCES admin_users (id),
+      reviewed_by INTEGER REFERENCES admin_users (id),
+      review_note TEXT,
+      transaction_id INTEGER REFERENCES transactions (id),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      reviewed_at TIMESTAMPTZ,
+      applied_at TIMESTAMPTZ,
+      CONSTRAINT balance_adjustments_direction_check CHECK (direction IN ('credit', 'debit')),
+      CONSTRAINT balance_adjustments_amount_check CHECK (amount > 0),
+      CONSTRAINT balance_adjustments_status_check CHECK (status IN ('pending', 'applied', 'rejected')),
+      -- Maker-checker: an applied adjustment was never approved by its requester
+      CONSTRAINT balance_adjustments_reviewer_check CHECK (status <> 'applied' OR reviewed_by IS NULL OR reviewed_by <> requested_by)
+    );
+
+    CREATE INDEX balance_adjustments_status_idx ON balance_adjustments (status, created_at);
+    CREATE INDEX balance_adjustments_user_id_idx ON balance_adjustments (user_id, created_at DESC);
+
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime', 'bundle', 'direct_bundle', 'withdrawal', 'transfer_out', 'transfer_in', 'promo_credit', 'adjustment_credit', 'adjustment_debit'));
+  `,
+  down: `
+    ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+    ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+      CHECK (type IN ('deposit', 'airtime', 'direct_airtime', 'bundle', 'direct_bundle', 'withdrawal', 'transfer_out', 'transfer_in', 'promo_credit'));
+
+    DROP TABLE balance_adjustments;
+  `
+};
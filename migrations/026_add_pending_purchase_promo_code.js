@@ -0,0 +1,10 @@
+module.exports = {
+  up: `
+    -- airtime_discount code entered with a purchase that was queued; it is
+    -- applied again when the purchase goes through
+    ALTER TABLE pending_purchases ADD COLUMN promo_code_id INTEGER REFERENCES promo_codes (id);
+  `,
+  down: `
+    ALTER TABLE pending_purchases DROP COLUMN promo_code_id;
+  `
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  up: `
+    -- The withdrawal that pays an M-Pesa cashback out through B2C. The
+    -- conversion stays approved until that withdrawal settles.
+    ALTER TABLE airtime_conversions ADD COLUMN payout_transaction_id INTEGER REFERENCES transactions (id);
+    CREATE UNIQUE INDEX airtime_conversions_payout_transaction_idx ON airtime_conversions (payout_transaction_id);
+  `,
+  down: `
+    DROP INDEX airtime_conversions_payout_transaction_idx;
+    ALTER TABLE airtime_conversions DROP COLUMN payout_transaction_id;
+  `
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  up: `
+    -- The worker claim that holds a bulk row while it is sent. A claim older
+    -- than the lease belongs to a process that stopped mid-send.
+    ALTER TABLE airtime_batch_items ADD COLUMN claim_token UUID;
+    ALTER TABLE airtime_batch_items ADD COLUMN claimed_at TIMESTAMPTZ;
+    CREATE INDEX airtime_batch_items_claimed_idx ON airtime_batch_items (claimed_at) WHERE status = 'processing';
+  `,
+  down: `
+    DROP INDEX airtime_batch_items_claimed_idx;
+    ALTER TABLE airtime_batch_items DROP COLUMN claimed_at;
+    ALTER TABLE airtime_batch_items DROP COLUMN claim_token;
+  `
+};
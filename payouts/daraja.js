@@ -0,0 +1,92 @@
+const axios = require('axios');
+
+// Safaricom Daraja B2C payouts
+//
+// A payment request is only acknowledged synchronously; the outcome arrives
+// later on the result URL (or the queue timeout URL if Safaricom gives up
+// waiting). Daraja's status query is itself asynchronous, so queryStatus
+// cannot tell and returns null.
+function createDarajaB2CProvider({
+  consumerKey,
+  consumerSecret,
+  shortcode,
+  initiatorName,
+  securityCredential,
+  resultUrl,
+  timeoutUrl,
+  baseUrl = 'https://api.safaricom.co.ke'
+}) {
+  let token = { value: null, expiresAt: 0 };
+
+  // OAuth tokens last an hour; refresh a minute early
+  async function accessToken() {
+    if (token.value && Date.now() < token.expiresAt) {
+      return token.value;
+    }
+    const response = await axios.get(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64')}`
+      }
+    });
+    const expiresIn = parseInt(response.data.expires_in, 10) || 3599;
+    token = { value: response.data.access_token, expiresAt: Date.now() + (expiresIn - 60) * 1000 };
+    return token.value;
+  }
+
+  return {
+    name: 'daraja',
+
+    isConfigured() {
+      return Boolean(consumerKey && consumerSecret && shortcode && initiatorName && securityCredential);
+    },
+
+    async send(phoneNumber, amount, reference) {
+      try {
+        const response = await axios.post(`${baseUrl}/mpesa/b2c/v1/paymentrequest`, {
+          InitiatorName: initiatorName,
+          SecurityCredential: securityCredential,
+          CommandID: 'BusinessPayment',
+          Amount: Math.round(amount),
+          PartyA: shortcode,
+          PartyB: phoneNumber,
+          Remarks: `Withdrawal ${reference}`,
+          QueueTimeOutURL: timeoutUrl,
+          ResultURL: resultUrl,
+          Occasion: reference
+        }, {
+          headers: {
+            'Authorization': `Bearer ${await accessToken()}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        if (String(response.data.ResponseCode) !== '0') {
+          const error = new Error(response.data.ResponseDescription || 'Payout request rejected');
+          error.response = { data: response.data };
+          throw error;
+        }
+        return { request_id: response.data.ConversationID, raw: response.data };
+      } catch (error) {
+        console.error('Daraja B2C Error:', error.response?.data || error.message);
+        throw error;
+      }
+    },
+
+    async queryStatus() {
+      return null;
+    },
+
+    parseCallback(body) {
+      const result = body.Result || {};
+      const succeeded = Number(result.ResultCode) === 0;
+      return {
+        request_id: result.ConversationID,
+        succeeded,
+        receipt: succeeded ? result.TransactionID : null,
+        description: result.ResultDesc
+      };
+    }
+  };
+}
+
+module.exports = { createDarajaB2CProvider };
@@ -0,0 +1,20 @@
+const { createDarajaB2CProvider } = require('./daraja');
+const { createMockPayoutProvider } = require('./mock');
+
+// M-Pesa payout (B2C) providers
+//
+// Every provider implements the same interface:
+//   name                              identifier stored on transactions
+//   isConfigured()                    credentials present
+//   send(phone, amount, reference)    request the payout, resolves { request_id, raw }
+//   queryStatus(requestId)            { succeeded, receipt, description } once
+//                                     final, null while open or unknown
+//   parseCallback(body)               { request_id, succeeded, receipt, description }
+//
+// Unlike airtime there is no failover: a payout that might have been accepted
+// must never be sent again through another provider.
+
+module.exports = {
+  createDarajaB2CProvider,
+  createMockPayoutProvider
+};
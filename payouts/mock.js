@@ -0,0 +1,57 @@
+const { v4: uuidv4 } = require('uuid');
+
+// In-memory payout provider for local development and tests. Nothing is
+// sent anywhere and no callback arrives; the reconciler settles payouts by
+// asking queryStatus. Behaviour is steered through the returned object:
+//   provider.failNext = 2      reject the next two payouts
+//   provider.succeed = false   report accepted payouts as failed
+//   provider.requests          every payout it accepted
+function createMockPayoutProvider({ name = 'mock' } = {}) {
+  return {
+    name,
+    failNext: 0,
+    succeed: true,
+    requests: [],
+
+    isConfigured() {
+      return true;
+    },
+
+    async send(phoneNumber, amount, reference) {
+      if (this.failNext > 0) {
+        this.failNext--;
+        const error = new Error('Mock payout provider rejected the request');
+        error.response = { status: 400, data: { message: error.message } };
+        throw error;
+      }
+      const request = {
+        request_id: `MOCKB2C-${uuidv4().substring(0, 8).toUpperCase()}`,
+        receipt: uuidv4().replace(/-/g, '').substring(0, 10).toUpperCase(),
+        phoneNumber,
+        amount,
+        reference
+      };
+      this.requests.push(request);
+      return { request_id: request.request_id, raw: request };
+    },
+
+    async queryStatus(requestId) {
+      const request = this.requests.find(r => r.request_id === requestId);
+      if (!request) {
+        return null;
+      }
+      return { succeeded: this.succeed, receipt: this.succeed ? request.receipt : null, description: this.succeed ? null : 'Mock payout failed' };
+    },
+
+    parseCallback(body) {
+      return {
+        request_id: body.request_id,
+        succeeded: body.status === 'success',
+        receipt: body.receipt || null,
+        description: body.description
+      };
+    }
+  };
+}
+
+module.exports = { createMockPayoutProvider };
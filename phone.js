@@ -0,0 +1,67 @@
+// Kenyan phone numbers
+//
+// Clients send numbers as 07XXXXXXXX, 01XXXXXXXX, 7XXXXXXXX, 2547XXXXXXXX or
+// +254 7XX XXX XXX. Everything is stored and sent to PayNecta and the airtime
+// providers in one canonical form, 254 followed by the nine-digit subscriber
+// number. Numbers whose prefix is not allocated to a mobile network are
+// rejected.
+
+// Mobile prefixes (the three digits after 254) by network
+const NETWORK_PREFIXES = {
+  safaricom: [
+    ...range(700, 729), 740, 741, 742, 743, 745, 746, 748, 757, 758, 759, 768, 769,
+    ...range(790, 799), 110, 111, 112, 113, 114, 115
+  ],
+  airtel: [...range(730, 739), ...range(750, 756), 762, ...range(780, 789), 100, 101, 102],
+  telkom: range(770, 779),
+  equitel: range(763, 766),
+  faiba: [747]
+};
+
+const NETWORK_BY_PREFIX = new Map(
+  Object.entries(NETWORK_PREFIXES).flatMap(([network, prefixes]) => prefixes.map(prefix => [String(prefix), network]))
+);
+
+const NETWORKS = Object.keys(NETWORK_PREFIXES);
+
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+// Canonical 254XXXXXXXXX form, or null when the input is not a Kenyan mobile number
+function normalizePhoneNumber(input) {
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    return null;
+  }
+
+  const cleaned = String(input).trim().replace(/[\s\-().]/g, '');
+  const match = cleaned.match(/^(?:\+?254|0)?([17]\d{8})$/);
+  if (!match || !NETWORK_BY_PREFIX.has(match[1].slice(0, 3))) {
+    return null;
+  }
+  return `254${match[1]}`;
+}
+
+// Network for a canonical number, or null when the prefix is unknown
+function detectNetwork(msisdn) {
+  return NETWORK_BY_PREFIX.get(String(msisdn).slice(3, 6)) || null;
+}
+
+// Three-digit prefixes (after 254) allocated to a network, as strings
+function networkPrefixes(network) {
+  return (NETWORK_PREFIXES[network] || []).map(String);
+}
+
+// { msisdn, network } for a valid number, null otherwise
+function parsePhoneNumber(input) {
+  const msisdn = normalizePhoneNumber(input);
+  return msisdn ? { msisdn, network: detectNetwork(msisdn) } : null;
+}
+
+module.exports = {
+  NETWORKS,
+  normalizePhoneNumber,
+  detectNetwork,
+  networkPrefixes,
+  parsePhoneNumber
+};
@@ -0,0 +1,97 @@
+const axios = require('axios');
+
+// Africa's Talking airtime provider
+//
+// Amounts are sent as "KES <amount>". Delivery results arrive on the airtime
+// status callback configured in the Africa's Talking dashboard.
+function createAfricasTalkingProvider({ username, apiKey, baseUrl = 'https://api.africastalking.com', networks = null }) {
+  const headers = {
+    'apiKey': apiKey,
+    'Accept': 'application/json'
+  };
+
+  return {
+    name: 'africastalking',
+    networks,
+
+    isConfigured() {
+      return Boolean(username && apiKey);
+    },
+
+    async purchase(phoneNumber, amount) {
+      try {
+        const form = new URLSearchParams({
+          username,
+          recipients: JSON.stringify([{ phoneNumber: toInternational(phoneNumber), amount: `KES ${amount}` }])
+        });
+        const response = await axios.post(`${baseUrl}/version1/airtime/send`, form.toString(), {
+          headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+
+        const result = response.data.responses?.[0];
+        if (!result || result.status === 'Failed' || result.errorMessage && result.errorMessage !== 'None') {
+          const error = new Error(result?.errorMessage || response.data.errorMessage || 'Airtime request rejected');
+          error.response = { data: response.data };
+          throw error;
+        }
+        return { request_id: result.requestId, raw: response.data };
+      } catch (error) {
+        console.error('Africa\'s Talking Airtime Error:', error.response?.data || error.message);
+        throw error;
+      }
+    },
+
+    async queryStatus(requestId) {
+      try {
+        const response = await axios.get(`${baseUrl}/query/transaction/find`, {
+          headers,
+          params: { username, transactionId: requestId }
+        });
+        const status = String(response.data.data?.status || '').toLowerCase();
+        if (status === 'success') {
+          return true;
+        }
+        if (status === 'failed') {
+          return false;
+        }
+        return null;
+      } catch (error) {
+        console.error('Africa\'s Talking Status Error:', error.response?.data || error.message);
+        throw error;
+      }
+    },
+
+    // Account balance such as "KES 1234.50", used as the airtime float
+    async getBalance() {
+      try {
+        const response = await axios.get(`${baseUrl}/version1/user`, { headers, params: { username } });
+        const balance = /([\d.]+)/.exec(response.data.UserData?.balance || '');
+        return balance ? parseFloat(balance[1]) : null;
+      } catch (error) {
+        console.error('Africa\'s Talking Balance Error:', error.response?.data || error.message);
+        return null;
+      }
+    },
+
+    async hasFloat(amount) {
+      const balance = await this.getBalance();
+      return balance === null || balance >= amount;
+    },
+
+    parseCallback(body) {
+      return {
+        request_id: body.requestId,
+        delivered: body.status === 'Success',
+        description: body.description || body.status
+      };
+    }
+  };
+}
+
+// Africa's Talking expects +2547XXXXXXXX
+function toInternational(phoneNumber) {
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  return `+254${digits.slice(-9)}`;
+}
+
+module.exports = { createAfricasTalkingProvider };
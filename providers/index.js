@@ -0,0 +1,181 @@
+const { createStatumProvider } = require('./statum');
+const { createAfricasTalkingProvider } = require('./africastalking');
+const { createMockProvider } = require('./mock');
+
+// Airtime providers
+//
+// Every provider implements the same interface:
+//   name                          identifier stored on transactions
+//   networks                      networks it can top up, or null for all
+//   isConfigured()                credentials present
+//   purchase(phone, amount)       send airtime, resolves { request_id, raw }
+//   purchaseBundle(phone, bundle) optional: send a data/SMS bundle from the
+//                                 catalogue, resolves { request_id, raw }
+//   queryStatus(requestId)        true delivered / false failed / null still open
+//   getBalance()                  float in KES, or null when the provider cannot tell
+//   hasFloat(amount)              enough float for this amount
+//   parseCallback(body)           { request_id, delivered, description }
+//
+// The router tries providers in order, skipping any that do not serve the
+// number's network, any without float and any whose circuit is open after
+// repeated failures. An optional floatCheck
+// (providerName, amount) lets the server veto providers on float it tracks
+// itself. When sending, reserveFloat (providerName, amount) takes the float
+// up front instead, resolving false when there is not enough, and
+// releaseFloat gives it back if the provider definitely refused the sale.
+
+// Errors where the request may have reached the provider. Failing over on
+// these could deliver the airtime twice, so they are surfaced instead.
+const AMBIGUOUS_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EPIPE'];
+
+function isAmbiguousFailure(error) {
+  if (error.response) {
+    return error.response.status >= 500 && error.response.status !== 503;
+  }
+  return AMBIGUOUS_ERROR_CODES.includes(error.code);
+}
+
+function createAirtimeRouter(providers, {
+  failureThreshold = 3,
+  cooldownMs = 60 * 1000,
+  floatCheck = async () => true,
+  reserveFloat = floatCheck,
+  releaseFloat = async () => {}
+} = {}) {
+  const health = new Map(providers.map(provider => [provider.name, {
+    consecutiveFailures: 0,
+    openUntil: 0,
+    lastError: null,
+    lastSuccessAt: null
+  }]));
+
+  function recordFailure(provider, error) {
+    const state = health.get(provider.name);
+    state.consecutiveFailures++;
+    state.lastError = error.message;
+    if (state.consecutiveFailures >= failureThreshold) {
+      state.openUntil = Date.now() + cooldownMs;
+    }
+  }
+
+  function servesNetwork(provider, network) {
+    return !network || !provider.networks || provider.networks.includes(network);
+  }
+
+  async function canTake(provider, amount, network, bundle) {
+    return servesNetwork(provider, network) &&
+      (!bundle || typeof provider.purchaseBundle === 'function') &&
+      health.get(provider.name).openUntil <= Date.now() &&
+      await provider.hasFloat(amount) &&
+      await floatCheck(provider.name, amount);
+  }
+
+  function recordSuccess(provider) {
+    const state = health.get(provider.name);
+    state.consecutiveFailures = 0;
+    state.openUntil = 0;
+    state.lastError = null;
+    state.lastSuccessAt = new Date();
+  }
+
+  // Try each eligible provider in turn with send(provider). Resolves
+  // { provider, request_id }. Rejects with error.ambiguous = true when a
+  // provider may have accepted the request, and with error.code =
+  // 'NO_PROVIDER' when none could take it.
+  async function dispatch(amount, network, bundle, send) {
+    const attempts = [];
+
+    for (const provider of providers) {
+      if (!servesNetwork(provider, network)) {
+        attempts.push(`${provider.name}: does not serve ${network}`);
+        continue;
+      }
+      if (bundle && typeof provider.purchaseBundle !== 'function') {
+        attempts.push(`${provider.name}: does not sell bundles`);
+        continue;
+      }
+      const state = health.get(provider.name);
+      if (state.openUntil > Date.now()) {
+        attempts.push(`${provider.name}: circuit open`);
+        continue;
+      }
+      if (!(await provider.hasFloat(amount)) || !(await reserveFloat(provider.name, amount))) {
+        attempts.push(`${provider.name}: insufficient float`);
+        continue;
+      }
+
+      try {
+        const result = await send(provider);
+        recordSuccess(provider);
+        return { provider: provider.name, request_id: result.request_id, raw: result.raw };
+      } catch (error) {
+        recordFailure(provider, error);
+        if (isAmbiguousFailure(error)) {
+          // The float stays taken: the sale may have gone through
+          error.ambiguous = true;
+          error.provider = provider.name;
+          throw error;
+        }
+        await releaseFloat(provider.name, amount);
+        attempts.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    const error = new Error(`No airtime provider available (${attempts.join('; ') || 'none configured'})`);
+    error.code = 'NO_PROVIDER';
+    throw error;
+  }
+
+  return {
+    get(name) {
+      return providers.find(provider => provider.name === name) || null;
+    },
+
+    // Send airtime through the first healthy provider with float for the network
+    async purchase(phoneNumber, amount, { network = null } = {}) {
+      return dispatch(amount, network, false, provider => provider.purchase(phoneNumber, amount));
+    },
+
+    // Send a catalogue bundle through the first provider that sells bundles;
+    // its price counts against the provider's float
+    async purchaseBundle(phoneNumber, bundle, { network = null } = {}) {
+      const amount = parseFloat(bundle.price);
+      return dispatch(amount, network, true, provider => provider.purchaseBundle(phoneNumber, bundle));
+    },
+
+    // Whether any provider could currently take a purchase of this amount,
+    // optionally on a given network and optionally of a bundle
+    async canServe(amount, network = null, { bundle = false } = {}) {
+      for (const provider of providers) {
+        if (await canTake(provider, amount, network, bundle)) {
+          return true;
+        }
+      }
+      return false;
+    },
+
+    async status() {
+      return Promise.all(providers.map(async (provider) => {
+        const state = health.get(provider.name);
+        return {
+          name: provider.name,
+          networks: provider.networks,
+          sells_bundles: typeof provider.purchaseBundle === 'function',
+          healthy: state.openUntil <= Date.now(),
+          consecutive_failures: state.consecutiveFailures,
+          last_error: state.lastError,
+          last_success_at: state.lastSuccessAt,
+          balance: await provider.getBalance()
+        };
+      }));
+    }
+  };
+}
+
+module.exports = {
+  createAirtimeRouter,
+  isAmbiguousFailure,
+  createStatumProvider,
+  createAfricasTalkingProvider,
+  createMockProvider
+};
@@ -0,0 +1,62 @@
+const { v4: uuidv4 } = require('uuid');
+
+// In-memory airtime provider for local development and tests. Nothing is
+// sent anywhere; behaviour is steered through the returned object:
+//   provider.failNext = 2   reject the next two purchases
+//   provider.float = 100    report this balance (null = unlimited)
+//   provider.requests       every purchase it accepted
+function createMockProvider({ name = 'mock', float = null, networks = null } = {}) {
+  return {
+    name,
+    networks,
+    failNext: 0,
+    float,
+    requests: [],
+
+    isConfigured() {
+      return true;
+    },
+
+    async purchase(phoneNumber, amount, productCode = null) {
+      if (this.failNext > 0) {
+        this.failNext--;
+        const error = new Error('Mock provider rejected the request');
+        error.response = { status: 503, data: { message: error.message } };
+        throw error;
+      }
+      const request = { request_id: `MOCK-${uuidv4().substring(0, 8).toUpperCase()}`, phoneNumber, amount, productCode, delivered: true };
+      this.requests.push(request);
+      if (this.float !== null) {
+        this.float -= amount;
+      }
+      return { request_id: request.request_id, raw: request };
+    },
+
+    async purchaseBundle(phoneNumber, bundle) {
+      return this.purchase(phoneNumber, parseFloat(bundle.price), bundle.product_code);
+    },
+
+    async queryStatus(requestId) {
+      const request = this.requests.find(r => r.request_id === requestId);
+      return request ? request.delivered : null;
+    },
+
+    async getBalance() {
+      return this.float;
+    },
+
+    async hasFloat(amount) {
+      return this.float === null || this.float >= amount;
+    },
+
+    parseCallback(body) {
+      return {
+        request_id: body.request_id,
+        delivered: body.status === 'success',
+        description: body.description
+      };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
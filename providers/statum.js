@@ -0,0 +1,99 @@
+const axios = require('axios');
+
+// Statum airtime provider
+//
+// Statum has no public float API; its float is tracked by the server and
+// enforced through the router's floatCheck and reserveFloat.
+function createStatumProvider({ consumerKey, consumerSecret, baseUrl = 'https://api.statum.co.ke/api/v2', networks = null }) {
+  const authHeader = () => `Basic ${Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64')}`;
+
+  return {
+    name: 'statum',
+    networks,
+
+    isConfigured() {
+      return Boolean(consumerKey && consumerSecret);
+    },
+
+    async purchase(phoneNumber, amount) {
+      try {
+        const response = await axios.post(`${baseUrl}/airtime`, {
+          phone_number: phoneNumber,
+          amount: amount.toString()
+        }, {
+          headers: {
+            'Authorization': authHeader(),
+            'Content-Type': 'application/json'
+          }
+        });
+        return { request_id: response.data.request_id, raw: response.data };
+      } catch (error) {
+        console.error('Statum Airtime Error:', error.response?.data || error.message);
+        throw error;
+      }
+    },
+
+    // Bundles are bought by the product code Statum lists for them
+    async purchaseBundle(phoneNumber, bundle) {
+      try {
+        const response = await axios.post(`${baseUrl}/bundles`, {
+          phone_number: phoneNumber,
+          product_code: bundle.product_code
+        }, {
+          headers: {
+            'Authorization': authHeader(),
+            'Content-Type': 'application/json'
+          }
+        });
+        return { request_id: response.data.request_id, raw: response.data };
+      } catch (error) {
+        console.error('Statum Bundle Error:', error.response?.data || error.message);
+        throw error;
+      }
+    },
+
+    // true when delivered, false on a definite failure, null while still open
+    async queryStatus(requestId) {
+      try {
+        const response = await axios.get(`${baseUrl}/airtime/status/${requestId}`, {
+          headers: {
+            'Authorization': authHeader()
+          }
+        });
+        return parseStatus(response.data);
+      } catch (error) {
+        console.error('Statum Status Error:', error.response?.data || error.message);
+        throw error;
+      }
+    },
+
+    async getBalance() {
+      return null;
+    },
+
+    async hasFloat() {
+      return true;
+    },
+
+    parseCallback(body) {
+      return {
+        request_id: body.request_id,
+        delivered: String(body.result_code) === '200',
+        description: body.result_desc
+      };
+    }
+  };
+}
+
+function parseStatus(response) {
+  const status = String(response?.status || response?.transaction_status || '').toLowerCase();
+  if (String(response?.result_code) === '200' || ['success', 'successful', 'completed', 'delivered'].includes(status)) {
+    return true;
+  }
+  if (['failed', 'reversed', 'rejected'].includes(status)) {
+    return false;
+  }
+  return null;
+}
+
+module.exports = { createStatumProvider };
@@ -12,10 +12,26 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const {
+  createAirtimeRouter,
+  isAmbiguousFailure,
+  createStatumProvider,
+  createAfricasTalkingProvider,
+  createMockProvider
+} = require('./providers');
+const { createDarajaB2CProvider, createMockPayoutProvider } = require('./payouts');
+const { NETWORKS, parsePhoneNumber, detectNetwork, networkPrefixes } = require('./phone');
+const { generateSecret, otpauthUrl, verifyTotp } = require('./totp');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind Railway/Render the client IP arrives via X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: false,
@@ -35,8 +51,18 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Keep the raw body so provider callback signatures can be checked
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(bodyParser.urlencoded({
+  extended: true,
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.static('public'));
 
 // PostgreSQL connection to Railway
@@ -63,38 +89,198 @@ const PAYNECTA_BASE_URL = 'https://paynecta.co.ke/api/v1';
 // Statum Configuration
 const STATUM_CONSUMER_KEY = process.env.STATUM_CONSUMER_KEY;
 const STATUM_CONSUMER_SECRET = process.env.STATUM_CONSUMER_SECRET;
-const STATUM_BASE_URL = 'https://api.statum.co.ke/api/v2';
 
-// Admin password - MUST be set in environment variables
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-if (!ADMIN_PASSWORD) {
-  console.warn('WARNING: ADMIN_PASSWORD not set. Admin dashboard will be inaccessible.');
+// Africa's Talking Configuration
+const AFRICASTALKING_USERNAME = process.env.AFRICASTALKING_USERNAME;
+const AFRICASTALKING_API_KEY = process.env.AFRICASTALKING_API_KEY;
+
+// Airtime providers in failover order; unconfigured ones are skipped.
+// "mock" sends nothing and is meant for local development.
+const AIRTIME_PROVIDERS = (process.env.AIRTIME_PROVIDERS || 'statum,africastalking').split(',').map(name => name.trim());
+
+// Optional comma-separated networks a provider is limited to, e.g.
+// AFRICASTALKING_NETWORKS=airtel,telkom. Unset means every network.
+function providerNetworks(name) {
+  const value = process.env[`${name.toUpperCase()}_NETWORKS`];
+  return value ? value.split(',').map(network => network.trim().toLowerCase()) : null;
 }
 
+// M-Pesa B2C (Daraja) Configuration for withdrawals
+const MPESA_CONSUMER_KEY = process.env.MPESA_CONSUMER_KEY;
+const MPESA_CONSUMER_SECRET = process.env.MPESA_CONSUMER_SECRET;
+const MPESA_B2C_SHORTCODE = process.env.MPESA_B2C_SHORTCODE;
+const MPESA_B2C_INITIATOR_NAME = process.env.MPESA_B2C_INITIATOR_NAME;
+const MPESA_B2C_SECURITY_CREDENTIAL = process.env.MPESA_B2C_SECURITY_CREDENTIAL;
+const MPESA_BASE_URL = process.env.MPESA_ENV === 'sandbox' ? 'https://sandbox.safaricom.co.ke' : 'https://api.safaricom.co.ke';
+
+// Payout provider for withdrawals: "daraja", or "mock" for local development
+const PAYOUT_PROVIDER = (process.env.PAYOUT_PROVIDER || 'daraja').trim();
+
+// First superadmin account, created at startup only while no admin accounts
+// exist. Remove these from the environment once other admins are set up.
+const ADMIN_BOOTSTRAP_USERNAME = (process.env.ADMIN_BOOTSTRAP_USERNAME || 'admin').trim().toLowerCase();
+const ADMIN_BOOTSTRAP_PASSWORD = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+
+// Admin sessions: access tokens are short-lived and renewed with a refresh
+// token until the session expires or is revoked. Repeated failed logins lock
+// the account for a while. With ADMIN_REQUIRE_2FA=false admins without an
+// authenticator app may still use the dashboard.
+const ADMIN_ACCESS_TOKEN_MINUTES = parseInt(process.env.ADMIN_ACCESS_TOKEN_MINUTES || '15', 10);
+const ADMIN_SESSION_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS || '12', 10);
+const ADMIN_MAX_FAILED_LOGINS = parseInt(process.env.ADMIN_MAX_FAILED_LOGINS || '5', 10);
+const ADMIN_LOCK_MINUTES = parseInt(process.env.ADMIN_LOCK_MINUTES || '15', 10);
+const ADMIN_REQUIRE_2FA = process.env.ADMIN_REQUIRE_2FA !== 'false';
+const ADMIN_TOTP_ISSUER = process.env.ADMIN_TOTP_ISSUER || 'Airtime Solution Kenya';
+
 // JWT Secret - MUST be set in environment variables
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
   console.warn('WARNING: JWT_SECRET not set. Using temporary secret for development.');
 }
 
+// Firebase project whose ID tokens authenticate app users
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID;
+if (!FIREBASE_PROJECT_ID && process.env.FIREBASE_AUTH_MOCK !== 'true') {
+  console.warn('WARNING: FIREBASE_PROJECT_ID not set. User routes will reject every token.');
+}
+
+// Reconciler: how often it runs (0 disables it), when a pending/processing
+// transaction counts as stale, and when an unanswered STK push is abandoned
+const RECONCILE_INTERVAL_MINUTES = parseInt(process.env.RECONCILE_INTERVAL_MINUTES || '5', 10);
+const RECONCILE_STALE_AFTER_MINUTES = parseInt(process.env.RECONCILE_STALE_AFTER_MINUTES || '3', 10);
+const STK_EXPIRY_MINUTES = parseInt(process.env.STK_EXPIRY_MINUTES || '30', 10);
+
+// How long a purchase the wallet could not cover waits for a top-up
+const PENDING_PURCHASE_EXPIRY_HOURS = parseInt(process.env.PENDING_PURCHASE_EXPIRY_HOURS || '24', 10);
+
+// /api/deposit/verify: failed attempts allowed per user within the window
+const DEPOSIT_VERIFY_MAX_FAILURES = parseInt(process.env.DEPOSIT_VERIFY_MAX_FAILURES || '5', 10);
+const DEPOSIT_VERIFY_WINDOW_MINUTES = parseInt(process.env.DEPOSIT_VERIFY_WINDOW_MINUTES || '60', 10);
+
+// Bulk airtime: most rows accepted in one batch, the pause between rows so
+// a large batch does not flood the providers, how long the worker waits
+// after an unexpected error before it tries the queue again, and how long a
+// worker may hold a row before it is taken to have stopped mid-send
+const BULK_AIRTIME_MAX_ROWS = parseInt(process.env.BULK_AIRTIME_MAX_ROWS || '500', 10);
+const BULK_AIRTIME_INTERVAL_MS = parseInt(process.env.BULK_AIRTIME_INTERVAL_MS || '500', 10);
+const BULK_AIRTIME_RETRY_MS = parseInt(process.env.BULK_AIRTIME_RETRY_MS || '60000', 10);
+const BULK_AIRTIME_CLAIM_MINUTES = parseInt(process.env.BULK_AIRTIME_CLAIM_MINUTES || '15', 10);
+
+// Scheduled top-ups: how often due schedules are checked (0 disables the
+// scheduler), and how a run the wallet cannot cover is retried before that
+// occurrence is skipped
+const SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS || '60', 10);
+const SCHEDULE_RETRY_MINUTES = parseInt(process.env.SCHEDULE_RETRY_MINUTES || '60', 10);
+const SCHEDULE_MAX_RETRIES = parseInt(process.env.SCHEDULE_MAX_RETRIES || '3', 10);
+
+// Withdrawals: per-request bounds, the most a user may withdraw per Nairobi
+// calendar day, and the amount above which an admin must approve the payout
+const WITHDRAWAL_MIN_AMOUNT = parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT || '50');
+const WITHDRAWAL_MAX_AMOUNT = parseFloat(process.env.WITHDRAWAL_MAX_AMOUNT || '70000');
+const WITHDRAWAL_DAILY_LIMIT = parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT || '100000');
+const WITHDRAWAL_APPROVAL_THRESHOLD = parseFloat(process.env.WITHDRAWAL_APPROVAL_THRESHOLD || '10000');
+
+// Wallet transfers: per-transfer bounds and the most a user may send per
+// Nairobi calendar day
+const TRANSFER_MIN_AMOUNT = parseFloat(process.env.TRANSFER_MIN_AMOUNT || '10');
+const TRANSFER_MAX_AMOUNT = parseFloat(process.env.TRANSFER_MAX_AMOUNT || '50000');
+const TRANSFER_DAILY_LIMIT = parseFloat(process.env.TRANSFER_DAILY_LIMIT || '100000');
+
+// Transaction PIN: wrong attempts allowed before it locks, and for how long
+const PIN_MAX_FAILURES = parseInt(process.env.PIN_MAX_FAILURES || '5', 10);
+const PIN_LOCK_MINUTES = parseInt(process.env.PIN_LOCK_MINUTES || '30', 10);
+
+// Referrals: what the referrer earns, and the smallest first deposit by the
+// referee that earns it
+const REFERRAL_REWARD_AMOUNT = parseFloat(process.env.REFERRAL_REWARD_AMOUNT || '50');
+const REFERRAL_MIN_DEPOSIT = parseFloat(process.env.REFERRAL_MIN_DEPOSIT || '100');
+
+// Admin balance adjustments above this amount need a second admin's approval
+const ADJUSTMENT_APPROVAL_THRESHOLD = parseFloat(process.env.ADJUSTMENT_APPROVAL_THRESHOLD || '1000');
+
+// Optional webhook (e.g. Slack) that receives admin alerts such as low float
+const ADMIN_ALERT_WEBHOOK_URL = process.env.ADMIN_ALERT_WEBHOOK_URL;
+
 // Callback URL
 const CALLBACK_URL = process.env.CALLBACK_URL || 'https://callbackurl.onrender.com';
 
-// ============== HELPER FUNCTIONS ==============
+// ============== PRICING ==============
+
+// Rules are read often and changed rarely, so keep them briefly in memory.
+// Admin changes clear the cache straight away.
+const PRICING_CACHE_MS = 30 * 1000;
+let pricingRulesCache = { rules: null, loadedAt: 0 };
+
+async function getActivePricingRules() {
+  if (pricingRulesCache.rules && Date.now() - pricingRulesCache.loadedAt < PRICING_CACHE_MS) {
+    return pricingRulesCache.rules;
+  }
+  const result = await pool.query('SELECT * FROM pricing_rules WHERE is_active = true');
+  pricingRulesCache = { rules: result.rows, loadedAt: Date.now() };
+  return result.rows;
+}
+
+function clearPricingCache() {
+  pricingRulesCache = { rules: null, loadedAt: 0 };
+}
+
+// Pick the rule of `kind` that applies to this amount, network and segment:
+// highest priority first, then the most specific, then the newest
+async function findPricingRule(kind, amount, { network = null, segment = null } = {}) {
+  const now = new Date();
+  const candidates = (await getActivePricingRules()).filter(rule =>
+    rule.kind === kind &&
+    (rule.network === null || rule.network === network) &&
+    (rule.user_segment === null || rule.user_segment === segment) &&
+    amount >= parseFloat(rule.min_amount) &&
+    (rule.max_amount === null || amount <= parseFloat(rule.max_amount)) &&
+    (rule.starts_at === null || rule.starts_at <= now) &&
+    (rule.ends_at === null || rule.ends_at > now)
+  );
+
+  const specificity = rule => (rule.network !== null ? 2 : 0) + (rule.user_segment !== null ? 1 : 0);
+  candidates.sort((a, b) => b.priority - a.priority || specificity(b) - specificity(a) || b.id - a.id);
+  return candidates[0] || null;
+}
 
 // Calculate bonus for deposits
-function calculateBonus(amount) {
-  if (amount >= 50) {
-    return 6;
+async function calculateBonus(amount, context) {
+  const rule = await findPricingRule('deposit_bonus', amount, context);
+  if (!rule) {
+    return { bonus: 0, rule_id: null };
   }
-  return 0;
+  const fixed = rule.bonus_fixed !== null ? parseFloat(rule.bonus_fixed) : 0;
+  const percent = rule.bonus_percent !== null ? amount * parseFloat(rule.bonus_percent) / 100 : 0;
+  return { bonus: Math.floor(fixed + percent), rule_id: rule.id };
+}
+
+// Calculate airtime discount (user gets the rule's share of what they pay, 90% by default)
+async function calculateAirtimeAmount(amount, context) {
+  const rule = await findPricingRule('airtime_rate', amount, context);
+  const rate = rule ? parseFloat(rule.rate) : 0.9;
+  return { airtime: Math.floor(amount * rate), rule_id: rule ? rule.id : null };
+}
+
+// Calculate cash paid for converted airtime (80% by default)
+async function calculateCashback(amount, context) {
+  const rule = await findPricingRule('cashback_rate', amount, context);
+  const rate = rule ? parseFloat(rule.rate) : 0.8;
+  return { cashback: Math.floor(amount * rate), rule_id: rule ? rule.id : null };
 }
 
-// Calculate airtime discount (user gets 90% of what they pay)
-function calculateAirtimeAmount(amount) {
-  return Math.floor(amount * 0.9);
+// Calculate the fee charged on top of a withdrawal (none without a rule)
+async function calculateWithdrawalFee(amount, context) {
+  const rule = await findPricingRule('withdrawal_fee', amount, context);
+  if (!rule) {
+    return { fee: 0, rule_id: null };
+  }
+  const fixed = rule.bonus_fixed !== null ? parseFloat(rule.bonus_fixed) : 0;
+  const percent = rule.bonus_percent !== null ? amount * parseFloat(rule.bonus_percent) / 100 : 0;
+  return { fee: Math.ceil(fixed + percent), rule_id: rule.id };
 }
 
+// ============== HELPER FUNCTIONS ==============
+
 // PayNecta STK Push
 async function initiatePaynectaStkPush(phoneNumber, amount, reference) {
   try {
@@ -133,819 +319,6770 @@ async function queryPaynectaPaymentStatus(reference) {
   }
 }
 
-// Statum Airtime Purchase
-async function purchaseAirtime(phoneNumber, amount) {
-  try {
-    const auth = Buffer.from(`${STATUM_CONSUMER_KEY}:${STATUM_CONSUMER_SECRET}`).toString('base64');
-    const response = await axios.post(`${STATUM_BASE_URL}/airtime`, {
-      phone_number: phoneNumber,
-      amount: amount.toString()
-    }, {
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.error('Statum Airtime Error:', error.response?.data || error.message);
-    throw error;
+const airtimeProviders = {
+  statum: createStatumProvider({
+    consumerKey: STATUM_CONSUMER_KEY,
+    consumerSecret: STATUM_CONSUMER_SECRET,
+    networks: providerNetworks('statum')
+  }),
+  africastalking: createAfricasTalkingProvider({
+    username: AFRICASTALKING_USERNAME,
+    apiKey: AFRICASTALKING_API_KEY,
+    networks: providerNetworks('africastalking')
+  }),
+  mock: createMockProvider({ networks: providerNetworks('mock') })
+};
+
+const airtimeRouter = createAirtimeRouter(
+  AIRTIME_PROVIDERS
+    .map(name => airtimeProviders[name])
+    .filter(provider => provider && provider.isConfigured()),
+  {
+    floatCheck: async (providerName, amount) => floatCovers(await getProviderFloat(providerName), amount),
+    reserveFloat: (providerName, amount) => reserveProviderFloat(providerName, amount),
+    releaseFloat: (providerName, amount) => restoreProviderFloat(providerName, amount)
   }
-}
+);
 
-// Check Statum float balance - Note: Statum doesn't provide a public balance API
-// Float status should be managed manually by admin
-let statumFloatAvailable = true; // Default to available
+// Send airtime through the first available provider for the number's
+// network; resolves { provider, request_id }. The router reserves the float.
+async function purchaseAirtime(phoneNumber, amount, network = null) {
+  return airtimeRouter.purchase(phoneNumber, amount, { network });
+}
 
-async function checkStatumFloat() {
-  // Return current float status (managed by admin)
-  return { available: statumFloatAvailable, message: statumFloatAvailable ? 'Float available' : 'Float low - please try again later' };
+// Send a data or SMS bundle from the catalogue; its price comes off the float
+async function purchaseBundle(phoneNumber, bundle, network = null) {
+  return airtimeRouter.purchaseBundle(phoneNumber, bundle, { network });
 }
 
-// Admin can toggle float status
-function setStatumFloatStatus(available) {
-  statumFloatAvailable = available;
+const payoutProviders = {
+  daraja: createDarajaB2CProvider({
+    consumerKey: MPESA_CONSUMER_KEY,
+    consumerSecret: MPESA_CONSUMER_SECRET,
+    shortcode: MPESA_B2C_SHORTCODE,
+    initiatorName: MPESA_B2C_INITIATOR_NAME,
+    securityCredential: MPESA_B2C_SECURITY_CREDENTIAL,
+    resultUrl: `${CALLBACK_URL}/api/mpesa/b2c/result`,
+    timeoutUrl: `${CALLBACK_URL}/api/mpesa/b2c/timeout`,
+    baseUrl: MPESA_BASE_URL
+  }),
+  mock: createMockPayoutProvider()
+};
+
+// The provider withdrawals are paid through, or null when it is not configured
+const payoutProvider = payoutProviders[PAYOUT_PROVIDER] && payoutProviders[PAYOUT_PROVIDER].isConfigured()
+  ? payoutProviders[PAYOUT_PROVIDER]
+  : null;
+if (!payoutProvider) {
+  console.warn(`WARNING: Payout provider "${PAYOUT_PROVIDER}" not configured. Withdrawals are disabled.`);
 }
 
-// ============== USER ROUTES ==============
+// Purchases paid from the wallet, and purchases paid by STK push that are
+// delivered once the payment settles
+const WALLET_PURCHASE_TYPES = ['airtime', 'bundle'];
+const DIRECT_PURCHASE_TYPES = ['direct_airtime', 'direct_bundle'];
 
-// Register user
-app.post('/api/users/register', async (req, res) => {
-  try {
-    const { username, email, phone_number, firebase_uid } = req.body;
+// Float a purchase took from its provider: the airtime sent, or a bundle's price
+function floatCost(tx) {
+  return tx.airtime_sent !== null ? tx.airtime_sent : parseFloat(tx.amount);
+}
 
-    // Check if username already exists
-    const existingUser = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
-    if (existingUser.rows.length > 0) {
-      return res.status(400).json({ success: false, message: 'Username already taken' });
-    }
+// ============== FLOAT MONITORING ==============
 
-    // Check if email already exists
-    const existingEmail = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    if (existingEmail.rows.length > 0) {
-      return res.status(400).json({ success: false, message: 'Email already registered' });
-    }
+// Statum has no balance API, so float is tracked here: admins record the
+// float they loaded and each sale decrements the estimate
 
-    // Insert new user
-    const result = await pool.query(
-      `INSERT INTO users (username, email, phone_number, firebase_uid, balance, created_at, is_active) 
-       VALUES ($1, $2, $3, $4, 0, NOW(), true) RETURNING *`,
-      [username, email, phone_number, firebase_uid]
-    );
+// Float state for a provider, or null when it is not tracked
+async function getProviderFloat(providerName, db = pool) {
+  const result = await db.query('SELECT * FROM provider_floats WHERE provider = $1', [providerName]);
+  return result.rows[0] || null;
+}
 
-    // Create welcome notification
-    await pool.query(
-      `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
-       VALUES ($1, $2, $3, $4, NOW(), false)`,
-      [result.rows[0].id, 'Welcome to Airtime Solution Kenya! 🇰🇪', 'Thank you for joining us. Start by depositing funds to buy airtime.', 'welcome']
-    );
+// Whether a sale of `amount` would keep the provider above its block threshold
+function floatCovers(state, amount) {
+  if (!state) {
+    return true;
+  }
+  if (!state.available) {
+    return false;
+  }
+  if (state.float_amount === null) {
+    return true;
+  }
+  return parseFloat(state.float_amount) - amount >= parseFloat(state.block_threshold);
+}
 
-    res.json({ success: true, user: result.rows[0] });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+// Take a sale of `amount` off a provider's float before it is sent. The check
+// and the debit are one statement, so concurrent sales cannot take the float
+// below the block threshold. Resolves false when the float cannot cover it;
+// a provider whose float is not tracked only has to be available.
+async function reserveProviderFloat(providerName, amount, db = pool) {
+  const result = await db.query(
+    `UPDATE provider_floats SET float_amount = float_amount - $1, updated_at = NOW()
+     WHERE provider = $2 AND available AND float_amount IS NOT NULL AND float_amount - $1 >= block_threshold
+     RETURNING *`,
+    [amount, providerName]
+  );
+  if (result.rows.length > 0) {
+    await alertIfFloatLow(result.rows[0])
+      .catch(error => console.error('Float alert error:', error));
+    return true;
   }
-});
 
-// Get user by email
-app.get('/api/users/email/:email', async (req, res) => {
-  try {
-    const { email } = req.params;
-    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
+  const state = await getProviderFloat(providerName, db);
+  return !state || (state.available && state.float_amount === null);
+}
 
-    res.json({ success: true, user: result.rows[0] });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+// Give float back when a provider refuses a sale or reports that a purchase
+// was not delivered
+async function restoreProviderFloat(providerName, amount, db = pool) {
+  await db.query(
+    `UPDATE provider_floats SET float_amount = float_amount + $1, updated_at = NOW()
+     WHERE provider = $2 AND float_amount IS NOT NULL`,
+    [amount, providerName]
+  );
+}
+
+// Raise a low-float alert at most once an hour per provider
+async function alertIfFloatLow(state) {
+  if (state.float_amount === null || parseFloat(state.float_amount) > parseFloat(state.low_threshold)) {
+    return;
   }
-});
 
-// Get user by username
-app.get('/api/users/username/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    const result = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
+  const claimed = await pool.query(
+    `UPDATE provider_floats SET last_alert_at = NOW()
+     WHERE provider = $1 AND (last_alert_at IS NULL OR last_alert_at < NOW() - INTERVAL '1 hour')
+     RETURNING provider`,
+    [state.provider]
+  );
+  if (claimed.rows.length > 0) {
+    await raiseAdminAlert('low_float', `${state.provider} float is low: KES ${state.float_amount} left (threshold KES ${state.low_threshold})`, {
+      provider: state.provider,
+      float_amount: state.float_amount,
+      low_threshold: state.low_threshold
+    });
+  }
+}
 
-    res.json({ success: true, user: result.rows[0] });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+// Store an alert for the admin dashboard and forward it to the alert webhook if one is set
+async function raiseAdminAlert(type, message, data = null) {
+  console.warn(`ADMIN ALERT [${type}]: ${message}`);
+  await pool.query(
+    'INSERT INTO admin_alerts (type, message, data, created_at) VALUES ($1, $2, $3, NOW())',
+    [type, message, data ? JSON.stringify(data) : null]
+  );
+
+  if (ADMIN_ALERT_WEBHOOK_URL) {
+    axios.post(ADMIN_ALERT_WEBHOOK_URL, { text: message, type, data })
+      .catch(error => console.error('Alert webhook error:', error.message));
   }
-});
+}
 
-// Get user balance
-app.get('/api/users/:username/balance', async (req, res) => {
-  try {
-    const { username } = req.params;
-    const result = await pool.query('SELECT balance, username FROM users WHERE username = $1', [username]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
+// Record which provider accepted an airtime request
+async function recordAirtimeDispatch(txId, dispatch, status) {
+  await pool.query(
+    `UPDATE transactions
+     SET status = $1::text, airtime_provider = $2::text, provider_request_id = $3::text,
+         statum_request_id = CASE WHEN $2::text = 'statum' THEN $3::text END,
+         completed_at = CASE WHEN $1::text = 'completed' THEN NOW() END
+     WHERE id = $4`,
+    [status, dispatch.provider, dispatch.request_id, txId]
+  );
+  // The result callback may already have come and gone unmatched; the
+  // reconciler tries again if this fails
+  const provider = airtimeProviders[dispatch.provider];
+  if (provider) {
+    await applyUnmatchedAirtimeResults(provider, dispatch.request_id)
+      .catch(error => console.error('Unmatched airtime result error:', error));
+  }
+}
 
-    res.json({ success: true, balance: result.rows[0].balance, username: result.rows[0].username });
+// A provider may have accepted a request that timed out. Leave the
+// transaction processing so the reconciler or an admin can settle it
+// instead of refunding airtime that might have been delivered.
+async function markAirtimeUnconfirmed(txId, error) {
+  await pool.query(
+    'UPDATE transactions SET airtime_provider = $1, failure_reason = $2 WHERE id = $3',
+    [error.provider, `Unconfirmed: ${error.message}`, txId]
+  );
+}
+
+// ============== WALLET LEDGER ==============
+
+// Run queries on a single client inside BEGIN/COMMIT, rolling back on any error
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
   } catch (error) {
-    console.error('Get balance error:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
-});
+}
 
-// Update user profile
-app.put('/api/users/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    const { phone_number, language } = req.body;
+// Move money into (positive amount) or out of (negative amount) a user's wallet.
+// Writes the wallet entry and its balancing entry on the counter account as one
+// journal, and keeps users.balance in step. Must be called inside withTransaction;
+// the user row is locked so concurrent movements are serialised.
+async function postLedgerEntry(client, { userId, amount, counterAccount, entryType, transactionId = null, description = null }) {
+  const userResult = await client.query('SELECT balance FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (userResult.rows.length === 0) {
+    throw new Error(`User ${userId} not found`);
+  }
 
-    const result = await pool.query(
-      'UPDATE users SET phone_number = COALESCE($1, phone_number), language = COALESCE($2, language), updated_at = NOW() WHERE username = $3 RETURNING *',
-      [phone_number, language, username]
-    );
+  const newBalance = Math.round((parseFloat(userResult.rows[0].balance) + amount) * 100) / 100;
+  if (newBalance < 0) {
+    const error = new Error('Insufficient balance');
+    error.code = 'INSUFFICIENT_BALANCE';
+    error.balance = parseFloat(userResult.rows[0].balance);
+    throw error;
+  }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
+  const journalId = uuidv4();
+  await client.query(
+    `INSERT INTO ledger_entries (journal_id, account, user_id, transaction_id, entry_type, amount, balance_after, description, created_at)
+     VALUES ($1, 'wallet', $2, $3, $4, $5, $6, $7, NOW()),
+            ($1, $8, NULL, $3, $4, $9, NULL, $7, NOW())`,
+    [journalId, userId, transactionId, entryType, amount, newBalance, description, counterAccount, -amount]
+  );
+  await client.query('UPDATE users SET balance = $1 WHERE id = $2', [newBalance, userId]);
 
-    res.json({ success: true, user: result.rows[0] });
-  } catch (error) {
-    console.error('Update user error:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+  return newBalance;
+}
+
+// Credit a completed deposit and its bonus to the depositor's wallet
+async function creditDeposit(client, tx) {
+  const bonus = tx.bonus || 0;
+  await postLedgerEntry(client, {
+    userId: tx.user_id,
+    amount: parseFloat(tx.amount),
+    counterAccount: 'mpesa_clearing',
+    entryType: 'deposit',
+    transactionId: tx.id,
+    description: `Deposit ${tx.reference}`
+  });
+  if (bonus > 0) {
+    await postLedgerEntry(client, {
+      userId: tx.user_id,
+      amount: bonus,
+      counterAccount: 'bonus_expense',
+      entryType: 'bonus',
+      transactionId: tx.id,
+      description: `Deposit bonus ${tx.reference}`
+    });
   }
-});
+}
 
-// ============== DEPOSIT ROUTES ==============
+// Return a failed wallet airtime or bundle purchase to the buyer's balance
+async function refundAirtimePurchase(client, tx) {
+  await postLedgerEntry(client, {
+    userId: tx.user_id,
+    amount: parseFloat(tx.amount),
+    counterAccount: tx.type === 'bundle' ? 'bundle_sales' : 'airtime_sales',
+    entryType: 'refund',
+    transactionId: tx.id,
+    description: `Refund for failed ${tx.type === 'bundle' ? 'bundle' : 'airtime'} ${tx.reference}`
+  });
+  await releasePromoRedemption(client, tx.id);
+}
 
-// Initiate deposit via PayNecta STK Push
-app.post('/api/deposit/stk', async (req, res) => {
-  try {
-    const { username, phone_number, amount } = req.body;
+// ============== DIRECT PURCHASES ==============
 
-    if (amount < 10) {
-      return res.status(400).json({ success: false, message: 'Minimum deposit is KES 10' });
+// Deliver the airtime or bundle for a paid direct (guest) purchase. If every
+// provider rejects the request the customer has already paid via M-Pesa, so
+// the transaction is parked in refund_pending for an admin to retry or refund.
+async function deliverDirectPurchase(tx) {
+  let dispatch;
+  try {
+    if (tx.type === 'direct_bundle') {
+      const bundle = await getBundle(tx.bundle_id);
+      dispatch = await purchaseBundle(tx.recipient_phone, bundle, tx.network);
+    } else {
+      dispatch = await purchaseAirtime(tx.recipient_phone, tx.airtime_sent, tx.network);
     }
-
-    // Get user
-    const userResult = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+  } catch (error) {
+    if (error.ambiguous) {
+      await markAirtimeUnconfirmed(tx.id, error);
+      return { success: false, pending: true, reason: error.message };
     }
+    const reason = error.response?.data?.description || error.message;
+    await pool.query(
+      'UPDATE transactions SET status = $1, failure_reason = $2 WHERE id = $3',
+      ['refund_pending', reason, tx.id]
+    );
+    return { success: false, reason };
+  }
 
-    const user = userResult.rows[0];
-    const reference = `DEP-${uuidv4().substring(0, 8).toUpperCase()}`;
-    const bonus = calculateBonus(amount);
+  await recordAirtimeDispatch(tx.id, dispatch, 'completed');
+  return { success: true, provider: dispatch.provider, request_id: dispatch.request_id };
+}
 
-    // Create pending transaction
-    await pool.query(
-      `INSERT INTO transactions (user_id, type, amount, phone_number, reference, status, bonus, created_at) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
-      [user.id, 'deposit', amount, phone_number, reference, 'pending', bonus]
+// ============== WALLET PURCHASES ==============
+
+// Debit the wallet for a purchase, then send it with send(). Throws an
+// INSUFFICIENT_BALANCE error when the wallet cannot cover it; if every
+// provider rejects the request the debit is refunded and { success: false }
+// is returned. When a provider may have accepted it, { success: false,
+// pending: true } is returned and the debit stands until the transaction is
+// settled.
+async function runWalletPurchase(userId, purchase, send) {
+  const prefix = purchase.type === 'bundle' ? 'BDL' : 'AIR';
+  const reference = `${prefix}-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+  // Debit the wallet and record the transaction atomically. The ledger locks
+  // the user row, so concurrent purchases cannot overspend the balance.
+  const tx = await withTransaction(async (client) => {
+    const txResult = await client.query(
+      `INSERT INTO transactions (user_id, type, amount, phone_number, network, reference, status, airtime_sent, bundle_id, pricing_rule_id, promo_code_id, created_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW()) RETURNING *`,
+      [userId, purchase.type, purchase.amount, purchase.phoneNumber, purchase.network, reference, 'processing',
+        purchase.airtimeSent || null, purchase.bundleId || null, purchase.pricingRuleId || null, purchase.promo ? purchase.promo.promo.id : null]
     );
+    if (purchase.promo) {
+      // Re-check under lock so the code's caps hold against concurrent purchases
+      const promo = await checkPromoCode({ id: purchase.promo.promo.id }, {
+        userId,
+        kind: purchase.promo.promo.kind,
+        amount: purchase.promo.listPrice,
+        db: client,
+        lock: true
+      });
+      await recordPromoRedemption(client, promo, userId, txResult.rows[0].id, purchase.promo.discount);
+    }
+    await postLedgerEntry(client, {
+      userId,
+      amount: -purchase.amount,
+      counterAccount: purchase.type === 'bundle' ? 'bundle_sales' : 'airtime_sales',
+      entryType: `${purchase.type}_purchase`,
+      transactionId: txResult.rows[0].id,
+      description: purchase.description
+    });
+    return txResult.rows[0];
+  });
 
-    // Initiate STK Push
-    const stkResponse = await initiatePaynectaStkPush(phone_number, amount, reference);
+  // Send through the provider router
+  let dispatch;
+  try {
+    dispatch = await send();
+  } catch (airtimeError) {
+    if (airtimeError.ambiguous) {
+      await markAirtimeUnconfirmed(tx.id, airtimeError);
+      return { success: false, pending: true, transaction_id: tx.id, reference };
+    }
 
-    res.json({ 
-      success: true, 
-      message: 'STK Push sent to your phone', 
-      reference,
-      bonus,
-      paynecta_response: stkResponse 
+    // Refund on failure
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE transactions SET status = $1 WHERE id = $2',
+        ['failed', tx.id]
+      );
+      await refundAirtimePurchase(client, tx);
     });
-  } catch (error) {
-    console.error('Deposit STK error:', error);
-    res.status(500).json({ success: false, message: 'Failed to initiate deposit' });
+
+    return { success: false, transaction_id: tx.id, reference };
   }
-});
 
-// PayNecta callback
-app.post('/api/paynecta/callback', async (req, res) => {
-  try {
-    const { reference, status, mpesa_receipt, amount } = req.body;
-    console.log('PayNecta Callback:', req.body);
+  // Update transaction
+  await recordAirtimeDispatch(tx.id, dispatch, 'completed');
 
-    if (status === 'success' || status === 'completed') {
-      // Get transaction
-      const txResult = await pool.query('SELECT * FROM transactions WHERE reference = $1', [reference]);
-      if (txResult.rows.length > 0) {
-        const tx = txResult.rows[0];
-        const bonus = tx.bonus || 0;
-        const totalAmount = parseFloat(tx.amount) + bonus;
+  // Create notification
+  await pool.query(
+    `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
+     VALUES ($1, $2, $3, $4, NOW(), false)`,
+    [userId, purchase.notification.title, purchase.notification.message, purchase.type]
+  );
 
-        // Update transaction status
-        await pool.query(
-          'UPDATE transactions SET status = $1, mpesa_receipt = $2, completed_at = NOW() WHERE reference = $3',
-          ['completed', mpesa_receipt, reference]
-        );
+  return { success: true, transaction_id: tx.id, reference };
+}
 
-        // Update user balance
-        await pool.query(
-          'UPDATE users SET balance = balance + $1 WHERE id = $2',
-          [totalAmount, tx.user_id]
-        );
+// Buy airtime from a user's wallet balance, optionally with an
+// airtime_discount promo code taken off the price. Throws a LOW_FLOAT error
+// when no provider has float for it; otherwise behaves as runWalletPurchase.
+async function buyAirtimeFromWallet(userId, phoneNumber, amount, { promo = null } = {}) {
+  // Calculate actual airtime to send from the user's pricing
+  const network = detectNetwork(phoneNumber);
+  const userResult = await pool.query('SELECT segment FROM users WHERE id = $1', [userId]);
+  const pricing = await calculateAirtimeAmount(amount, { network, segment: userResult.rows[0]?.segment });
+  const airtimeAmount = pricing.airtime;
+
+  if (!(await airtimeRouter.canServe(airtimeAmount, network))) {
+    const error = new Error('Airtime float too low');
+    error.code = 'LOW_FLOAT';
+    throw error;
+  }
 
-        // Create notification
-        await pool.query(
-          `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
-           VALUES ($1, $2, $3, $4, NOW(), false)`,
-          [tx.user_id, 'Deposit Successful! 💰', `KES ${tx.amount} has been added to your account${bonus > 0 ? ` with +${bonus} bonus!` : ''}`, 'deposit']
-        );
-      }
-    } else {
-      // Update transaction as failed
-      await pool.query(
-        'UPDATE transactions SET status = $1, completed_at = NOW() WHERE reference = $2',
-        ['failed', reference]
-      );
+  const discount = promo ? promoValue(promo, amount) : 0;
+  const result = await runWalletPurchase(userId, {
+    type: 'airtime',
+    amount: amount - discount,
+    phoneNumber,
+    network,
+    airtimeSent: airtimeAmount,
+    pricingRuleId: pricing.rule_id,
+    promo: promo ? { promo, discount, listPrice: amount } : null,
+    description: `Airtime to ${phoneNumber}${promo ? ` (promo ${promo.code})` : ''}`,
+    notification: {
+      title: 'Airtime Sent! 📱',
+      message: `KES ${airtimeAmount} airtime sent to ${phoneNumber}${discount > 0 ? `. You saved KES ${discount} with ${promo.code}` : ''}`
     }
+  }, () => purchaseAirtime(phoneNumber, airtimeAmount, network));
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Callback error:', error);
-    res.status(500).json({ success: false });
-  }
-});
+  return result.success ? { ...result, airtime_sent: airtimeAmount, discount } : result;
+}
 
-// Verify deposit by M-Pesa code
-app.post('/api/deposit/verify', async (req, res) => {
-  try {
-    const { username, mpesa_code } = req.body;
+// Buy a catalogue bundle from a user's wallet balance. Throws a LOW_FLOAT
+// error when no provider can sell it right now.
+async function buyBundleFromWallet(userId, phoneNumber, bundle) {
+  const price = parseFloat(bundle.price);
+  if (!(await airtimeRouter.canServe(price, bundle.network, { bundle: true }))) {
+    const error = new Error('Bundles temporarily unavailable');
+    error.code = 'LOW_FLOAT';
+    throw error;
+  }
 
-    // Get user
-    const userResult = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
+  return runWalletPurchase(userId, {
+    type: 'bundle',
+    amount: price,
+    phoneNumber,
+    network: bundle.network,
+    bundleId: bundle.id,
+    description: `${bundle.name} to ${phoneNumber}`,
+    notification: { title: 'Bundle Sent! 📶', message: `${bundle.name} sent to ${phoneNumber}` }
+  }, () => purchaseBundle(phoneNumber, bundle, bundle.network));
+}
 
-    const user = userResult.rows[0];
+// ============== BUNDLES ==============
 
-    // Check if already processed
-    const existingTx = await pool.query(
-      'SELECT * FROM transactions WHERE mpesa_receipt = $1 AND status = $2',
-      [mpesa_code, 'completed']
-    );
+async function getBundle(id) {
+  const result = await pool.query('SELECT * FROM bundles WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
 
-    if (existingTx.rows.length > 0) {
-      return res.status(400).json({ success: false, message: 'This M-Pesa code has already been used' });
-    }
+// ============== PENDING PURCHASES ==============
+
+// Remember a purchase that could not go through yet, because the wallet
+// could not cover it or because float ran low, with the airtime_discount
+// code it was made with. Retrying the same purchase refreshes the existing
+// request instead of queueing it twice.
+async function recordPendingPurchase(userId, phoneNumber, amount, reason = 'insufficient_balance', promoCodeId = null) {
+  const refreshed = await pool.query(
+    `UPDATE pending_purchases SET expires_at = NOW() + make_interval(hours => $4), reason = $5, promo_code_id = $6
+     WHERE user_id = $1 AND phone_number = $2 AND amount = $3 AND type = 'airtime'
+       AND status IN ('pending', 'awaiting_confirmation')`,
+    [userId, phoneNumber, amount, PENDING_PURCHASE_EXPIRY_HOURS, reason, promoCodeId]
+  );
+  if (refreshed.rowCount > 0) {
+    return;
+  }
 
-    // Check pending transactions
-    const pendingTx = await pool.query(
-      'SELECT * FROM transactions WHERE user_id = $1 AND status = $2 ORDER BY created_at DESC LIMIT 1',
-      [user.id, 'pending']
-    );
+  await pool.query(
+    `INSERT INTO pending_purchases (user_id, phone_number, amount, type, status, reason, promo_code_id, expires_at, created_at) 
+     VALUES ($1, $2, $3, $4, 'pending', $5, $6, NOW() + make_interval(hours => $7), NOW())`,
+    [userId, phoneNumber, amount, 'airtime', reason, promoCodeId, PENDING_PURCHASE_EXPIRY_HOURS]
+  );
+}
 
-    if (pendingTx.rows.length > 0) {
-      const tx = pendingTx.rows[0];
-      const bonus = tx.bonus || 0;
-      const totalAmount = parseFloat(tx.amount) + bonus;
+// The promo code a pending purchase was queued with, checked again now.
+// Resolves null when it had none; throws PROMO_INVALID when it can no
+// longer be used.
+async function pendingPurchasePromo(purchase) {
+  if (!purchase.promo_code_id) {
+    return null;
+  }
+  return checkPromoCode({ id: purchase.promo_code_id }, {
+    userId: purchase.user_id,
+    kind: 'airtime_discount',
+    amount: parseFloat(purchase.amount)
+  });
+}
 
-      // Update transaction
+// Execute one pending purchase from the wallet and record how it ended.
+// Returns 'fulfilled', 'failed', or 'insufficient_balance' / 'low_float'
+// when it has to keep waiting. Any other error marks the request failed
+// rather than leaving it claimed; it is not retried, as the wallet may
+// already have been charged.
+async function fulfilPendingPurchase(purchase) {
+  let result;
+  try {
+    const promo = await pendingPurchasePromo(purchase);
+    result = await buyAirtimeFromWallet(purchase.user_id, purchase.phone_number, parseFloat(purchase.amount), { promo });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return 'insufficient_balance';
+    }
+    if (error.code === 'LOW_FLOAT') {
+      return 'low_float';
+    }
+    if (error.code === 'PROMO_INVALID') {
+      // Not bought at a price the user never agreed to; they can buy again without the code
       await pool.query(
-        'UPDATE transactions SET status = $1, mpesa_receipt = $2, completed_at = NOW() WHERE id = $3',
-        ['completed', mpesa_code, tx.id]
+        "UPDATE pending_purchases SET status = 'failed', failure_reason = $1, resolved_at = NOW() WHERE id = $2",
+        [error.message, purchase.id]
       );
-
-      // Update balance
       await pool.query(
-        'UPDATE users SET balance = balance + $1 WHERE id = $2',
-        [totalAmount, user.id]
+        `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
+         VALUES ($1, $2, $3, $4, NOW(), false)`,
+        [purchase.user_id, 'Airtime purchase not completed', `KES ${purchase.amount} airtime to ${purchase.phone_number} was not bought: ${error.message}. Nothing was charged.`, 'pending_purchase']
       );
+      return 'failed';
+    }
+    await pool.query(
+      "UPDATE pending_purchases SET status = 'failed', failure_reason = $1, resolved_at = NOW() WHERE id = $2 AND status = 'processing'",
+      [error.message, purchase.id]
+    ).catch(updateError => console.error('Pending purchase update error:', updateError));
+    throw error;
+  }
 
-      return res.json({ 
-        success: true, 
-        message: `Deposit verified! KES ${tx.amount} + ${bonus} bonus added to your account.` 
-      });
+  // An unconfirmed delivery was still paid for, so the request is done either way
+  const status = result.success || result.pending ? 'fulfilled' : 'failed';
+  await pool.query(
+    `UPDATE pending_purchases SET status = $1, transaction_id = $2, failure_reason = $3, resolved_at = NOW()
+     WHERE id = $4`,
+    [status, result.transaction_id, status === 'failed' ? 'Airtime delivery failed' : null, purchase.id]
+  );
+  return status;
+}
+
+// Called after a deposit is credited: buy the user's outstanding purchases
+// straight away, or ask them to confirm, depending on their preference
+async function processPendingPurchases(userId) {
+  const userResult = await pool.query('SELECT pending_purchase_mode FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    return;
+  }
+  const auto = userResult.rows[0].pending_purchase_mode === 'auto';
+
+  if (!auto) {
+    // Only ask about the purchases the new balance covers, oldest first
+    const balanceResult = await pool.query('SELECT balance FROM users WHERE id = $1', [userId]);
+    const open = await pool.query(
+      `SELECT * FROM pending_purchases
+       WHERE user_id = $1 AND status = 'pending' AND reason = 'insufficient_balance' AND expires_at > NOW()
+       ORDER BY created_at ASC, id ASC`,
+      [userId]
+    );
+    let available = parseFloat(balanceResult.rows[0].balance);
+    const covered = [];
+    for (const purchase of open.rows) {
+      const promo = await pendingPurchasePromo(purchase).catch(() => null);
+      const price = parseFloat(purchase.amount) - (promo ? promoValue(promo, parseFloat(purchase.amount)) : 0);
+      if (price > available) {
+        break;
+      }
+      available -= price;
+      covered.push(purchase.id);
     }
 
-    res.status(404).json({ success: false, message: 'No pending deposit found' });
-  } catch (error) {
-    console.error('Verify deposit error:', error);
-    res.status(500).json({ success: false, message: 'Verification failed' });
+    // Claiming by status means a second deposit landing at the same time cannot notify twice
+    const promoted = await pool.query(
+      `UPDATE pending_purchases SET status = 'awaiting_confirmation'
+       WHERE id = ANY($1) AND status = 'pending'
+       RETURNING *`,
+      [covered]
+    );
+    for (const purchase of promoted.rows.sort((a, b) => a.created_at - b.created_at)) {
+      await pool.query(
+        `INSERT INTO notifications (user_id, title, message, type, data, created_at, is_read) 
+         VALUES ($1, $2, $3, $4, $5, NOW(), false)`,
+        [userId, 'Complete your airtime purchase 📱', `Your balance now covers KES ${purchase.amount} airtime to ${purchase.phone_number}. Tap to confirm.`, 'pending_purchase', JSON.stringify({ pending_purchase_id: purchase.id })]
+      );
+    }
+    return;
   }
-});
 
-// Query deposit status
-app.get('/api/deposit/status/:reference', async (req, res) => {
+  // Claim the open requests so a second deposit landing at the same time cannot act on them too
+  const claimed = await pool.query(
+    `UPDATE pending_purchases SET status = 'processing'
+     WHERE user_id = $1 AND status = 'pending' AND reason = 'insufficient_balance' AND expires_at > NOW()
+     RETURNING *`,
+    [userId]
+  );
+  const purchases = claimed.rows.sort((a, b) => a.created_at - b.created_at);
+
+  try {
+    for (const purchase of purchases) {
+      const outcome = await fulfilPendingPurchase(purchase);
+      if (outcome === 'insufficient_balance' || outcome === 'low_float') {
+        // Return it and everything after it to the queue
+        await pool.query(
+          "UPDATE pending_purchases SET status = 'pending', reason = $2 WHERE id = ANY($1) AND status = 'processing'",
+          [purchases.map(row => row.id), outcome]
+        );
+        break;
+      }
+    }
+  } finally {
+    // After an error, whatever was claimed but not tried goes back in the queue
+    await pool.query(
+      "UPDATE pending_purchases SET status = 'pending' WHERE id = ANY($1) AND status = 'processing'",
+      [purchases.map(row => row.id)]
+    );
+  }
+}
+
+// Called after float is topped up: send the purchases queued while it was low
+async function processFloatQueue() {
+  const claimed = await pool.query(
+    `UPDATE pending_purchases SET status = 'processing'
+     WHERE status = 'pending' AND reason = 'low_float' AND expires_at > NOW()
+     RETURNING *`
+  );
+  const purchases = claimed.rows.sort((a, b) => a.created_at - b.created_at);
+  const results = { fulfilled: 0, failed: 0, waiting: 0 };
+
+  try {
+    for (const purchase of purchases) {
+      const outcome = await fulfilPendingPurchase(purchase);
+      if (outcome === 'fulfilled' || outcome === 'failed') {
+        results[outcome]++;
+        continue;
+      }
+
+      // Back in the queue, now either for float or for a top-up by the user
+      results.waiting++;
+      await pool.query(
+        "UPDATE pending_purchases SET status = 'pending', reason = $1 WHERE id = $2",
+        [outcome, purchase.id]
+      );
+      if (outcome === 'low_float') {
+        // Float ran out again; leave the rest queued as they are
+        results.waiting += purchases.length - purchases.indexOf(purchase) - 1;
+        break;
+      }
+    }
+  } finally {
+    // Whatever was claimed but not tried goes back in the queue, also after an error
+    await pool.query(
+      "UPDATE pending_purchases SET status = 'pending' WHERE id = ANY($1) AND status = 'processing'",
+      [purchases.map(row => row.id)]
+    );
+  }
+  return results;
+}
+
+// ============== BULK AIRTIME ==============
+
+// Header cells a bulk CSV may start with
+const BULK_CSV_HEADER_CELL = /phone|msisdn|number|amount/i;
+
+// Rows from a CSV of "phone,amount" lines. A first line of header text is
+// skipped; any other first line is a row, so a typo in it is reported.
+function parseBulkCsv(text) {
+  const rows = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    if (!line.trim()) {
+      continue;
+    }
+    const cells = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+    if (rows.length === 0 && isNaN(parseFloat(cells[1])) && cells.some(cell => BULK_CSV_HEADER_CELL.test(cell))) {
+      continue;
+    }
+    rows.push({ phone_number: cells[0], amount: cells[1] });
+  }
+  return rows;
+}
+
+// Check every row before anything is charged. Returns { rows, errors } where
+// errors name the 1-based row and what is wrong with it.
+function validateBulkRows(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { rows: [], errors: [{ row: null, message: 'No recipients given' }] };
+  }
+  if (input.length > BULK_AIRTIME_MAX_ROWS) {
+    return { rows: [], errors: [{ row: null, message: `At most ${BULK_AIRTIME_MAX_ROWS} recipients per batch` }] };
+  }
+
+  const rows = [];
+  const errors = [];
+  input.forEach((item, index) => {
+    const phone = parsePhoneNumber(item?.phone_number);
+    const amount = Number(item?.amount);
+    if (!phone) {
+      errors.push({ row: index + 1, message: 'Invalid phone number' });
+    } else if (!Number.isFinite(amount) || amount < 5) {
+      errors.push({ row: index + 1, message: 'Amount must be at least KES 5' });
+    } else if (Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) {
+      errors.push({ row: index + 1, message: 'Amount can have at most two decimal places' });
+    } else {
+      rows.push({ row_number: index + 1, phone_number: phone.msisdn, network: phone.network, amount: Math.round(amount * 100) / 100 });
+    }
+  });
+  return { rows, errors };
+}
+
+// Total of validated rows, in whole cents like the amounts stored per row
+function bulkTotal(rows) {
+  return rows.reduce((sum, row) => sum + Math.round(row.amount * 100), 0) / 100;
+}
+
+// Record a batch and debit its total from the wallet in one DB transaction.
+// Throws an INSUFFICIENT_BALANCE error when the wallet cannot cover it.
+async function createAirtimeBatch(userId, rows, name = null) {
+  const total = bulkTotal(rows);
+  const reference = `BULK-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+  const batch = await withTransaction(async (client) => {
+    const batchResult = await client.query(
+      `INSERT INTO airtime_batches (user_id, reference, name, row_count, total_amount, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING *`,
+      [userId, reference, name, rows.length, total]
+    );
+    await client.query(
+      `INSERT INTO airtime_batch_items (batch_id, row_number, phone_number, network, amount)
+       SELECT $1, * FROM unnest($2::int[], $3::text[], $4::text[], $5::numeric[])`,
+      [
+        batchResult.rows[0].id,
+        rows.map(row => row.row_number),
+        rows.map(row => row.phone_number),
+        rows.map(row => row.network),
+        rows.map(row => row.amount)
+      ]
+    );
+    await postLedgerEntry(client, {
+      userId,
+      amount: -total,
+      counterAccount: 'airtime_sales',
+      entryType: 'bulk_airtime',
+      description: `Bulk airtime ${reference} (${rows.length} recipients)`
+    });
+    return batchResult.rows[0];
+  });
+
+  runBulkAirtimeWorker();
+  return batch;
+}
+
+// Send the next pending row of any active batch. Returns false when there
+// is nothing left to do. Each claim carries its own token, and the row is
+// only written while it still holds that token, so a row whose claim expired
+// and was taken over is never sent twice. If sending throws, the row is put
+// back: queued again when no transaction was created for it (so nothing was
+// sent), otherwise unconfirmed for the reconciler to settle.
+async function processNextBatchItem() {
+  const claimed = await pool.query(
+    `UPDATE airtime_batch_items SET status = 'processing', claim_token = $1, claimed_at = NOW()
+     WHERE id = (
+       SELECT i.id FROM airtime_batch_items i
+       JOIN airtime_batches b ON b.id = i.batch_id
+       WHERE i.status = 'pending' AND b.status IN ('queued', 'processing')
+       ORDER BY i.batch_id, i.row_number
+       LIMIT 1
+       FOR UPDATE OF i SKIP LOCKED
+     )
+     RETURNING *`,
+    [uuidv4()]
+  );
+  if (claimed.rows.length === 0) {
+    return false;
+  }
+  const item = claimed.rows[0];
+
+  try {
+    await processBatchItem(item);
+  } catch (error) {
+    await pool.query(
+      `UPDATE airtime_batch_items
+       SET status = CASE WHEN transaction_id IS NULL THEN 'pending' ELSE 'unconfirmed' END,
+           failure_reason = CASE WHEN transaction_id IS NULL THEN NULL ELSE $2 END,
+           processed_at = CASE WHEN transaction_id IS NULL THEN NULL ELSE NOW() END
+       WHERE id = $1 AND status = 'processing' AND claim_token = $3`,
+      [item.id, error.message, item.claim_token]
+    ).catch(updateError => console.error('Bulk airtime item reset error:', updateError));
+    throw error;
+  }
+  return true;
+}
+
+async function processBatchItem(item) {
+  const batchResult = await pool.query(
+    `UPDATE airtime_batches SET status = 'processing', started_at = COALESCE(started_at, NOW())
+     WHERE id = $1 AND status IN ('queued', 'processing')
+     RETURNING airtime_batches.*, (SELECT segment FROM users WHERE id = airtime_batches.user_id)`,
+    [item.batch_id]
+  );
+  const batch = batchResult.rows[0];
+  if (!batch) {
+    // Cancelled after this row was claimed, so the cancellation did not refund it
+    await withTransaction(async (client) => {
+      const held = await client.query(
+        "SELECT id FROM airtime_batch_items WHERE id = $1 AND status = 'processing' AND claim_token = $2 FOR UPDATE",
+        [item.id, item.claim_token]
+      );
+      if (held.rows.length > 0) {
+        await refundCancelledBatchItems(item.batch_id, [item], client);
+      }
+    });
+    return;
+  }
+
+  const amount = parseFloat(item.amount);
+  const pricing = await calculateAirtimeAmount(amount, { network: item.network, segment: batch.segment });
+  const reference = `AIR-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+  // The batch total was debited up front, so the row's transaction only
+  // records the sale. It is linked to the row in the same DB transaction, so
+  // a row without one was never sent. No link means the claim was lost.
+  let tx;
+  try {
+    tx = await withTransaction(async (client) => {
+      const txResult = await client.query(
+        `INSERT INTO transactions (user_id, type, amount, phone_number, network, reference, status, airtime_sent, pricing_rule_id, batch_id, created_at)
+         VALUES ($1, 'airtime', $2, $3, $4, $5, 'processing', $6, $7, $8, NOW()) RETURNING *`,
+        [batch.user_id, amount, item.phone_number, item.network, reference, pricing.airtime, pricing.rule_id, batch.id]
+      );
+      const linked = await client.query(
+        "UPDATE airtime_batch_items SET transaction_id = $1 WHERE id = $2 AND status = 'processing' AND claim_token = $3",
+        [txResult.rows[0].id, item.id, item.claim_token]
+      );
+      if (linked.rowCount === 0) {
+        const error = new Error(`Claim on row ${item.row_number} of batch ${item.batch_id} was lost`);
+        error.code = 'CLAIM_LOST';
+        throw error;
+      }
+      return txResult.rows[0];
+    });
+  } catch (error) {
+    if (error.code === 'CLAIM_LOST') {
+      console.warn(`Bulk airtime: ${error.message}; not sending`);
+      return;
+    }
+    throw error;
+  }
+
+  let dispatch;
+  try {
+    dispatch = await purchaseAirtime(item.phone_number, pricing.airtime, item.network);
+  } catch (airtimeError) {
+    if (airtimeError.ambiguous) {
+      await markAirtimeUnconfirmed(tx.id, airtimeError);
+      await pool.query(
+        "UPDATE airtime_batch_items SET status = 'unconfirmed', failure_reason = $1, processed_at = NOW() WHERE id = $2",
+        [airtimeError.message, item.id]
+      );
+    } else {
+      // Refund just this row
+      await withTransaction(async (client) => {
+        await client.query("UPDATE transactions SET status = 'failed', failure_reason = $1 WHERE id = $2", [airtimeError.message, tx.id]);
+        await refundAirtimePurchase(client, tx);
+        await client.query(
+          "UPDATE airtime_batch_items SET status = 'failed', failure_reason = $1, processed_at = NOW() WHERE id = $2",
+          [airtimeError.message, item.id]
+        );
+      });
+    }
+    await finishBatchIfDone(batch);
+    return;
+  }
+
+  await recordAirtimeDispatch(tx.id, dispatch, 'completed');
+  await pool.query("UPDATE airtime_batch_items SET status = 'completed', processed_at = NOW() WHERE id = $1", [item.id]);
+  await finishBatchIfDone(batch);
+}
+
+// Close a batch once none of its rows are waiting, and tell the owner how it went
+async function finishBatchIfDone(batch) {
+  const finished = await pool.query(
+    `UPDATE airtime_batches SET status = 'completed', finished_at = NOW()
+     WHERE id = $1 AND status = 'processing'
+       AND NOT EXISTS (SELECT 1 FROM airtime_batch_items WHERE batch_id = $1 AND status IN ('pending', 'processing'))
+     RETURNING id`,
+    [batch.id]
+  );
+  if (finished.rows.length === 0) {
+    return;
+  }
+
+  const summary = await getBatchSummary(batch.id);
+  await pool.query(
+    `INSERT INTO notifications (user_id, title, message, type, data, created_at, is_read)
+     VALUES ($1, $2, $3, $4, $5, NOW(), false)`,
+    [
+      batch.user_id,
+      'Bulk Airtime Done 📱',
+      `${batch.reference}: ${summary.completed} of ${batch.row_count} sent${summary.failed > 0 ? `, ${summary.failed} failed and refunded` : ''}`,
+      'bulk_airtime',
+      JSON.stringify({ batch_id: batch.id })
+    ]
+  );
+}
+
+// Return cancelled rows' amounts to the batch owner and mark them cancelled
+async function refundCancelledBatchItems(batchId, items, db = null) {
+  const refund = async (client) => {
+    const batchResult = await client.query('SELECT user_id, reference FROM airtime_batches WHERE id = $1', [batchId]);
+    const total = Math.round(items.reduce((sum, item) => sum + parseFloat(item.amount), 0) * 100) / 100;
+    await client.query(
+      "UPDATE airtime_batch_items SET status = 'cancelled', processed_at = NOW() WHERE id = ANY($1)",
+      [items.map(item => item.id)]
+    );
+    if (total > 0) {
+      await postLedgerEntry(client, {
+        userId: batchResult.rows[0].user_id,
+        amount: total,
+        counterAccount: 'airtime_sales',
+        entryType: 'refund',
+        description: `Refund for ${items.length} cancelled rows of ${batchResult.rows[0].reference}`
+      });
+    }
+    return total;
+  };
+  return db ? refund(db) : withTransaction(refund);
+}
+
+// Row counts by outcome. A row's transaction is the source of truth once it
+// exists, since callbacks and the reconciler can settle it later.
+async function getBatchSummary(batchId) {
+  const result = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE COALESCE(t.status, i.status) = 'completed') AS completed,
+            COUNT(*) FILTER (WHERE COALESCE(t.status, i.status) = 'failed') AS failed,
+            COUNT(*) FILTER (WHERE i.status = 'cancelled') AS cancelled,
+            COUNT(*) FILTER (WHERE i.status = 'pending') AS pending,
+            COUNT(*) FILTER (WHERE t.status = 'processing') AS processing,
+            COALESCE(SUM(i.amount) FILTER (WHERE COALESCE(t.status, i.status) IN ('failed', 'cancelled')), 0) AS refunded_amount
+     FROM airtime_batch_items i
+     LEFT JOIN transactions t ON t.id = i.transaction_id
+     WHERE i.batch_id = $1`,
+    [batchId]
+  );
+  const row = result.rows[0];
+  return {
+    completed: parseInt(row.completed, 10),
+    failed: parseInt(row.failed, 10),
+    cancelled: parseInt(row.cancelled, 10),
+    pending: parseInt(row.pending, 10),
+    processing: parseInt(row.processing, 10),
+    refunded_amount: parseFloat(row.refunded_amount)
+  };
+}
+
+// Work through queued rows one at a time, pausing between them. Only one
+// loop runs per process; other instances share the queue through SKIP LOCKED.
+// After an unexpected error the loop stops and starts again
+// BULK_AIRTIME_RETRY_MS later, rather than spinning on the same failure.
+let bulkWorkerRunning = false;
+
+async function runBulkAirtimeWorker() {
+  if (bulkWorkerRunning) {
+    return;
+  }
+  bulkWorkerRunning = true;
+  try {
+    while (await processNextBatchItem()) {
+      await new Promise(resolve => setTimeout(resolve, BULK_AIRTIME_INTERVAL_MS));
+    }
+  } catch (error) {
+    console.error('Bulk airtime worker error:', error);
+    setTimeout(runBulkAirtimeWorker, BULK_AIRTIME_RETRY_MS);
+  } finally {
+    bulkWorkerRunning = false;
+  }
+}
+
+// Release rows whose claim has outlived BULK_AIRTIME_CLAIM_MINUTES, so the
+// process holding them has stopped mid-send. A row is only retried if no
+// transaction was created for it; otherwise the reconciler settles its
+// transaction. A row whose batch was cancelled meanwhile is refunded.
+// Rows left unconfirmed without a transaction were never sent, so they are
+// queued again too. Returns the number of rows queued again.
+async function releaseExpiredBatchClaims() {
+  const released = await withTransaction(async (client) => {
+    const expired = await client.query(
+      `SELECT i.*, b.status AS batch_status
+       FROM airtime_batch_items i
+       JOIN airtime_batches b ON b.id = i.batch_id
+       WHERE (i.status = 'processing' AND (i.claimed_at IS NULL OR i.claimed_at < NOW() - make_interval(mins => $1)))
+          OR (i.status = 'unconfirmed' AND i.transaction_id IS NULL)
+       FOR UPDATE OF i SKIP LOCKED`,
+      [BULK_AIRTIME_CLAIM_MINUTES]
+    );
+    const unsent = expired.rows.filter(item => item.transaction_id === null);
+    const sent = expired.rows.filter(item => item.transaction_id !== null);
+    const requeue = unsent.filter(item => item.batch_status !== 'cancelled');
+    const cancelled = unsent.filter(item => item.batch_status === 'cancelled');
+
+    await client.query(
+      "UPDATE airtime_batch_items SET status = 'unconfirmed', claim_token = NULL WHERE id = ANY($1)",
+      [sent.map(item => item.id)]
+    );
+    await client.query(
+      "UPDATE airtime_batch_items SET status = 'pending', claim_token = NULL, claimed_at = NULL WHERE id = ANY($1)",
+      [requeue.map(item => item.id)]
+    );
+    for (const batchId of new Set(cancelled.map(item => item.batch_id))) {
+      await refundCancelledBatchItems(batchId, cancelled.filter(item => item.batch_id === batchId), client);
+    }
+    return requeue.length;
+  });
+
+  // Batches whose last rows were caught mid-send have nothing left to queue
+  const stalled = await pool.query("SELECT * FROM airtime_batches WHERE status = 'processing'");
+  for (const batch of stalled.rows) {
+    await finishBatchIfDone(batch);
+  }
+  return released;
+}
+
+// Pick up batches left unfinished by a restart
+async function startBulkAirtimeWorker() {
+  try {
+    await releaseExpiredBatchClaims();
+  } catch (error) {
+    console.error('Bulk airtime recovery error:', error);
+  }
+  runBulkAirtimeWorker();
+}
+
+// ============== SCHEDULED TOP-UPS ==============
+
+// Kenya has no daylight saving, so Nairobi local time is always UTC+3
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+// Next time a schedule is due strictly after `after`, or null when a one-off
+// schedule has nothing left. Days and times are Nairobi local; a
+// day_of_month past the end of a short month runs on its last day.
+function nextScheduleRun(schedule, after = new Date()) {
+  const [hours, minutes] = String(schedule.time_of_day).split(':').map(Number);
+  const startDate = schedule.start_date ? new Date(`${formatDateOnly(schedule.start_date)}T00:00:00Z`) : null;
+
+  // Work on a clock shifted to Nairobi time and read it with the UTC getters
+  let from = new Date(after.getTime() + NAIROBI_OFFSET_MS);
+  if (startDate && startDate > from) {
+    from = new Date(startDate.getTime() - 1);
+  }
+  const at = (year, month, day) => {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(day, lastDay), hours, minutes));
+  };
+
+  let candidate;
+  if (schedule.frequency === 'once') {
+    candidate = at(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate());
+    return candidate > from ? new Date(candidate.getTime() - NAIROBI_OFFSET_MS) : null;
+  }
+
+  if (schedule.frequency === 'monthly') {
+    candidate = at(from.getUTCFullYear(), from.getUTCMonth(), schedule.day_of_month);
+    if (candidate <= from) {
+      candidate = at(from.getUTCFullYear(), from.getUTCMonth() + 1, schedule.day_of_month);
+    }
+  } else {
+    candidate = at(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+    if (schedule.frequency === 'weekly') {
+      candidate.setUTCDate(candidate.getUTCDate() + (schedule.day_of_week - candidate.getUTCDay() + 7) % 7);
+    }
+    if (candidate <= from) {
+      candidate.setUTCDate(candidate.getUTCDate() + (schedule.frequency === 'weekly' ? 7 : 1));
+    }
+  }
+  return new Date(candidate.getTime() - NAIROBI_OFFSET_MS);
+}
+
+// pg returns DATE columns as local-midnight Date objects; the API takes YYYY-MM-DD strings
+function formatDateOnly(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+// Run one due schedule through the normal wallet purchase. The schedule is
+// moved on to its next occurrence before anything is bought, so a crash
+// mid-purchase cannot buy the same occurrence twice.
+async function runSchedule(schedule) {
+  const scheduledFor = schedule.next_run_at;
+  const attempt = schedule.retry_count + 1;
+  const next = nextScheduleRun(schedule, new Date(Math.max(Date.now(), scheduledFor.getTime())));
+
+  const claimed = await pool.query(
+    `UPDATE airtime_schedules
+     SET next_run_at = $1, status = CASE WHEN $1::timestamptz IS NULL THEN 'completed' ELSE status END,
+         retry_count = 0, last_run_at = NOW()
+     WHERE id = $2 AND status = 'active' AND next_run_at <= NOW()
+     RETURNING id`,
+    [next, schedule.id]
+  );
+  if (claimed.rows.length === 0) {
+    return null;
+  }
+
+  const runResult = await pool.query(
+    'INSERT INTO airtime_schedule_runs (schedule_id, scheduled_for, attempt, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id',
+    [schedule.id, scheduledFor, attempt]
+  );
+  const runId = runResult.rows[0].id;
+
+  let status;
+  let message = null;
+  let transactionId = null;
+  try {
+    const purchase = await buyAirtimeFromWallet(schedule.user_id, schedule.phone_number, parseFloat(schedule.amount));
+    transactionId = purchase.transaction_id;
+    status = purchase.success ? 'completed' : purchase.pending ? 'pending' : 'failed';
+    if (status === 'failed') {
+      message = 'Airtime delivery failed; amount refunded';
+    }
+  } catch (error) {
+    if (error.code !== 'INSUFFICIENT_BALANCE' && error.code !== 'LOW_FLOAT') {
+      await pool.query(
+        "UPDATE airtime_schedule_runs SET status = 'failed', message = $1, finished_at = NOW() WHERE id = $2",
+        [error.message, runId]
+      );
+      throw error;
+    }
+    status = error.code === 'INSUFFICIENT_BALANCE' ? 'insufficient_balance' : 'low_float';
+    message = error.message;
+  }
+
+  await pool.query(
+    'UPDATE airtime_schedule_runs SET status = $1, message = $2, transaction_id = $3, finished_at = NOW() WHERE id = $4',
+    [status, message, transactionId, runId]
+  );
+
+  if (status === 'insufficient_balance' || status === 'low_float') {
+    await retryScheduleLater(schedule, scheduledFor, attempt, next, status);
+  }
+  return status;
+}
+
+// Bring a run that could not go through back round after SCHEDULE_RETRY_MINUTES,
+// unless retries are used up or the next occurrence comes first
+async function retryScheduleLater(schedule, scheduledFor, attempt, next, reason) {
+  const retryAt = new Date(Date.now() + SCHEDULE_RETRY_MINUTES * 60 * 1000);
+  const canRetry = attempt <= SCHEDULE_MAX_RETRIES && (next === null || retryAt < next);
+
+  if (canRetry) {
+    await pool.query(
+      `UPDATE airtime_schedules SET next_run_at = $1, status = 'active', retry_count = $2
+       WHERE id = $3 AND status IN ('active', 'completed')`,
+      [retryAt, attempt, schedule.id]
+    );
+  }
+
+  // Tell the user on the first miss and when the occurrence is given up
+  if (attempt > 1 && canRetry) {
+    return;
+  }
+  const what = `KES ${schedule.amount} airtime to ${schedule.phone_number}`;
+  const why = reason === 'insufficient_balance' ? 'your balance is too low' : 'airtime is temporarily unavailable';
+  await pool.query(
+    `INSERT INTO notifications (user_id, title, message, type, data, created_at, is_read)
+     VALUES ($1, $2, $3, $4, $5, NOW(), false)`,
+    [
+      schedule.user_id,
+      canRetry ? 'Scheduled Top-up Delayed ⏰' : 'Scheduled Top-up Skipped ⚠️',
+      canRetry
+        ? `We couldn't send ${what} because ${why}. We'll try again in ${SCHEDULE_RETRY_MINUTES} minutes.`
+        : `We couldn't send ${what} because ${why}, so this top-up was skipped.`,
+      'schedule',
+      JSON.stringify({ schedule_id: schedule.id, scheduled_for: scheduledFor })
+    ]
+  );
+  if (!canRetry) {
+    await pool.query(
+      "INSERT INTO airtime_schedule_runs (schedule_id, scheduled_for, attempt, status, message, created_at, finished_at) VALUES ($1, $2, $3, 'skipped', $4, NOW(), NOW())",
+      [schedule.id, scheduledFor, attempt, `Gave up after ${attempt} attempts`]
+    );
+  }
+}
+
+// Arbitrary key so only one server instance runs schedules at a time
+const SCHEDULER_LOCK_ID = 7412095;
+
+async function runDueSchedules() {
+  const lockClient = await pool.connect();
+  try {
+    const lock = await lockClient.query('SELECT pg_try_advisory_lock($1) AS locked', [SCHEDULER_LOCK_ID]);
+    if (!lock.rows[0].locked) {
+      return;
+    }
+    try {
+      const due = await pool.query(
+        `SELECT s.* FROM airtime_schedules s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.status = 'active' AND s.next_run_at <= NOW() AND u.is_active = true
+         ORDER BY s.next_run_at ASC
+         LIMIT 100`
+      );
+      for (const schedule of due.rows) {
+        await runSchedule(schedule).catch(error => console.error(`Schedule ${schedule.id} error:`, error));
+      }
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock($1)', [SCHEDULER_LOCK_ID]);
+    }
+  } finally {
+    lockClient.release();
+  }
+}
+
+function startScheduler() {
+  if (SCHEDULER_INTERVAL_SECONDS <= 0) {
+    console.log('Scheduler disabled');
+    return;
+  }
+  setInterval(() => {
+    runDueSchedules().catch(error => console.error('Scheduler error:', error));
+  }, SCHEDULER_INTERVAL_SECONDS * 1000);
+}
+
+// ============== AIRTIME TO CASH ==============
+
+// Allowed moves between conversion statuses
+const CONVERSION_TRANSITIONS = {
+  initiated: ['airtime_received', 'rejected'],
+  airtime_received: ['approved', 'rejected'],
+  approved: ['paid', 'rejected'],
+  paid: [],
+  rejected: []
+};
+
+// What the user is told at each step
+const CONVERSION_NOTIFICATIONS = {
+  airtime_received: (c) => ['Airtime Received 📥', `We've received KES ${c.amount} airtime for ${c.reference}. It's being reviewed.`],
+  approved: (c) => ['Conversion Approved ✅', `${c.reference} is approved. KES ${c.cashback_amount} is on its way to ${c.phone_number} via M-Pesa.`],
+  paid: (c) => c.payout_method === 'wallet'
+    ? ['Cashback Paid 💰', `KES ${c.cashback_amount} for ${c.reference} has been added to your wallet.`]
+    : ['Cashback Paid 💰', `KES ${c.cashback_amount} for ${c.reference} has been sent to ${c.phone_number}.`],
+  rejected: (c) => ['Conversion Rejected ❌', `${c.reference} was rejected${c.rejection_reason ? `: ${c.rejection_reason}` : ''}.`]
+};
+
+// Move a conversion to `status` on an admin's behalf. Approving with the
+// wallet payout credits the cashback and completes it as paid in one go.
+// Approving with the M-Pesa payout sends the cashback through the payout
+// provider as a withdrawal; the conversion stays approved until that
+// withdrawal settles (see settleConversionPayout).
+// Throws NOT_FOUND, INVALID_TRANSITION or INVALID_INPUT errors.
+async function transitionConversion(req, id, status, { reason = null, payoutMethod = 'wallet', payoutReference = null } = {}) {
+  const fail = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  };
+
+  const { result, payout } = await withTransaction(async (client) => {
+    const current = await client.query('SELECT * FROM airtime_conversions WHERE id = $1 FOR UPDATE', [id]);
+    if (current.rows.length === 0) {
+      throw fail('NOT_FOUND', 'Conversion not found');
+    }
+    const conversion = current.rows[0];
+    if (!(CONVERSION_TRANSITIONS[conversion.status] || []).includes(status)) {
+      throw fail('INVALID_TRANSITION', `Cannot move a conversion from ${conversion.status} to ${status}`);
+    }
+    if (conversion.payout_transaction_id) {
+      throw fail('INVALID_TRANSITION', 'The M-Pesa payout for this conversion is in progress; it is settled when the payout is');
+    }
+
+    let updated;
+    let payout = null;
+    if (status === 'airtime_received') {
+      updated = await client.query(
+        "UPDATE airtime_conversions SET status = 'airtime_received', received_at = NOW() WHERE id = $1 RETURNING *",
+        [id]
+      );
+    } else if (status === 'approved') {
+      if (!['wallet', 'mpesa'].includes(payoutMethod)) {
+        throw fail('INVALID_INPUT', 'payout_method must be wallet or mpesa');
+      }
+      if (payoutMethod === 'mpesa' && !payoutProvider) {
+        throw fail('INVALID_INPUT', 'M-Pesa payouts are not configured; pay the cashback to the wallet');
+      }
+      if (payoutMethod === 'mpesa' && parsePhoneNumber(conversion.phone_number)?.network !== 'safaricom') {
+        throw fail('INVALID_INPUT', 'M-Pesa payouts can only go to a Safaricom number; pay the cashback to the wallet');
+      }
+      if (payoutMethod === 'mpesa') {
+        payout = await createConversionPayout(client, conversion);
+      }
+      await postLedgerEntry(client, {
+        userId: conversion.user_id,
+        amount: parseFloat(conversion.cashback_amount),
+        counterAccount: 'airtime_conversions',
+        entryType: 'airtime_conversion',
+        transactionId: payout ? payout.id : null,
+        description: `Cashback for ${conversion.reference}`
+      });
+      if (payout) {
+        // Straight back out of the wallet to M-Pesa
+        await postLedgerEntry(client, {
+          userId: conversion.user_id,
+          amount: -parseFloat(conversion.cashback_amount),
+          counterAccount: 'mpesa_payouts',
+          entryType: 'withdrawal',
+          transactionId: payout.id,
+          description: `Withdrawal ${payout.reference} of cashback for ${conversion.reference}`
+        });
+      }
+      updated = await client.query(
+        `UPDATE airtime_conversions
+         SET status = $1::text, payout_method = $2, payout_transaction_id = $3, approved_at = NOW(),
+             paid_at = CASE WHEN $1::text = 'paid' THEN NOW() END, completed_at = CASE WHEN $1::text = 'paid' THEN NOW() END
+         WHERE id = $4 RETURNING *`,
+        [payoutMethod === 'wallet' ? 'paid' : 'approved', payoutMethod, payout ? payout.id : null, id]
+      );
+    } else if (status === 'paid') {
+      if (!payoutReference) {
+        throw fail('INVALID_INPUT', 'payout_reference required');
+      }
+      updated = await client.query(
+        "UPDATE airtime_conversions SET status = 'paid', payout_reference = $1, paid_at = NOW(), completed_at = NOW() WHERE id = $2 RETURNING *",
+        [payoutReference, id]
+      );
+    } else {
+      if (!reason) {
+        throw fail('INVALID_INPUT', 'A reason is required to reject a conversion');
+      }
+      updated = await client.query(
+        "UPDATE airtime_conversions SET status = 'rejected', rejection_reason = $1, rejected_at = NOW(), completed_at = NOW() WHERE id = $2 RETURNING *",
+        [reason, id]
+      );
+    }
+    const result = updated.rows[0];
+
+    const [title, message] = CONVERSION_NOTIFICATIONS[result.status](result);
+    await client.query(
+      `INSERT INTO notifications (user_id, title, message, type, data, created_at, is_read)
+       VALUES ($1, $2, $3, $4, $5, NOW(), false)`,
+      [result.user_id, title, message, 'airtime_conversion', JSON.stringify({ conversion_id: result.id })]
+    );
+    await logAdminAction(req, `conversion.${status}`, 'airtime_conversion', id, {
+      before: { status: conversion.status },
+      after: { status: result.status },
+      reason,
+      payout_method: result.payout_method,
+      payout_reference: payoutReference,
+      payout_transaction_id: result.payout_transaction_id
+    }, client);
+
+    return { result, payout };
+  });
+
+  if (!payout) {
+    return result;
+  }
+  // A definite rejection settles the conversion straight away; otherwise the
+  // result callback or the reconciler does
+  await sendWithdrawal(payout);
+  const refreshed = await pool.query('SELECT * FROM airtime_conversions WHERE id = $1', [id]);
+  return refreshed.rows[0];
+}
+
+// The withdrawal that pays a conversion's cashback to its phone number
+async function createConversionPayout(client, conversion) {
+  const payout = await client.query(
+    `INSERT INTO transactions (user_id, type, amount, fee, phone_number, network, reference, status, created_at)
+     VALUES ($1, 'withdrawal', $2, 0, $3, $4, $5, 'processing', NOW()) RETURNING *`,
+    [conversion.user_id, conversion.cashback_amount, conversion.phone_number, detectNetwork(conversion.phone_number),
+      `WDR-${uuidv4().substring(0, 8).toUpperCase()}`]
+  );
+  return payout.rows[0];
+}
+
+// Settle the conversion a withdrawal paid out, once the withdrawal is final.
+// A completed payout marks it paid with the M-Pesa receipt; a failed one has
+// already been returned to the wallet by reverseWithdrawal, so the cashback
+// counts as paid there.
+async function settleConversionPayout(db, tx) {
+  const settled = tx.status === 'completed'
+    ? await db.query(
+      `UPDATE airtime_conversions SET status = 'paid', payout_reference = $1, paid_at = NOW(), completed_at = NOW()
+       WHERE payout_transaction_id = $2 AND status = 'approved' RETURNING *`,
+      [tx.mpesa_receipt, tx.id]
+    )
+    : await db.query(
+      `UPDATE airtime_conversions SET status = 'paid', payout_method = 'wallet', paid_at = NOW(), completed_at = NOW()
+       WHERE payout_transaction_id = $1 AND status = 'approved' RETURNING *`,
+      [tx.id]
+    );
+  if (settled.rows.length === 0) {
+    return;
+  }
+
+  const conversion = settled.rows[0];
+  const [title, message] = CONVERSION_NOTIFICATIONS.paid(conversion);
+  await db.query(
+    `INSERT INTO notifications (user_id, title, message, type, data, created_at, is_read)
+     VALUES ($1, $2, $3, $4, $5, NOW(), false)`,
+    [conversion.user_id, title, message, 'airtime_conversion', JSON.stringify({ conversion_id: conversion.id })]
+  );
+}
+
+// ============== WITHDRAWALS ==============
+
+// Debit a withdrawal and its fee from the wallet. Throws WITHDRAWAL_LIMIT
+// when the amount is outside the per-request bounds or would exceed today's
+// limit, and INSUFFICIENT_BALANCE when the wallet cannot cover amount + fee.
+async function createWithdrawal(user, phoneNumber, amount) {
+  const limitError = (message) => {
+    const error = new Error(message);
+    error.code = 'WITHDRAWAL_LIMIT';
+    return error;
+  };
+
+  if (amount < WITHDRAWAL_MIN_AMOUNT || amount > WITHDRAWAL_MAX_AMOUNT) {
+    throw limitError(`Withdrawals must be between KES ${WITHDRAWAL_MIN_AMOUNT} and KES ${WITHDRAWAL_MAX_AMOUNT}`);
+  }
+
+  const { fee, rule_id } = await calculateWithdrawalFee(amount, { network: detectNetwork(phoneNumber), segment: user.segment });
+  const reference = `WDR-${uuidv4().substring(0, 8).toUpperCase()}`;
+  const status = amount > WITHDRAWAL_APPROVAL_THRESHOLD ? 'awaiting_approval' : 'processing';
+
+  return withTransaction(async (client) => {
+    // Lock the user first so concurrent requests cannot both fit under the daily limit
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [user.id]);
+    const today = await client.query(
+      `SELECT COALESCE(SUM(amount), 0) AS total FROM transactions
+       WHERE user_id = $1 AND type = 'withdrawal' AND status NOT IN ('failed', 'rejected')
+         AND created_at >= date_trunc('day', NOW() AT TIME ZONE 'Africa/Nairobi') AT TIME ZONE 'Africa/Nairobi'`,
+      [user.id]
+    );
+    const remaining = WITHDRAWAL_DAILY_LIMIT - parseFloat(today.rows[0].total);
+    if (amount > remaining) {
+      throw limitError(`Daily withdrawal limit is KES ${WITHDRAWAL_DAILY_LIMIT}; KES ${Math.max(remaining, 0)} left today`);
+    }
+
+    const txResult = await client.query(
+      `INSERT INTO transactions (user_id, type, amount, fee, phone_number, network, reference, status, pricing_rule_id, created_at)
+       VALUES ($1, 'withdrawal', $2, $3, $4, $5, $6, $7, $8, NOW()) RETURNING *`,
+      [user.id, amount, fee, phoneNumber, detectNetwork(phoneNumber), reference, status, rule_id]
+    );
+    const tx = txResult.rows[0];
+
+    await postLedgerEntry(client, {
+      userId: user.id,
+      amount: -amount,
+      counterAccount: 'mpesa_payouts',
+      entryType: 'withdrawal',
+      transactionId: tx.id,
+      description: `Withdrawal ${reference} to ${phoneNumber}`
+    });
+    if (fee > 0) {
+      await postLedgerEntry(client, {
+        userId: user.id,
+        amount: -fee,
+        counterAccount: 'withdrawal_fees',
+        entryType: 'withdrawal_fee',
+        transactionId: tx.id,
+        description: `Withdrawal fee ${reference}`
+      });
+    }
+    return tx;
+  });
+}
+
+// Send a withdrawal to the payout provider. A definite rejection reverses it
+// straight away; when the provider may have accepted it, the withdrawal stays
+// processing so the result callback, the reconciler or an admin settles it.
+async function sendWithdrawal(tx) {
+  let dispatch;
+  try {
+    if (!payoutProvider) {
+      throw new Error('No payout provider configured');
+    }
+    dispatch = await payoutProvider.send(tx.phone_number, parseFloat(tx.amount), tx.reference);
+  } catch (error) {
+    if (isAmbiguousFailure(error)) {
+      await pool.query(
+        'UPDATE transactions SET payout_provider = $1, failure_reason = $2 WHERE id = $3',
+        [payoutProvider.name, `Unconfirmed: ${error.message}`, tx.id]
+      );
+      return { success: false, pending: true };
+    }
+    const reason = error.response?.data?.ResponseDescription || error.response?.data?.errorMessage || error.message;
+    await withTransaction(async (client) => {
+      const failed = await client.query(
+        "UPDATE transactions SET status = 'failed', failure_reason = $1, completed_at = NOW() WHERE id = $2 AND status = 'processing' RETURNING *",
+        [reason, tx.id]
+      );
+      if (failed.rows.length > 0) {
+        await reverseWithdrawal(client, failed.rows[0]);
+      }
+    });
+    return { success: false, reason };
+  }
+
+  await pool.query(
+    'UPDATE transactions SET payout_provider = $1, payout_request_id = $2, failure_reason = NULL WHERE id = $3',
+    [payoutProvider.name, dispatch.request_id, tx.id]
+  );
+  // The result callback may already have come and gone unmatched; the
+  // reconciler tries again if this fails
+  await applyUnmatchedPayoutResults(payoutProvider, dispatch.request_id)
+    .catch(error => console.error('Unmatched payout result error:', error));
+  return { success: true, request_id: dispatch.request_id };
+}
+
+// Give back the amount and fee of a withdrawal that failed or was rejected,
+// and tell the user why
+async function reverseWithdrawal(client, tx) {
+  await postLedgerEntry(client, {
+    userId: tx.user_id,
+    amount: parseFloat(tx.amount),
+    counterAccount: 'mpesa_payouts',
+    entryType: 'withdrawal_reversal',
+    transactionId: tx.id,
+    description: `Reversal of withdrawal ${tx.reference}`
+  });
+  if (parseFloat(tx.fee) > 0) {
+    await postLedgerEntry(client, {
+      userId: tx.user_id,
+      amount: parseFloat(tx.fee),
+      counterAccount: 'withdrawal_fees',
+      entryType: 'withdrawal_reversal',
+      transactionId: tx.id,
+      description: `Fee reversal for withdrawal ${tx.reference}`
+    });
+  }
+
+  const title = tx.status === 'rejected' ? 'Withdrawal Rejected ❌' : 'Withdrawal Failed ❌';
+  await client.query(
+    `INSERT INTO notifications (user_id, title, message, type, created_at, is_read)
+     VALUES ($1, $2, $3, $4, NOW(), false)`,
+    [tx.user_id, title, `Withdrawal ${tx.reference} of KES ${tx.amount} did not go through${tx.failure_reason ? ` (${tx.failure_reason})` : ''}. The money is back in your wallet.`, 'withdrawal']
+  );
+  await settleConversionPayout(client, tx);
+}
+
+// Apply a payout provider's result to its withdrawal. Safe to call more than
+// once: only a withdrawal still processing is settled. Resolves 'unmatched'
+// when no withdrawal carries the request id yet, which happens when the
+// result callback beats sendWithdrawal storing it.
+async function settleWithdrawalResult(providerName, requestId, { succeeded, receipt, description }) {
+  if (succeeded) {
+    const completed = await pool.query(
+      `UPDATE transactions SET status = 'completed', mpesa_receipt = $1, failure_reason = NULL, completed_at = NOW()
+       WHERE payout_provider = $2 AND payout_request_id = $3 AND type = 'withdrawal' AND status = 'processing'
+       RETURNING *`,
+      [receipt, providerName, requestId]
+    );
+    if (completed.rows.length === 0) {
+      return withdrawalSettledOrUnmatched(providerName, requestId);
+    }
+    const tx = completed.rows[0];
+    await pool.query(
+      `INSERT INTO notifications (user_id, title, message, type, created_at, is_read)
+       VALUES ($1, $2, $3, $4, NOW(), false)`,
+      [tx.user_id, 'Withdrawal Sent 💸', `KES ${tx.amount} has been sent to ${tx.phone_number}${receipt ? ` (M-Pesa ${receipt})` : ''}`, 'withdrawal']
+    );
+    await settleConversionPayout(pool, tx);
+    return 'completed';
+  }
+
+  return withTransaction(async (client) => {
+    const failed = await client.query(
+      `UPDATE transactions SET status = 'failed', failure_reason = $1, completed_at = NOW()
+       WHERE payout_provider = $2 AND payout_request_id = $3 AND type = 'withdrawal' AND status = 'processing'
+       RETURNING *`,
+      [description || 'Payout failed', providerName, requestId]
+    );
+    if (failed.rows.length === 0) {
+      return withdrawalSettledOrUnmatched(providerName, requestId, client);
+    }
+    await reverseWithdrawal(client, failed.rows[0]);
+    return 'failed';
+  });
+}
+
+async function withdrawalSettledOrUnmatched(providerName, requestId, db = pool) {
+  const existing = await db.query(
+    "SELECT 1 FROM transactions WHERE payout_provider = $1 AND payout_request_id = $2 AND type = 'withdrawal'",
+    [providerName, requestId]
+  );
+  return existing.rows.length > 0 ? 'already_settled' : 'unmatched';
+}
+
+// Apply result callbacks that were logged as unmatched for a request id now
+// stored on its withdrawal. Resolves the outcome, or null when there were none.
+async function applyUnmatchedPayoutResults(provider, requestId) {
+  return applyUnmatchedResults(provider, requestId, result => settleWithdrawalResult(provider.name, requestId, result));
+}
+
+// Replay the provider's parked result callbacks for requestId through
+// settle(result), recording each one's new outcome on its log
+async function applyUnmatchedResults(provider, requestId, settle) {
+  const parked = await pool.query(
+    `SELECT id, payload FROM callback_logs
+     WHERE provider = $1 AND status = 'processed' AND outcome = 'unmatched'
+       AND left(idempotency_key, length($2) + 1) = $2 || ':' AND idempotency_key <> $2 || ':timeout'
+     ORDER BY received_at ASC`,
+    [provider.name, requestId]
+  );
+
+  let outcome = null;
+  for (const log of parked.rows) {
+    const result = provider.parseCallback(log.payload);
+    if (result.request_id !== requestId) {
+      continue;
+    }
+    const settled = await settle(result);
+    await pool.query('UPDATE callback_logs SET outcome = $1 WHERE id = $2', [settled, log.id]);
+    if (settled !== 'already_settled') {
+      outcome = settled;
+    }
+  }
+  return outcome;
+}
+
+// ============== TRANSFERS ==============
+
+// Check a user's transaction PIN. Resolves null when no PIN is set or it
+// matches, otherwise the reason to refuse. PIN_MAX_FAILURES wrong attempts in
+// a row lock the PIN for PIN_LOCK_MINUTES.
+async function checkTransactionPin(userId, pin) {
+  const result = await pool.query('SELECT * FROM user_pins WHERE user_id = $1', [userId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const record = result.rows[0];
+  if (record.locked_until && record.locked_until > new Date()) {
+    return 'Too many incorrect PIN attempts. Try again later.';
+  }
+  if (!pin) {
+    return 'PIN required';
+  }
+
+  if (await bcrypt.compare(String(pin), record.pin_hash)) {
+    if (record.failed_attempts > 0) {
+      await pool.query('UPDATE user_pins SET failed_attempts = 0, locked_until = NULL WHERE user_id = $1', [userId]);
+    }
+    return null;
+  }
+
+  await pool.query(
+    `UPDATE user_pins
+     SET failed_attempts = CASE WHEN failed_attempts + 1 >= $2 THEN 0 ELSE failed_attempts + 1 END,
+         locked_until = CASE WHEN failed_attempts + 1 >= $2 THEN NOW() + make_interval(mins => $3) END
+     WHERE user_id = $1`,
+    [userId, PIN_MAX_FAILURES, PIN_LOCK_MINUTES]
+  );
+  return 'Incorrect PIN';
+}
+
+// Active users a transfer could go to: by phone number when the identifier
+// is one, otherwise by username
+async function findTransferRecipients(identifier) {
+  const phone = parsePhoneNumber(identifier);
+  const result = phone
+    ? await pool.query('SELECT * FROM users WHERE phone_number = $1 AND is_active = true', [phone.msisdn])
+    : await pool.query('SELECT * FROM users WHERE username = $1 AND is_active = true', [String(identifier).trim()]);
+  return result.rows;
+}
+
+// Move balance from one wallet to another as a linked transfer_out /
+// transfer_in pair, notifying both users. Throws TRANSFER_LIMIT when the
+// amount is out of bounds or over today's limit, and INSUFFICIENT_BALANCE
+// when the sender cannot cover it.
+async function transferBalance(sender, recipient, amount) {
+  const limitError = (message) => {
+    const error = new Error(message);
+    error.code = 'TRANSFER_LIMIT';
+    return error;
+  };
+
+  if (amount < TRANSFER_MIN_AMOUNT || amount > TRANSFER_MAX_AMOUNT) {
+    throw limitError(`Transfers must be between KES ${TRANSFER_MIN_AMOUNT} and KES ${TRANSFER_MAX_AMOUNT}`);
+  }
+
+  const reference = `TRF-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+  return withTransaction(async (client) => {
+    // Lock both wallets in id order so opposite transfers cannot deadlock
+    await client.query('SELECT id FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE', [[sender.id, recipient.id]]);
+
+    const today = await client.query(
+      `SELECT COALESCE(SUM(amount), 0) AS total FROM transactions
+       WHERE user_id = $1 AND type = 'transfer_out'
+         AND created_at >= date_trunc('day', NOW() AT TIME ZONE 'Africa/Nairobi') AT TIME ZONE 'Africa/Nairobi'`,
+      [sender.id]
+    );
+    const remaining = TRANSFER_DAILY_LIMIT - parseFloat(today.rows[0].total);
+    if (amount > remaining) {
+      throw limitError(`Daily transfer limit is KES ${TRANSFER_DAILY_LIMIT}; KES ${Math.max(remaining, 0)} left today`);
+    }
+
+    const outResult = await client.query(
+      `INSERT INTO transactions (user_id, type, amount, reference, status, counterparty_user_id, created_at, completed_at)
+       VALUES ($1, 'transfer_out', $2, $3, 'completed', $4, NOW(), NOW()) RETURNING *`,
+      [sender.id, amount, reference, recipient.id]
+    );
+    const inResult = await client.query(
+      `INSERT INTO transactions (user_id, type, amount, reference, status, counterparty_user_id, linked_transaction_id, created_at, completed_at)
+       VALUES ($1, 'transfer_in', $2, $3, 'completed', $4, $5, NOW(), NOW()) RETURNING *`,
+      [recipient.id, amount, `${reference}-IN`, sender.id, outResult.rows[0].id]
+    );
+    await client.query('UPDATE transactions SET linked_transaction_id = $1 WHERE id = $2', [inResult.rows[0].id, outResult.rows[0].id]);
+
+    const balance = await postLedgerEntry(client, {
+      userId: sender.id,
+      amount: -amount,
+      counterAccount: 'transfers',
+      entryType: 'transfer_out',
+      transactionId: outResult.rows[0].id,
+      description: `Transfer ${reference} to ${recipient.username}`
+    });
+    await postLedgerEntry(client, {
+      userId: recipient.id,
+      amount,
+      counterAccount: 'transfers',
+      entryType: 'transfer_in',
+      transactionId: inResult.rows[0].id,
+      description: `Transfer ${reference} from ${sender.username}`
+    });
+
+    await client.query(
+      `INSERT INTO notifications (user_id, title, message, type, created_at, is_read)
+       VALUES ($1, $2, $3, 'transfer', NOW(), false), ($4, $5, $6, 'transfer', NOW(), false)`,
+      [
+        sender.id, 'Transfer Sent 📤', `You sent KES ${amount} to ${recipient.username}. Ref ${reference}`,
+        recipient.id, 'Money Received 📥', `${sender.username} sent you KES ${amount}. Ref ${reference}`
+      ]
+    );
+
+    return { reference, transaction_id: outResult.rows[0].id, balance };
+  });
+}
+
+// ============== REFERRALS ==============
+
+// Referral codes avoid 0/O and 1/I so they survive being read out loud
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateReferralCode() {
+  return Array.from(crypto.randomBytes(8), byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+}
+
+// Insert a new user with a fresh referral code. With 32^8 possible codes a
+// clash is vanishingly rare; the unique constraint still guards against one.
+async function createUser(client, { username, email, phoneNumber, firebaseUid, deviceId }) {
+  const result = await client.query(
+    `INSERT INTO users (username, email, phone_number, firebase_uid, device_id, referral_code, balance, created_at, is_active) 
+     VALUES ($1, $2, $3, $4, $5, $6, 0, NOW(), true) RETURNING *`,
+    [username, email, phoneNumber, firebaseUid, deviceId, generateReferralCode()]
+  );
+  return result.rows[0];
+}
+
+// Record that `referrer` invited the newly registered `referee`. Referrals
+// from the referrer's own phone number or device are recorded as rejected
+// so they never pay out.
+async function recordReferral(client, referrer, referee) {
+  let rejection = null;
+  if (referee.phone_number && samePhoneNumber(referee.phone_number, referrer.phone_number)) {
+    rejection = 'same_phone';
+  } else if (referee.device_id) {
+    const sameDevice = await client.query(
+      'SELECT 1 FROM users WHERE device_id = $1 AND id <> $2 LIMIT 1',
+      [referee.device_id, referee.id]
+    );
+    if (sameDevice.rows.length > 0) {
+      rejection = 'same_device';
+    }
+  }
+
+  await client.query(
+    `INSERT INTO referrals (referrer_id, referee_id, code, status, rejection_reason, created_at, resolved_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), $6)`,
+    [referrer.id, referee.id, referrer.referral_code, rejection ? 'rejected' : 'pending', rejection, rejection ? new Date() : null]
+  );
+}
+
+// Pay the referrer when the referee's first qualifying deposit completes.
+// Runs inside the deposit's DB transaction. A deposit paid from the
+// referrer's own phone is self-referral and rejects the referral instead.
+async function rewardReferral(client, deposit) {
+  if (parseFloat(deposit.amount) < REFERRAL_MIN_DEPOSIT) {
+    return;
+  }
+
+  const referralResult = await client.query(
+    `SELECT r.*, referrer.phone_number AS referrer_phone, referee.username AS referee_username
+     FROM referrals r
+     JOIN users referrer ON referrer.id = r.referrer_id
+     JOIN users referee ON referee.id = r.referee_id
+     WHERE r.referee_id = $1 AND r.status = 'pending'
+     FOR UPDATE OF r`,
+    [deposit.user_id]
+  );
+  if (referralResult.rows.length === 0) {
+    return;
+  }
+  const referral = referralResult.rows[0];
+
+  if (samePhoneNumber(deposit.phone_number, referral.referrer_phone)) {
+    await client.query(
+      `UPDATE referrals SET status = 'rejected', rejection_reason = 'self_referral', qualifying_transaction_id = $1, resolved_at = NOW()
+       WHERE id = $2`,
+      [deposit.id, referral.id]
+    );
+    return;
+  }
+
+  if (REFERRAL_REWARD_AMOUNT > 0) {
+    await postLedgerEntry(client, {
+      userId: referral.referrer_id,
+      amount: REFERRAL_REWARD_AMOUNT,
+      counterAccount: 'referral_expense',
+      entryType: 'referral_reward',
+      description: `Referral reward for ${referral.referee_username}`
+    });
+  }
+  await client.query(
+    `UPDATE referrals SET status = 'rewarded', reward_amount = $1, qualifying_transaction_id = $2, resolved_at = NOW()
+     WHERE id = $3`,
+    [REFERRAL_REWARD_AMOUNT, deposit.id, referral.id]
+  );
+  await client.query(
+    `INSERT INTO notifications (user_id, title, message, type, created_at, is_read)
+     VALUES ($1, $2, $3, $4, NOW(), false)`,
+    [referral.referrer_id, 'Referral Reward 🎉', `${referral.referee_username} made their first deposit. KES ${REFERRAL_REWARD_AMOUNT} has been added to your wallet.`, 'referral']
+  );
+}
+
+// ============== PROMO CODES ==============
+
+// What each kind of code is used for, for error messages
+const PROMO_CODE_USES = {
+  credit: 'redeeming for wallet credit',
+  deposit_bonus: 'deposits',
+  airtime_discount: 'airtime purchases'
+};
+
+function promoError(message) {
+  const error = new Error(message);
+  error.code = 'PROMO_INVALID';
+  return error;
+}
+
+// Find a promo code by { code } or { id } and check this user may use it on
+// a `kind` purchase of `amount` now. Throws PROMO_INVALID with the reason.
+// Inside a transaction pass the client and lock = true so the caps still
+// hold when the use is recorded; ignoreWindow honours a code that was valid
+// when a deposit started.
+async function checkPromoCode(lookup, { userId, kind, amount = 0, db = pool, lock = false, ignoreWindow = false }) {
+  const result = lookup.id !== undefined
+    ? await db.query(`SELECT * FROM promo_codes WHERE id = $1${lock ? ' FOR UPDATE' : ''}`, [lookup.id])
+    : await db.query(`SELECT * FROM promo_codes WHERE code = $1${lock ? ' FOR UPDATE' : ''}`, [String(lookup.code).trim().toUpperCase()]);
+  const promo = result.rows[0];
+
+  if (!promo || !promo.is_active) {
+    throw promoError('Invalid promo code');
+  }
+  const now = new Date();
+  if (!ignoreWindow && ((promo.starts_at && promo.starts_at > now) || (promo.ends_at && promo.ends_at <= now))) {
+    throw promoError('This promo code is not valid right now');
+  }
+  if (promo.kind !== kind) {
+    throw promoError(`This promo code is for ${PROMO_CODE_USES[promo.kind]}`);
+  }
+  if (amount < parseFloat(promo.min_amount)) {
+    throw promoError(`This promo code needs a minimum of KES ${promo.min_amount}`);
+  }
+  if (promo.max_redemptions !== null && promo.redemption_count >= promo.max_redemptions) {
+    throw promoError('This promo code has been fully redeemed');
+  }
+
+  const used = await db.query(
+    "SELECT COUNT(*) AS count FROM promo_redemptions WHERE promo_code_id = $1 AND user_id = $2 AND status = 'applied'",
+    [promo.id, userId]
+  );
+  if (parseInt(used.rows[0].count, 10) >= promo.max_per_user) {
+    throw promoError('You have already used this promo code');
+  }
+  return promo;
+}
+
+// What a code is worth on `amount`: its fixed credit, or its percent of the
+// amount capped at max_value
+function promoValue(promo, amount) {
+  if (promo.kind === 'credit') {
+    return parseFloat(promo.value);
+  }
+  const value = Math.floor(amount * parseFloat(promo.value) / 100);
+  return promo.max_value !== null ? Math.min(value, parseFloat(promo.max_value)) : value;
+}
+
+async function recordPromoRedemption(client, promo, userId, transactionId, amount) {
+  await client.query(
+    `INSERT INTO promo_redemptions (promo_code_id, user_id, transaction_id, amount, status, created_at)
+     VALUES ($1, $2, $3, $4, 'applied', NOW())`,
+    [promo.id, userId, transactionId, amount]
+  );
+  await client.query('UPDATE promo_codes SET redemption_count = redemption_count + 1 WHERE id = $1', [promo.id]);
+}
+
+// Give a use back to the code when the transaction it was spent on is refunded
+async function releasePromoRedemption(client, transactionId) {
+  const released = await client.query(
+    "UPDATE promo_redemptions SET status = 'reversed', reversed_at = NOW() WHERE transaction_id = $1 AND status = 'applied' RETURNING promo_code_id",
+    [transactionId]
+  );
+  if (released.rows.length > 0) {
+    await client.query('UPDATE promo_codes SET redemption_count = redemption_count - 1 WHERE id = $1', [released.rows[0].promo_code_id]);
+  }
+}
+
+// Credit the promo bonus of a completed deposit that was started with a code.
+// Runs inside the deposit's DB transaction and resolves the bonus paid, or 0
+// if the code can no longer be used (deactivated or its caps reached).
+async function applyDepositPromo(client, deposit) {
+  if (!deposit.promo_code_id) {
+    return 0;
+  }
+
+  let promo;
+  try {
+    promo = await checkPromoCode({ id: deposit.promo_code_id }, {
+      userId: deposit.user_id,
+      kind: 'deposit_bonus',
+      amount: parseFloat(deposit.amount),
+      db: client,
+      lock: true,
+      ignoreWindow: true
+    });
+  } catch (error) {
+    if (error.code !== 'PROMO_INVALID') {
+      throw error;
+    }
+    return 0;
+  }
+
+  const bonus = promoValue(promo, parseFloat(deposit.amount));
+  if (bonus <= 0) {
+    return 0;
+  }
+  await postLedgerEntry(client, {
+    userId: deposit.user_id,
+    amount: bonus,
+    counterAccount: 'promo_expense',
+    entryType: 'promo_bonus',
+    transactionId: deposit.id,
+    description: `Promo ${promo.code} bonus on ${deposit.reference}`
+  });
+  await recordPromoRedemption(client, promo, deposit.user_id, deposit.id, bonus);
+  return bonus;
+}
+
+// Redeem a credit code straight into the user's wallet
+async function redeemCreditCode(user, code) {
+  return withTransaction(async (client) => {
+    const promo = await checkPromoCode({ code }, { userId: user.id, kind: 'credit', db: client, lock: true });
+    const amount = promoValue(promo, 0);
+    const reference = `PRM-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+    const txResult = await client.query(
+      `INSERT INTO transactions (user_id, type, amount, reference, status, promo_code_id, created_at, completed_at)
+       VALUES ($1, 'promo_credit', $2, $3, 'completed', $4, NOW(), NOW()) RETURNING *`,
+      [user.id, amount, reference, promo.id]
+    );
+    const balance = await postLedgerEntry(client, {
+      userId: user.id,
+      amount,
+      counterAccount: 'promo_expense',
+      entryType: 'promo_credit',
+      transactionId: txResult.rows[0].id,
+      description: `Promo code ${promo.code}`
+    });
+    await recordPromoRedemption(client, promo, user.id, txResult.rows[0].id, amount);
+
+    await client.query(
+      `INSERT INTO notifications (user_id, title, message, type, created_at, is_read)
+       VALUES ($1, $2, $3, $4, NOW(), false)`,
+      [user.id, 'Promo Code Redeemed 🎁', `KES ${amount} from ${promo.code} has been added to your wallet.`, 'promo']
+    );
+    return { reference, amount, balance };
+  });
+}
+
+// ============== BALANCE ADJUSTMENTS ==============
+
+// Why an admin may credit or debit a wallet, with the wording the user sees
+const ADJUSTMENT_REASONS = {
+  failed_purchase: 'Refund for a failed purchase',
+  missing_deposit: 'Deposit that was not credited',
+  duplicate_charge: 'Refund of a duplicate charge',
+  goodwill: 'Goodwill credit',
+  payment_reversed: 'Reversal of a payment that was not received',
+  error_correction: 'Correction of an earlier error',
+  other: 'Balance adjustment'
+};
+
+// Create an admin credit or debit. It is applied at once when it keeps the
+// requester's adjustments to this user today (Nairobi time, credits and
+// debits, applied or pending) within ADJUSTMENT_APPROVAL_THRESHOLD, so a
+// large amount cannot skip approval by being split up; otherwise it is left
+// pending for a second admin. Throws NOT_FOUND for an unknown user and
+// INSUFFICIENT_BALANCE when a debit applied at once is more than the wallet
+// holds.
+async function requestBalanceAdjustment(req, userId, direction, { amount, reasonCode, note }) {
+  return withTransaction(async (client) => {
+    // Locking the user serialises concurrent requests against today's total
+    const userResult = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (userResult.rows.length === 0) {
+      const error = new Error('User not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    const today = await client.query(
+      `SELECT COALESCE(SUM(amount), 0) AS total FROM balance_adjustments
+       WHERE user_id = $1 AND requested_by = $2 AND status IN ('pending', 'applied')
+         AND created_at >= date_trunc('day', NOW() AT TIME ZONE 'Africa/Nairobi') AT TIME ZONE 'Africa/Nairobi'`,
+      [userId, req.admin.id]
+    );
+
+    const created = await client.query(
+      `INSERT INTO balance_adjustments (user_id, direction, amount, reason_code, note, requested_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING *`,
+      [userId, direction, amount, reasonCode, note || null, req.admin.id]
+    );
+    let adjustment = created.rows[0];
+    await logAdminAction(req, `adjustment.${direction}`, 'balance_adjustment', adjustment.id, {
+      user_id: adjustment.user_id,
+      amount: adjustment.amount,
+      reason_code: reasonCode,
+      note: note || null
+    }, client);
+
+    if (parseFloat(today.rows[0].total) + amount <= ADJUSTMENT_APPROVAL_THRESHOLD) {
+      adjustment = await applyBalanceAdjustment(req, client, adjustment);
+    }
+    return adjustment;
+  });
+}
+
+// Move the money for an adjustment: record the transaction, post it to the
+// ledger and tell the user. Must run inside withTransaction.
+async function applyBalanceAdjustment(req, client, adjustment) {
+  const credit = adjustment.direction === 'credit';
+  const reason = Object.hasOwn(ADJUSTMENT_REASONS, adjustment.reason_code) ? ADJUSTMENT_REASONS[adjustment.reason_code] : ADJUSTMENT_REASONS.other;
+  const reference = `ADJ-${uuidv4().substring(0, 8).toUpperCase()}`;
+  const userResult = await client.query('SELECT balance FROM users WHERE id = $1 FOR UPDATE', [adjustment.user_id]);
+
+  const txResult = await client.query(
+    `INSERT INTO transactions (user_id, type, amount, reference, status, created_at, completed_at)
+     VALUES ($1, $2, $3, $4, 'completed', NOW(), NOW()) RETURNING *`,
+    [adjustment.user_id, credit ? 'adjustment_credit' : 'adjustment_debit', adjustment.amount, reference]
+  );
+  const tx = txResult.rows[0];
+  const balance = await postLedgerEntry(client, {
+    userId: adjustment.user_id,
+    amount: credit ? parseFloat(adjustment.amount) : -parseFloat(adjustment.amount),
+    counterAccount: 'admin_adjustments',
+    entryType: 'admin_adjustment',
+    transactionId: tx.id,
+    description: `${reason} (${adjustment.reason_code})`
+  });
+
+  await client.query(
+    `INSERT INTO notifications (user_id, title, message, type, data, created_at, is_read)
+     VALUES ($1, $2, $3, $4, $5, NOW(), false)`,
+    [
+      adjustment.user_id,
+      credit ? 'Wallet Credited' : 'Wallet Debited',
+      `KES ${adjustment.amount} has been ${credit ? 'added to' : 'deducted from'} your wallet. Reason: ${reason}. New balance: KES ${balance.toFixed(2)}.`,
+      'adjustment',
+      JSON.stringify({ reference })
+    ]
+  );
+
+  const applied = await client.query(
+    "UPDATE balance_adjustments SET status = 'applied', transaction_id = $1, applied_at = NOW() WHERE id = $2 RETURNING *",
+    [tx.id, adjustment.id]
+  );
+  await logAdminAction(req, 'adjustment.apply', 'balance_adjustment', adjustment.id, {
+    before: { status: adjustment.status, balance: userResult.rows[0].balance },
+    after: { status: 'applied', balance: balance.toFixed(2) },
+    user_id: adjustment.user_id,
+    reference
+  }, client);
+  return { ...applied.rows[0], reference, balance };
+}
+
+// ============== PAYMENT SETTLEMENT ==============
+
+// Normalise a PayNecta payment query response to { status, mpesa_receipt, amount, phone_number }
+// where status is one of completed, failed or pending
+function parsePaynectaStatus(response) {
+  const payment = response?.data || response || {};
+  const rawStatus = String(payment.status || payment.payment_status || '').toLowerCase();
+
+  let status = 'pending';
+  if (['success', 'successful', 'completed', 'paid'].includes(rawStatus)) {
+    status = 'completed';
+  } else if (['failed', 'cancelled', 'canceled', 'expired', 'rejected'].includes(rawStatus)) {
+    status = 'failed';
+  }
+
+  return {
+    status,
+    mpesa_receipt: payment.mpesa_receipt || payment.mpesa_receipt_number || payment.receipt_number || null,
+    amount: payment.amount !== undefined ? parseFloat(payment.amount) : null,
+    phone_number: payment.phone_number || payment.phone || payment.msisdn || null
+  };
+}
+
+// Apply a confirmed PayNecta payment outcome to its transaction. Shared by the
+// callback and the reconciler, and safe to call more than once: only a pending
+// transaction is settled, or an expired one whose payment arrived late.
+async function settlePaynectaPayment(reference, payment) {
+  if (payment.status === 'pending') {
+    return 'not_final';
+  }
+
+  const txResult = await pool.query('SELECT * FROM transactions WHERE reference = $1', [reference]);
+  if (txResult.rows.length === 0) {
+    return 'unknown_reference';
+  }
+  const tx = txResult.rows[0];
+
+  if (payment.status === 'failed') {
+    const failed = await pool.query(
+      "UPDATE transactions SET status = $1, completed_at = NOW() WHERE id = $2 AND status = 'pending'",
+      ['failed', tx.id]
+    );
+    return failed.rowCount > 0 ? 'failed' : 'already_settled';
+  }
+
+  if (payment.amount !== null && payment.amount !== parseFloat(tx.amount)) {
+    throw new Error(`Amount mismatch for ${reference}: paid ${payment.amount}, expected ${tx.amount}`);
+  }
+
+  if (DIRECT_PURCHASE_TYPES.includes(tx.type)) {
+    // Claim the pending purchase first so a repeated settlement cannot send it twice
+    const claimed = await pool.query(
+      "UPDATE transactions SET status = $1, mpesa_receipt = $2 WHERE id = $3 AND status IN ('pending', 'expired') RETURNING *",
+      ['processing', payment.mpesa_receipt, tx.id]
+    );
+    if (claimed.rows.length === 0) {
+      return 'already_settled';
+    }
+    const delivery = await deliverDirectPurchase(claimed.rows[0]);
+    return delivery.success ? 'airtime_delivered' : 'refund_pending';
+  }
+
+  const outcome = await withTransaction(async (client) => {
+    // Complete and credit in one DB transaction so a crash cannot leave one without the other
+    const completed = await client.query(
+      `UPDATE transactions SET status = $1, mpesa_receipt = $2, completed_at = NOW()
+       WHERE id = $3 AND status IN ('pending', 'expired') RETURNING *`,
+      ['completed', payment.mpesa_receipt, tx.id]
+    );
+    if (completed.rows.length === 0) {
+      return 'already_settled';
+    }
+
+    const deposit = completed.rows[0];
+    const bonus = deposit.bonus || 0;
+    await creditDeposit(client, deposit);
+    await rewardReferral(client, deposit);
+    const promoBonus = await applyDepositPromo(client, deposit);
+    const totalBonus = bonus + promoBonus;
+
+    // Create notification
+    await client.query(
+      `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
+       VALUES ($1, $2, $3, $4, NOW(), false)`,
+      [deposit.user_id, 'Deposit Successful! 💰', `KES ${deposit.amount} has been added to your account${totalBonus > 0 ? ` with +${totalBonus} bonus!` : ''}`, 'deposit']
+    );
+    return 'credited';
+  });
+
+  // The top-up may now cover purchases the user could not afford earlier
+  if (outcome === 'credited') {
+    processPendingPurchases(tx.user_id).catch(error => console.error('Pending purchases error:', error));
+  }
+  return outcome;
+}
+
+// Apply a provider's delivery result to the airtime transaction it belongs
+// to. Resolves 'unmatched' when no transaction carries the request id yet,
+// which happens when the callback beats recordAirtimeDispatch storing it.
+async function settleAirtimeResult(providerName, requestId, delivered, resultDesc) {
+  if (delivered) {
+    const completed = await pool.query(
+      `UPDATE transactions SET status = $1, completed_at = COALESCE(completed_at, NOW())
+       WHERE airtime_provider = $2 AND provider_request_id = $3 AND status = 'processing'`,
+      ['completed', providerName, requestId]
+    );
+    return completed.rowCount > 0 ? 'completed' : airtimeSettledOrUnmatched(providerName, requestId);
+  }
+
+  return withTransaction(async (client) => {
+    // Direct purchases were paid by M-Pesa, so they need a refund rather than a plain failure
+    const failed = await client.query(
+      `UPDATE transactions
+       SET status = CASE WHEN type = ANY($4) THEN 'refund_pending' ELSE 'failed' END,
+           failure_reason = $1
+       WHERE airtime_provider = $2 AND provider_request_id = $3 AND status NOT IN ('failed', 'refund_pending', 'refunded')
+       RETURNING *`,
+      [resultDesc, providerName, requestId, DIRECT_PURCHASE_TYPES]
+    );
+
+    for (const tx of failed.rows) {
+      // Wallet purchases were debited up front, so give the money back
+      if (WALLET_PURCHASE_TYPES.includes(tx.type)) {
+        await refundAirtimePurchase(client, tx);
+      }
+      // The purchase never left the provider's float
+      await restoreProviderFloat(providerName, floatCost(tx), client);
+    }
+    return failed.rows.length > 0 ? 'failed' : airtimeSettledOrUnmatched(providerName, requestId, client);
+  });
+}
+
+async function airtimeSettledOrUnmatched(providerName, requestId, db = pool) {
+  const existing = await db.query(
+    'SELECT 1 FROM transactions WHERE airtime_provider = $1 AND provider_request_id = $2',
+    [providerName, requestId]
+  );
+  return existing.rows.length > 0 ? 'already_settled' : 'unmatched';
+}
+
+// Apply airtime result callbacks that were logged as unmatched for a request
+// id now stored on its transaction. Resolves the outcome, or null when there
+// were none.
+async function applyUnmatchedAirtimeResults(provider, requestId) {
+  return applyUnmatchedResults(provider, requestId,
+    result => settleAirtimeResult(provider.name, requestId, result.delivered, result.description));
+}
+
+// ============== DEPOSIT VERIFICATION ==============
+
+// M-Pesa receipt numbers are ten uppercase letters and digits, e.g. QGH7XK2L9P
+const MPESA_CODE_PATTERN = /^[A-Z0-9]{10}$/;
+
+// Compare two phone numbers by their last nine digits so 07.., 2547.. and +2547.. agree
+function samePhoneNumber(a, b) {
+  const digits = value => String(value || '').replace(/\D/g, '').slice(-9);
+  return digits(a).length === 9 && digits(a) === digits(b);
+}
+
+// Match an M-Pesa code a user typed against their own pending deposits by
+// asking PayNecta for each one. Returns { tx, payment } for the deposit the
+// receipt paid, or { error } naming why the code was rejected; provider_error
+// means PayNecta could not be asked, not that the code is wrong.
+async function verifyMpesaReceipt(user, mpesaCode) {
+  if (!MPESA_CODE_PATTERN.test(mpesaCode)) {
+    return { error: 'invalid_format' };
+  }
+
+  const claimed = await pool.query('SELECT id FROM transactions WHERE mpesa_receipt = $1', [mpesaCode]);
+  if (claimed.rows.length > 0) {
+    return { error: 'already_used' };
+  }
+
+  // Late payments can arrive after the reconciler has expired the STK push
+  const candidates = await pool.query(
+    `SELECT * FROM transactions
+     WHERE user_id = $1 AND type = 'deposit' AND status IN ('pending', 'expired')
+       AND created_at > NOW() - INTERVAL '7 days'
+     ORDER BY created_at DESC
+     LIMIT 10`,
+    [user.id]
+  );
+  if (candidates.rows.length === 0) {
+    return { error: 'no_pending_deposit' };
+  }
+
+  for (const tx of candidates.rows) {
+    let payment;
+    try {
+      payment = parsePaynectaStatus(await queryPaynectaPaymentStatus(tx.reference));
+    } catch (error) {
+      console.error(`Deposit verification: PayNecta query for ${tx.reference} failed:`, error.message);
+      return { error: 'provider_error' };
+    }
+    if (payment.status !== 'completed' || String(payment.mpesa_receipt || '').toUpperCase() !== mpesaCode) {
+      continue;
+    }
+
+    if (payment.amount !== null && payment.amount !== parseFloat(tx.amount)) {
+      return { tx, error: 'amount_mismatch' };
+    }
+    if (payment.phone_number && !samePhoneNumber(payment.phone_number, tx.phone_number)) {
+      return { tx, error: 'phone_mismatch' };
+    }
+    return { tx, payment };
+  }
+
+  return { error: 'receipt_not_found' };
+}
+
+// ============== RECONCILER ==============
+
+// Arbitrary key so only one server instance reconciles at a time
+const RECONCILER_LOCK_ID = 7412094;
+
+// Settle stale transactions whose callback never arrived by asking the
+// providers directly, and expire STK pushes and pending purchases nobody completed. Returns the
+// run report, or null if another instance is already reconciling.
+async function runReconciler(trigger) {
+  const lockClient = await pool.connect();
+  try {
+    const lock = await lockClient.query('SELECT pg_try_advisory_lock($1) AS locked', [RECONCILER_LOCK_ID]);
+    if (!lock.rows[0].locked) {
+      return null;
+    }
+    try {
+      return await reconcileStaleTransactions(trigger);
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock($1)', [RECONCILER_LOCK_ID]);
+    }
+  } finally {
+    lockClient.release();
+  }
+}
+
+async function reconcileStaleTransactions(trigger) {
+  const runResult = await pool.query(
+    'INSERT INTO reconciliation_runs (trigger, started_at) VALUES ($1, NOW()) RETURNING id',
+    [trigger]
+  );
+  const report = { id: runResult.rows[0].id, checked: 0, changes: [], needs_review: [] };
+
+  try {
+    // Payments still waiting on PayNecta
+    const pending = await pool.query(
+      `SELECT *, EXTRACT(EPOCH FROM NOW() - created_at) / 60 AS age_minutes
+       FROM transactions
+       WHERE status = 'pending' AND (type = 'deposit' OR type = ANY($2))
+         AND created_at < NOW() - make_interval(mins => $1)
+       ORDER BY created_at ASC
+       LIMIT 200`,
+      [RECONCILE_STALE_AFTER_MINUTES, DIRECT_PURCHASE_TYPES]
+    );
+
+    for (const tx of pending.rows) {
+      report.checked++;
+      let outcome = null;
+      try {
+        const payment = parsePaynectaStatus(await queryPaynectaPaymentStatus(tx.reference));
+        outcome = await settlePaynectaPayment(tx.reference, payment);
+      } catch (error) {
+        console.error(`Reconciler: PayNecta query for ${tx.reference} failed:`, error.message);
+      }
+
+      if (outcome && outcome !== 'not_final' && outcome !== 'already_settled') {
+        report.changes.push({ reference: tx.reference, from: 'pending', outcome });
+      } else if (parseFloat(tx.age_minutes) >= STK_EXPIRY_MINUTES) {
+        const expired = await pool.query(
+          "UPDATE transactions SET status = 'expired', failure_reason = $1, completed_at = NOW() WHERE id = $2 AND status = 'pending'",
+          [`STK push not completed within ${STK_EXPIRY_MINUTES} minutes`, tx.id]
+        );
+        if (expired.rowCount > 0) {
+          report.changes.push({ reference: tx.reference, from: 'pending', outcome: 'expired' });
+        }
+      }
+    }
+
+    // Airtime and bundles sent to a provider whose result never came back
+    const processing = await pool.query(
+      `SELECT * FROM transactions
+       WHERE status = 'processing' AND type = ANY($2)
+         AND created_at < NOW() - make_interval(mins => $1)
+       ORDER BY created_at ASC
+       LIMIT 200`,
+      [RECONCILE_STALE_AFTER_MINUTES, [...WALLET_PURCHASE_TYPES, ...DIRECT_PURCHASE_TYPES]]
+    );
+
+    for (const tx of processing.rows) {
+      report.checked++;
+      const provider = airtimeRouter.get(tx.airtime_provider);
+      if (!tx.provider_request_id || !provider) {
+        // The provider never answered (or is no longer configured), so we cannot tell whether airtime went out
+        report.needs_review.push({ reference: tx.reference, reason: tx.failure_reason || 'No provider request id recorded' });
+        continue;
+      }
+
+      let delivered;
+      try {
+        delivered = await provider.queryStatus(tx.provider_request_id);
+      } catch (error) {
+        report.needs_review.push({ reference: tx.reference, reason: `${provider.name} status query failed: ${error.message}` });
+        continue;
+      }
+      if (delivered === null) {
+        continue;
+      }
+
+      const outcome = await settleAirtimeResult(provider.name, tx.provider_request_id, delivered, `Reported failed by ${provider.name} status query`);
+      if (outcome !== 'already_settled') {
+        report.changes.push({ reference: tx.reference, from: 'processing', outcome });
+      }
+    }
+
+    // Airtime results that arrived before their request id was stored and
+    // were not replayed when it was
+    const parkedAirtime = await pool.query(
+      `SELECT DISTINCT t.reference, t.status, t.airtime_provider, t.provider_request_id
+       FROM callback_logs l
+       JOIN transactions t ON t.airtime_provider = l.provider
+         AND left(l.idempotency_key, length(t.provider_request_id) + 1) = t.provider_request_id || ':'
+       WHERE l.status = 'processed' AND l.outcome = 'unmatched' AND l.provider = ANY($1)`,
+      [Object.keys(airtimeProviders)]
+    );
+
+    for (const tx of parkedAirtime.rows) {
+      report.checked++;
+      const outcome = await applyUnmatchedAirtimeResults(airtimeProviders[tx.airtime_provider], tx.provider_request_id);
+      if (outcome) {
+        report.changes.push({ reference: tx.reference, from: tx.status, outcome });
+      }
+    }
+
+    // Withdrawals sent for payout whose result never came back
+    const payouts = await pool.query(
+      `SELECT * FROM transactions
+       WHERE status = 'processing' AND type = 'withdrawal'
+         AND created_at < NOW() - make_interval(mins => $1)
+       ORDER BY created_at ASC
+       LIMIT 200`,
+      [RECONCILE_STALE_AFTER_MINUTES]
+    );
+
+    for (const tx of payouts.rows) {
+      report.checked++;
+      const provider = payoutProviders[tx.payout_provider];
+      if (!tx.payout_request_id || !provider) {
+        report.needs_review.push({ reference: tx.reference, reason: tx.failure_reason || 'No payout request id recorded' });
+        continue;
+      }
+
+      // A result that arrived before the request id was stored
+      const parked = await applyUnmatchedPayoutResults(provider, tx.payout_request_id);
+      if (parked) {
+        report.changes.push({ reference: tx.reference, from: 'processing', outcome: parked });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await provider.queryStatus(tx.payout_request_id);
+      } catch (error) {
+        report.needs_review.push({ reference: tx.reference, reason: `${provider.name} status query failed: ${error.message}` });
+        continue;
+      }
+      if (result === null) {
+        report.needs_review.push({ reference: tx.reference, reason: `No result from ${provider.name} yet` });
+        continue;
+      }
+
+      const outcome = await settleWithdrawalResult(provider.name, tx.payout_request_id, result);
+      if (outcome !== 'already_settled') {
+        report.changes.push({ reference: tx.reference, from: 'processing', outcome });
+      }
+    }
+
+    // Purchases nobody topped up for in time, and any left claimed by a
+    // process that stopped mid-way
+    const expiredPurchases = await pool.query(
+      `UPDATE pending_purchases SET status = 'expired', resolved_at = NOW()
+       WHERE status IN ('pending', 'awaiting_confirmation', 'processing') AND expires_at <= NOW()
+       RETURNING id`
+    );
+    for (const purchase of expiredPurchases.rows) {
+      report.changes.push({ pending_purchase_id: purchase.id, outcome: 'expired' });
+    }
+
+    // Bulk rows held by a process that stopped mid-send
+    if (await releaseExpiredBatchClaims() > 0) {
+      runBulkAirtimeWorker();
+    }
+  } catch (error) {
+    report.error = error.message;
+    throw error;
+  } finally {
+    await pool.query(
+      'UPDATE reconciliation_runs SET checked = $1, changes = $2, needs_review = $3, error = $4, finished_at = NOW() WHERE id = $5',
+      [report.checked, JSON.stringify(report.changes), JSON.stringify(report.needs_review), report.error || null, report.id]
+    );
+  }
+
+  return report;
+}
+
+function startReconciler() {
+  if (RECONCILE_INTERVAL_MINUTES <= 0) {
+    console.log('Reconciler disabled');
+    return;
+  }
+  setInterval(() => {
+    runReconciler('schedule').catch(error => console.error('Reconciler error:', error));
+  }, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+}
+
+// ============== CALLBACK SECURITY ==============
+
+// Each provider callback can be locked down with a shared HMAC secret (sent as
+// a hex SHA-256 signature of the raw body) and/or a comma-separated IP allowlist
+const PAYNECTA_CALLBACK_SOURCE = {
+  secret: process.env.PAYNECTA_CALLBACK_SECRET,
+  signatureHeader: 'x-paynecta-signature',
+  allowedIps: (process.env.PAYNECTA_CALLBACK_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean)
+};
+const STATUM_CALLBACK_SOURCE = {
+  secret: process.env.STATUM_CALLBACK_SECRET,
+  signatureHeader: 'x-statum-signature',
+  allowedIps: (process.env.STATUM_CALLBACK_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean)
+};
+const AFRICASTALKING_CALLBACK_SOURCE = {
+  secret: process.env.AFRICASTALKING_CALLBACK_SECRET,
+  signatureHeader: 'x-africastalking-signature',
+  allowedIps: (process.env.AFRICASTALKING_CALLBACK_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean)
+};
+const MPESA_B2C_CALLBACK_SOURCE = {
+  secret: process.env.MPESA_B2C_CALLBACK_SECRET,
+  signatureHeader: 'x-mpesa-signature',
+  allowedIps: (process.env.MPESA_B2C_CALLBACK_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean)
+};
+if (!STATUM_CALLBACK_SOURCE.secret && STATUM_CALLBACK_SOURCE.allowedIps.length === 0) {
+  console.warn('WARNING: STATUM_CALLBACK_SECRET / STATUM_CALLBACK_IPS not set. Statum callbacks will be rejected.');
+}
+
+// Check a callback against its provider's configured secret and allowlist.
+// Returns an error message, or null when the request is acceptable.
+function verifyCallbackSource(req, source, requireVerification) {
+  if (source.allowedIps.length > 0) {
+    const ip = (req.ip || '').replace(/^::ffff:/, '');
+    if (!source.allowedIps.includes(ip)) {
+      return `IP ${ip} not in allowlist`;
+    }
+  }
+
+  if (source.secret) {
+    const signature = String(req.headers[source.signatureHeader] || '');
+    const expected = crypto.createHmac('sha256', source.secret).update(req.rawBody || '').digest('hex');
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return 'Invalid signature';
+    }
+  }
+
+  if (requireVerification && !source.secret && source.allowedIps.length === 0) {
+    return 'Callback verification not configured';
+  }
+  return null;
+}
+
+// Log, authenticate and de-duplicate a provider callback, then run `settle`
+// at most once per idempotency key. A failed run releases the key so the
+// provider's retry can settle it.
+async function handleProviderCallback(req, res, { provider, idempotencyKey, source, requireVerification = false, settle }) {
+  let logId;
+  try {
+    const logResult = await pool.query(
+      `INSERT INTO callback_logs (provider, idempotency_key, remote_ip, headers, payload, status, received_at)
+       VALUES ($1, $2, $3, $4, $5, 'received', NOW()) RETURNING id`,
+      [provider, idempotencyKey, req.ip, JSON.stringify(req.headers), JSON.stringify(req.body)]
+    );
+    logId = logResult.rows[0].id;
+
+    const rejection = verifyCallbackSource(req, source, requireVerification);
+    if (rejection) {
+      await pool.query("UPDATE callback_logs SET status = 'rejected', error = $1 WHERE id = $2", [rejection, logId]);
+      return res.status(403).json({ success: false });
+    }
+
+    try {
+      await pool.query("UPDATE callback_logs SET status = 'processing' WHERE id = $1", [logId]);
+    } catch (claimError) {
+      // Unique violation: this key was already handled (or is being handled) by an earlier delivery
+      if (claimError.code !== '23505') {
+        throw claimError;
+      }
+      await pool.query("UPDATE callback_logs SET status = 'duplicate', processed_at = NOW() WHERE id = $1", [logId]);
+      return res.json({ success: true, duplicate: true });
+    }
+
+    const outcome = await settle();
+    await pool.query(
+      "UPDATE callback_logs SET status = 'processed', outcome = $1, processed_at = NOW() WHERE id = $2",
+      [outcome, logId]
+    );
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`${provider} callback error:`, error);
+    if (logId) {
+      await pool.query(
+        "UPDATE callback_logs SET status = 'failed', error = $1, processed_at = NOW() WHERE id = $2",
+        [error.message, logId]
+      ).catch(logError => console.error('Callback log error:', logError));
+    }
+    res.status(500).json({ success: false });
+  }
+}
+
+// ============== LISTINGS ==============
+
+// Paginated listings share one shape. Clients pass limit, sort, order
+// (asc/desc) and the cursor from the previous page; responses carry
+// { pagination: { limit, sort, order, next_cursor, has_more }, totals }.
+// Pages are keyed on the sort column plus the row id, so rows inserted while
+// paging neither repeat nor shift later pages.
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+function listError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_LIST_QUERY';
+  return error;
+}
+
+// WHERE clause builder. In add(sql, value) every ? in sql stands for value;
+// the condition is skipped when value is undefined, null or ''.
+function createListFilters() {
+  const conditions = [];
+  const params = [];
+  return {
+    conditions,
+    params,
+    add(sql, value) {
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+      params.push(value);
+      conditions.push(sql.replace(/\?/g, `$${params.length}`));
+    }
+  };
+}
+
+// ILIKE pattern matching text anywhere, with the user's % and _ taken literally
+function containsPattern(text) {
+  return `%${String(text).trim().replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function listDate(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (isNaN(Date.parse(value))) {
+    throw listError(`${name} must be a date`);
+  }
+  return value;
+}
+
+function listAmount(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const amount = parseFloat(value);
+  if (isNaN(amount)) {
+    throw listError(`${name} must be a number`);
+  }
+  return amount;
+}
+
+// Canonical number for a phone filter; throws for anything that is not one
+function listPhone(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const phone = parsePhoneNumber(value);
+  if (!phone) {
+    throw listError('phone must be a Kenyan mobile number');
+  }
+  return phone.msisdn;
+}
+
+// Comma-separated values for an IN filter, e.g. type=airtime,bundle
+function listValues(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+function encodeListCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+}
+
+function decodeListCursor(cursor, sort) {
+  try {
+    const [cursorSort, value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (cursorSort === sort && typeof value === 'string' && Number.isInteger(id)) {
+      return { value, id };
+    }
+  } catch (error) {
+    // fall through to the error below
+  }
+  throw listError('Invalid cursor; start again without one, keeping the same sort');
+}
+
+// Run one page of a listing. sortable maps the names clients may sort by to
+// a NOT NULL column and its SQL type, e.g. { column: 't.amount', type:
+// 'numeric' }; idColumn breaks ties. totals is the select list for the totals
+// over every matching row.
+async function fetchListPage(query, { select, from, filters, sortable, defaultSort = 'created_at', idColumn, totals = 'COUNT(*) AS count' }) {
+  // A repeated parameter arrives as an array; String() makes it an invalid value
+  const sort = String(query.sort || defaultSort);
+  if (!Object.hasOwn(sortable, sort)) {
+    throw listError(`sort must be one of ${Object.keys(sortable).join(', ')}`);
+  }
+  const order = String(query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw listError('order must be asc or desc');
+  }
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+  const { column: sortColumn, type: sortType } = sortable[sort];
+
+  const where = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+  const totalsResult = await pool.query(`SELECT ${totals} ${from} ${where(filters.conditions)}`, filters.params);
+
+  const conditions = [...filters.conditions];
+  const params = [...filters.params];
+  if (query.cursor) {
+    const cursor = decodeListCursor(query.cursor, sort);
+    params.push(cursor.value, cursor.id);
+    conditions.push(`(${sortColumn}, ${idColumn}) ${order === 'desc' ? '<' : '>'} ($${params.length - 1}::${sortType}, $${params.length})`);
+  }
+  params.push(limit + 1);
+
+  // Sort values travel in the cursor as text so timestamps keep their microseconds
+  let result;
+  try {
+    result = await pool.query(
+      `SELECT ${select}, ${sortColumn}::text AS list_cursor_value, ${idColumn} AS list_cursor_id
+       ${from}
+       ${where(conditions)}
+       ORDER BY ${sortColumn} ${order}, ${idColumn} ${order}
+       LIMIT $${params.length}`,
+      params
+    );
+  } catch (error) {
+    // A hand-edited cursor value that does not cast to the sort column's type
+    if (query.cursor && ['22P02', '22003', '22007', '22008'].includes(error.code)) {
+      throw listError('Invalid cursor; start again without one, keeping the same sort');
+    }
+    throw error;
+  }
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const hasMore = result.rows.length > limit;
+  const items = rows.map(({ list_cursor_value, list_cursor_id, ...row }) => row);
+
+  return {
+    items,
+    pagination: {
+      limit,
+      sort,
+      order,
+      next_cursor: hasMore ? encodeListCursor(sort, last.list_cursor_value, last.list_cursor_id) : null,
+      has_more: hasMore
+    },
+    totals: Object.fromEntries(Object.entries(totalsResult.rows[0]).map(([key, value]) => [key, parseFloat(value)]))
+  };
+}
+
+// Respond to a bad listing query with a 400; resolves whether it was one
+function sendListError(res, error) {
+  if (error.code !== 'INVALID_LIST_QUERY') {
+    return false;
+  }
+  res.status(400).json({ success: false, message: error.message });
+  return true;
+}
+
+// ============== ANALYTICS ==============
+
+// Admin analytics report in Nairobi time. Periods are Nairobi calendar days,
+// ISO weeks (from Monday) or months; from and to are Nairobi dates and both
+// inclusive. Each interval has a default span in days when from is left out.
+const ANALYTICS_INTERVALS = { day: 30, week: 12 * 7, month: 365 };
+const ANALYTICS_MAX_DAYS = 2 * 366;
+
+// Purchases that sell airtime or bundles to a customer
+const SALE_TYPES = [...WALLET_PURCHASE_TYPES, ...DIRECT_PURCHASE_TYPES];
+
+// Outcomes that count towards a provider's failure rate
+const SETTLED_SALE_STATUSES = ['completed', 'failed', 'refund_pending', 'refunded'];
+
+// System accounts that pay for credit given away: deposit bonuses, promo
+// codes and referral rewards
+const BONUS_EXPENSE_ACCOUNTS = ['bonus_expense', 'promo_expense', 'referral_expense'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function analyticsError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_INPUT';
+  return error;
+}
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// interval, from, to and network from an analytics query string. Throws
+// INVALID_INPUT for anything out of range.
+function parseAnalyticsQuery(query) {
+  // A repeated parameter arrives as an array; String() makes it an invalid value
+  const interval = String(query.interval || 'day');
+  if (!Object.hasOwn(ANALYTICS_INTERVALS, interval)) {
+    throw analyticsError(`interval must be one of ${Object.keys(ANALYTICS_INTERVALS).join(', ')}`);
+  }
+  // The round trip rejects dates such as 2026-02-30 that Date.parse rolls over
+  const checkDate = (name, value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)) || shiftDate(value, 0) !== value) {
+      throw analyticsError(`${name} must be a date (YYYY-MM-DD)`);
+    }
+    return value;
+  };
+  // to is checked first since the default from is counted back from it
+  const to = query.to ? checkDate('to', String(query.to)) : new Date(Date.now() + NAIROBI_OFFSET_MS).toISOString().slice(0, 10);
+  const from = query.from ? checkDate('from', String(query.from)) : shiftDate(to, 1 - ANALYTICS_INTERVALS[interval]);
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (days < 1) {
+    throw analyticsError('from must not be after to');
+  }
+  if (days > ANALYTICS_MAX_DAYS) {
+    throw analyticsError(`Date range must be at most ${ANALYTICS_MAX_DAYS} days`);
+  }
+  if (query.network && !NETWORKS.includes(query.network)) {
+    throw analyticsError(`Network must be one of ${NETWORKS.join(', ')}`);
+  }
+  return { interval, from, to, network: query.network || null };
+}
+
+// SQL shared by the analytics queries, which all take $1 = interval, $2 =
+// from and $3 = to: the Nairobi period a timestamp column falls in, whether
+// it falls in the report's range, and every period in the range so quiet
+// ones still appear.
+const analyticsPeriod = (column) => `date_trunc($1, ${column} AT TIME ZONE 'Africa/Nairobi')`;
+const analyticsRange = (column) => `${column} >= $2::date::timestamp AT TIME ZONE 'Africa/Nairobi'
+  AND ${column} < ($3::date + 1)::timestamp AT TIME ZONE 'Africa/Nairobi'`;
+const ANALYTICS_PERIODS = `SELECT generate_series(date_trunc($1, $2::date::timestamp), date_trunc($1, $3::date::timestamp), ('1 ' || $1)::interval) AS period`;
+
+// Whole periods from the period starting on start (YYYY-MM-DD) to the one
+// containing date
+function periodsBetween(interval, start, date) {
+  if (interval === 'month') {
+    return (Number(date.slice(0, 4)) - Number(start.slice(0, 4))) * 12 + Number(date.slice(5, 7)) - Number(start.slice(5, 7));
+  }
+  return Math.floor((Date.parse(date) - Date.parse(start)) / DAY_MS / (interval === 'week' ? 7 : 1));
+}
+
+// Share of a total as a fraction to four places, or null when there is no total
+function analyticsRate(part, total) {
+  return total > 0 ? Math.round((part / total) * 10000) / 10000 : null;
+}
+
+// Deposits, sales, margin and bonus cost per period. Margin is what customers
+// paid minus the airtime sent (bundles count at their price, so margin 0).
+// With a network filter, bonus cost only counts credit tied to a transaction
+// on that network.
+async function revenueSeries({ interval, from, to, network }) {
+  const result = await pool.query(
+    `WITH periods AS (${ANALYTICS_PERIODS}),
+     deposits AS (
+       SELECT ${analyticsPeriod('t.created_at')} AS period, COUNT(*) AS count, SUM(t.amount) AS amount
+       FROM transactions t
+       WHERE t.type = 'deposit' AND t.status = 'completed' AND ${analyticsRange('t.created_at')}
+         AND ($4::text IS NULL OR t.network = $4)
+       GROUP BY 1
+     ),
+     sales AS (
+       SELECT ${analyticsPeriod('t.created_at')} AS period, COUNT(*) AS count, SUM(t.amount) AS amount,
+              SUM(COALESCE(t.airtime_sent, t.amount)) AS airtime_value,
+              SUM(t.amount - COALESCE(t.airtime_sent, t.amount)) AS margin
+       FROM transactions t
+       WHERE t.type = ANY($5) AND t.status = 'completed' AND ${analyticsRange('t.created_at')}
+         AND ($4::text IS NULL OR t.network = $4)
+       GROUP BY 1
+     ),
+     bonuses AS (
+       SELECT ${analyticsPeriod('le.created_at')} AS period, SUM(-le.amount) AS cost
+       FROM ledger_entries le
+       LEFT JOIN transactions t ON t.id = le.transaction_id
+       WHERE le.account = ANY($6) AND ${analyticsRange('le.created_at')}
+         AND ($4::text IS NULL OR t.network = $4)
+       GROUP BY 1
+     )
+     SELECT to_char(p.period, 'YYYY-MM-DD') AS period,
+            COALESCE(d.count, 0) AS deposits_count, COALESCE(d.amount, 0) AS deposits_amount,
+            COALESCE(s.count, 0) AS sales_count, COALESCE(s.amount, 0) AS sales_amount,
+            COALESCE(s.airtime_value, 0) AS airtime_value, COALESCE(s.margin, 0) AS margin,
+            COALESCE(b.cost, 0) AS bonus_cost
+     FROM periods p
+     LEFT JOIN deposits d ON d.period = p.period
+     LEFT JOIN sales s ON s.period = p.period
+     LEFT JOIN bonuses b ON b.period = p.period
+     ORDER BY p.period`,
+    [interval, from, to, network, SALE_TYPES, BONUS_EXPENSE_ACCOUNTS]
+  );
+
+  const series = result.rows.map(({ period, ...values }) => ({
+    period,
+    ...Object.fromEntries(Object.entries(values).map(([key, value]) => [key, parseFloat(value)]))
+  }));
+  const totals = {};
+  for (const row of series) {
+    for (const [key, value] of Object.entries(row)) {
+      if (key !== 'period') {
+        totals[key] = Math.round(((totals[key] || 0) + value) * 100) / 100;
+      }
+    }
+  }
+  return { series, totals };
+}
+
+// Settled sales per period and provider, with the share that failed.
+// Purchases no provider would take are reported under provider "none".
+async function providerFailureSeries({ interval, from, to, network }) {
+  const result = await pool.query(
+    `SELECT to_char(${analyticsPeriod('t.created_at')}, 'YYYY-MM-DD') AS period,
+            COALESCE(t.airtime_provider, 'none') AS provider,
+            COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE t.status <> 'completed') AS failed
+     FROM transactions t
+     WHERE t.type = ANY($5) AND t.status = ANY($6) AND ${analyticsRange('t.created_at')}
+       AND ($4::text IS NULL OR t.network = $4)
+     GROUP BY 1, 2
+     ORDER BY 1, 2`,
+    [interval, from, to, network, SALE_TYPES, SETTLED_SALE_STATUSES]
+  );
+
+  const providers = {};
+  const series = result.rows.map(row => {
+    const total = parseInt(row.total);
+    const failed = parseInt(row.failed);
+    const summary = providers[row.provider] || (providers[row.provider] = { total: 0, failed: 0 });
+    summary.total += total;
+    summary.failed += failed;
+    return { period: row.period, provider: row.provider, total, failed, failure_rate: analyticsRate(failed, total) };
+  });
+  for (const summary of Object.values(providers)) {
+    summary.failure_rate = analyticsRate(summary.failed, summary.total);
+  }
+  return { series, providers };
+}
+
+// New sign-ups and active users (at least one completed transaction) per
+// period. With a network filter, sign-ups count by the network of the user's
+// phone number and activity by the transaction's network.
+async function userActivitySeries({ interval, from, to, network }) {
+  const result = await pool.query(
+    `WITH periods AS (${ANALYTICS_PERIODS}),
+     signups AS (
+       SELECT ${analyticsPeriod('u.created_at')} AS period, COUNT(*) AS count
+       FROM users u
+       WHERE ${analyticsRange('u.created_at')}
+         AND ($4::text IS NULL OR SUBSTRING(u.phone_number FROM 4 FOR 3) = ANY($5))
+       GROUP BY 1
+     ),
+     active AS (
+       SELECT ${analyticsPeriod('t.created_at')} AS period, COUNT(DISTINCT t.user_id) AS count
+       FROM transactions t
+       WHERE t.user_id IS NOT NULL AND t.status = 'completed' AND ${analyticsRange('t.created_at')}
+         AND ($4::text IS NULL OR t.network = $4)
+       GROUP BY 1
+     )
+     SELECT to_char(p.period, 'YYYY-MM-DD') AS period, COALESCE(s.count, 0) AS new_users, COALESCE(a.count, 0) AS active_users
+     FROM periods p
+     LEFT JOIN signups s ON s.period = p.period
+     LEFT JOIN active a ON a.period = p.period
+     ORDER BY p.period`,
+    [interval, from, to, network, networkPrefixes(network)]
+  );
+
+  const series = result.rows.map(row => ({
+    period: row.period,
+    new_users: parseInt(row.new_users),
+    active_users: parseInt(row.active_users)
+  }));
+  return { series, totals: { new_users: series.reduce((sum, row) => sum + row.new_users, 0) } };
+}
+
+// Cohorts of users by sign-up period, with how many of each were active
+// (completed a transaction) in each later period up to the end of the range.
+// retention[n] is the cohort's nth period, starting with the sign-up period.
+async function cohortRetention({ interval, from, to, network }) {
+  const params = [interval, from, to, network, networkPrefixes(network)];
+  const cohortUsers = `
+    SELECT u.id, ${analyticsPeriod('u.created_at')} AS cohort
+    FROM users u
+    WHERE ${analyticsRange('u.created_at')}
+      AND ($4::text IS NULL OR SUBSTRING(u.phone_number FROM 4 FOR 3) = ANY($5))`;
+
+  const sizes = await pool.query(
+    `SELECT to_char(cohort, 'YYYY-MM-DD') AS cohort, COUNT(*) AS users
+     FROM (${cohortUsers}) cu
+     GROUP BY cohort
+     ORDER BY cohort`,
+    params
+  );
+  const activity = await pool.query(
+    `SELECT to_char(cu.cohort, 'YYYY-MM-DD') AS cohort, to_char(${analyticsPeriod('t.created_at')}, 'YYYY-MM-DD') AS period,
+            COUNT(DISTINCT t.user_id) AS active
+     FROM (${cohortUsers}) cu
+     JOIN transactions t ON t.user_id = cu.id
+     WHERE t.status = 'completed' AND t.created_at < ($3::date + 1)::timestamp AT TIME ZONE 'Africa/Nairobi'
+       AND ($4::text IS NULL OR t.network = $4)
+     GROUP BY 1, 2`,
+    params
+  );
+
+  const cohorts = sizes.rows.map(row => {
+    const users = parseInt(row.users);
+    const periods = periodsBetween(interval, row.cohort, to) + 1;
+    const retention = Array.from({ length: periods }, (_, offset) => ({ offset, active: 0, rate: 0 }));
+    for (const entry of activity.rows.filter(item => item.cohort === row.cohort)) {
+      const bucket = retention[periodsBetween(interval, row.cohort, entry.period)];
+      if (bucket) {
+        bucket.active = parseInt(entry.active);
+        bucket.rate = analyticsRate(bucket.active, users);
+      }
+    }
+    return { cohort: row.cohort, users, retention };
+  });
+  return { cohorts };
+}
+
+// ============== USER AUTH ==============
+
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+let firebaseCerts = { keys: {}, expiresAt: 0 };
+
+// Google rotates the signing keys; cache them for as long as its Cache-Control allows
+async function getFirebaseCerts() {
+  if (Date.now() < firebaseCerts.expiresAt) {
+    return firebaseCerts.keys;
+  }
+  const response = await axios.get(FIREBASE_CERTS_URL);
+  const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+  firebaseCerts = {
+    keys: response.data,
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1], 10) * 1000 : 60 * 60 * 1000)
+  };
+  return firebaseCerts.keys;
+}
+
+// Verify a Firebase ID token and return its claims (uid is in `sub`)
+async function verifyFirebaseIdToken(idToken) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || decoded.header.alg !== 'RS256') {
+    throw new Error('Malformed ID token');
+  }
+
+  const certs = await getFirebaseCerts();
+  const cert = certs[decoded.header.kid];
+  if (!cert) {
+    throw new Error('ID token signed with unknown key');
+  }
+
+  return jwt.verify(idToken, cert, {
+    algorithms: ['RS256'],
+    audience: FIREBASE_PROJECT_ID,
+    issuer: `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`
+  });
+}
+
+// Local stand-in for Firebase: accepts HS256 tokens signed with JWT_SECRET
+// carrying { sub: <firebase uid>, email, email_verified }. Enabled with FIREBASE_AUTH_MOCK=true
+// for development and tests; never available in production.
+async function verifyMockIdToken(idToken) {
+  return jwt.verify(idToken, JWT_SECRET, { algorithms: ['HS256'] });
+}
+
+const useMockFirebaseAuth = process.env.FIREBASE_AUTH_MOCK === 'true' && process.env.NODE_ENV !== 'production';
+if (useMockFirebaseAuth) {
+  console.warn('WARNING: FIREBASE_AUTH_MOCK enabled. User tokens are verified locally.');
+}
+const verifyIdToken = useMockFirebaseAuth ? verifyMockIdToken : verifyFirebaseIdToken;
+
+// Verify the bearer ID token and attach its claims as req.firebaseUser
+const firebaseAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'No token provided' });
+  }
+
+  try {
+    req.firebaseUser = await verifyIdToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ success: false, message: 'Invalid token' });
+  }
+};
+
+// Bind the request to the registered, active user owning the ID token as req.user
+const userAuth = (req, res, next) => {
+  firebaseAuth(req, res, async () => {
+    try {
+      const result = await pool.query('SELECT * FROM users WHERE firebase_uid = $1', [req.firebaseUser.sub]);
+      if (result.rows.length === 0) {
+        return res.status(401).json({ success: false, message: 'User not registered' });
+      }
+      if (!result.rows[0].is_active) {
+        return res.status(403).json({ success: false, message: 'Account is deactivated' });
+      }
+      req.user = result.rows[0];
+      next();
+    } catch (error) {
+      console.error('User auth error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+};
+
+// userAuth for routes that also serve signed-out callers: without a token
+// req.user is left unset, but a token that is sent must be valid
+const optionalUserAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  userAuth(req, res, next);
+};
+
+// Only let users act on routes addressed to their own :username
+const requireSelf = (req, res, next) => {
+  if (req.params.username !== req.user.username) {
+    return res.status(403).json({ success: false, message: 'Not authorized' });
+  }
+  next();
+};
+
+// ============== USER ROUTES ==============
+
+// Register user
+app.post('/api/users/register', firebaseAuth, async (req, res) => {
+  try {
+    const { username, referral_code, device_id } = req.body;
+    // Take the uid and email from the verified token, never from the request body
+    const firebase_uid = req.firebaseUser.sub;
+    const email = req.firebaseUser.email;
+    if (!email || req.firebaseUser.email_verified !== true) {
+      return res.status(400).json({ success: false, message: 'Verify your email address before registering' });
+    }
+
+    const phone = req.body.phone_number ? parsePhoneNumber(req.body.phone_number) : null;
+    if (req.body.phone_number && !phone) {
+      return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+
+    const existingUid = await pool.query('SELECT id FROM users WHERE firebase_uid = $1', [firebase_uid]);
+    if (existingUid.rows.length > 0) {
+      return res.status(400).json({ success: false, message: 'Account already registered' });
+    }
+
+    // Check if username already exists
+    const existingUser = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+    if (existingUser.rows.length > 0) {
+      return res.status(400).json({ success: false, message: 'Username already taken' });
+    }
+
+    // Check if email already exists
+    const existingEmail = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    if (existingEmail.rows.length > 0) {
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+    }
+
+    let referrer = null;
+    if (referral_code) {
+      const referrerResult = await pool.query('SELECT * FROM users WHERE referral_code = $1', [String(referral_code).trim().toUpperCase()]);
+      if (referrerResult.rows.length === 0) {
+        return res.status(400).json({ success: false, message: 'Invalid referral code' });
+      }
+      referrer = referrerResult.rows[0];
+    }
+
+    // Insert new user, with the referral if there is one
+    const user = await withTransaction(async (client) => {
+      const created = await createUser(client, {
+        username,
+        email,
+        phoneNumber: phone ? phone.msisdn : null,
+        firebaseUid: firebase_uid,
+        deviceId: device_id ? String(device_id).slice(0, 100) : null
+      });
+      if (referrer) {
+        await recordReferral(client, referrer, created);
+      }
+      return created;
+    });
+
+    // Create welcome notification
+    await pool.query(
+      `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
+       VALUES ($1, $2, $3, $4, NOW(), false)`,
+      [user.id, 'Welcome to Airtime Solution Kenya! 🇰🇪', 'Thank you for joining us. Start by depositing funds to buy airtime.', 'welcome']
+    );
+
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get user by email
+app.get('/api/users/email/:email', userAuth, async (req, res) => {
+  try {
+    const { email } = req.params;
+    if (email !== req.user.email) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, user: result.rows[0] });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get user by username
+app.get('/api/users/username/:username', userAuth, requireSelf, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const result = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, user: result.rows[0] });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get user balance
+app.get('/api/users/:username/balance', userAuth, requireSelf, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const result = await pool.query('SELECT balance, username FROM users WHERE username = $1', [username]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, balance: result.rows[0].balance, username: result.rows[0].username });
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get user wallet statement from the ledger
+app.get('/api/users/:username/statement', userAuth, requireSelf, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const userResult = await pool.query('SELECT id, balance FROM users WHERE username = $1', [username]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const user = userResult.rows[0];
+    const result = await pool.query(
+      `SELECT le.id, le.entry_type, le.amount, le.balance_after, le.description, le.created_at, t.reference
+       FROM ledger_entries le
+       LEFT JOIN transactions t ON le.transaction_id = t.id
+       WHERE le.user_id = $1
+         AND ($2::timestamptz IS NULL OR le.created_at >= $2)
+         AND ($3::timestamptz IS NULL OR le.created_at < $3)
+       ORDER BY le.id DESC
+       LIMIT $4`,
+      [user.id, from || null, to || null, limit]
+    );
+
+    res.json({ success: true, balance: user.balance, entries: result.rows });
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Update user profile
+app.put('/api/users/:username', userAuth, requireSelf, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { language, pending_purchase_mode } = req.body;
+
+    const phone = req.body.phone_number ? parsePhoneNumber(req.body.phone_number) : null;
+    if (req.body.phone_number && !phone) {
+      return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+
+    if (pending_purchase_mode !== undefined && !['auto', 'confirm'].includes(pending_purchase_mode)) {
+      return res.status(400).json({ success: false, message: 'pending_purchase_mode must be auto or confirm' });
+    }
+
+    const result = await pool.query(
+      `UPDATE users SET phone_number = COALESCE($1, phone_number), language = COALESCE($2, language),
+         pending_purchase_mode = COALESCE($3, pending_purchase_mode), updated_at = NOW()
+       WHERE username = $4 RETURNING *`,
+      [phone ? phone.msisdn : null, language, pending_purchase_mode, username]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, user: result.rows[0] });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Set or change the transaction PIN; changing it needs the current PIN
+app.put('/api/users/:username/pin', userAuth, requireSelf, async (req, res) => {
+  try {
+    const { pin, current_pin } = req.body;
+    if (!/^\d{4}$/.test(String(pin || ''))) {
+      return res.status(400).json({ success: false, message: 'PIN must be 4 digits' });
+    }
+
+    const refusal = await checkTransactionPin(req.user.id, current_pin);
+    if (refusal) {
+      return res.status(403).json({ success: false, message: refusal === 'PIN required' ? 'Current PIN required' : refusal });
+    }
+
+    const pinHash = await bcrypt.hash(String(pin), 10);
+    await pool.query(
+      `INSERT INTO user_pins (user_id, pin_hash, created_at) VALUES ($1, $2, NOW())
+       ON CONFLICT (user_id) DO UPDATE SET pin_hash = $2, failed_attempts = 0, locked_until = NULL, updated_at = NOW()`,
+      [req.user.id, pinHash]
+    );
+
+    res.json({ success: true, message: 'PIN saved' });
+  } catch (error) {
+    console.error('Set PIN error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== DEPOSIT ROUTES ==============
+
+// Initiate deposit via PayNecta STK Push
+app.post('/api/deposit/stk', userAuth, async (req, res) => {
+  try {
+    const { amount } = req.body;
+    const user = req.user;
+
+    const phone = parsePhoneNumber(req.body.phone_number);
+    if (!phone) {
+      return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+
+    if (amount < 10) {
+      return res.status(400).json({ success: false, message: 'Minimum deposit is KES 10' });
+    }
+
+    // The promo bonus itself is only granted once the payment completes
+    let promo = null;
+    if (req.body.promo_code) {
+      try {
+        promo = await checkPromoCode({ code: req.body.promo_code }, { userId: user.id, kind: 'deposit_bonus', amount: Number(amount) });
+      } catch (error) {
+        if (error.code === 'PROMO_INVALID') {
+          return res.status(400).json({ success: false, message: error.message });
+        }
+        throw error;
+      }
+    }
+
+    const reference = `DEP-${uuidv4().substring(0, 8).toUpperCase()}`;
+    const { bonus, rule_id } = await calculateBonus(amount, { network: phone.network, segment: user.segment });
+
+    // Create pending transaction
+    await pool.query(
+      `INSERT INTO transactions (user_id, type, amount, phone_number, network, reference, status, bonus, pricing_rule_id, promo_code_id, created_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())`,
+      [user.id, 'deposit', amount, phone.msisdn, phone.network, reference, 'pending', bonus, rule_id, promo ? promo.id : null]
+    );
+
+    // Initiate STK Push
+    const stkResponse = await initiatePaynectaStkPush(phone.msisdn, amount, reference);
+
+    res.json({ 
+      success: true, 
+      message: 'STK Push sent to your phone', 
+      reference,
+      bonus,
+      promo_bonus: promo ? promoValue(promo, Number(amount)) : 0,
+      paynecta_response: stkResponse 
+    });
+  } catch (error) {
+    console.error('Deposit STK error:', error);
+    res.status(500).json({ success: false, message: 'Failed to initiate deposit' });
+  }
+});
+
+// PayNecta callback
+app.post('/api/paynecta/callback', async (req, res) => {
+  const { reference, status } = req.body;
+  console.log('PayNecta Callback:', req.body);
+
+  await handleProviderCallback(req, res, {
+    provider: 'paynecta',
+    idempotencyKey: `${reference}:${status}`,
+    source: PAYNECTA_CALLBACK_SOURCE,
+    settle: async () => {
+      // The payload only tells us which reference to look at; the outcome
+      // comes from PayNecta itself so a forged body cannot credit anything
+      const payment = parsePaynectaStatus(await queryPaynectaPaymentStatus(reference));
+      return settlePaynectaPayment(reference, payment);
+    }
+  });
+});
+
+// Verify deposit by M-Pesa code
+app.post('/api/deposit/verify', userAuth, async (req, res) => {
+  try {
+    const mpesa_code = String(req.body.mpesa_code || '').trim().toUpperCase();
+    const user = req.user;
+
+    const recentFailures = await pool.query(
+      `SELECT COUNT(*) AS count FROM deposit_verification_attempts
+       WHERE user_id = $1 AND success = false AND reason IS DISTINCT FROM 'provider_error'
+         AND created_at > NOW() - make_interval(mins => $2)`,
+      [user.id, DEPOSIT_VERIFY_WINDOW_MINUTES]
+    );
+    if (parseInt(recentFailures.rows[0].count) >= DEPOSIT_VERIFY_MAX_FAILURES) {
+      return res.status(429).json({ success: false, message: 'Too many failed attempts. Please try again later.' });
+    }
+
+    const result = await verifyMpesaReceipt(user, mpesa_code);
+    await pool.query(
+      `INSERT INTO deposit_verification_attempts (user_id, mpesa_code, transaction_id, success, reason, remote_ip, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [user.id, mpesa_code, result.tx?.id || null, !result.error, result.error || null, req.ip]
+    );
+
+    if (result.error) {
+      const messages = {
+        invalid_format: 'Invalid M-Pesa code',
+        already_used: 'This M-Pesa code has already been used',
+        no_pending_deposit: 'No pending deposit found',
+        receipt_not_found: 'We could not find this M-Pesa payment for your pending deposits',
+        amount_mismatch: 'The M-Pesa payment amount does not match your deposit',
+        phone_mismatch: 'The M-Pesa payment was not made from the deposit phone number',
+        provider_error: 'We could not check this payment right now. Please try again shortly.'
+      };
+      const statuses = { already_used: 409, provider_error: 502 };
+      return res.status(statuses[result.error] || 400).json({ success: false, message: messages[result.error] });
+    }
+
+    const outcome = await settlePaynectaPayment(result.tx.reference, result.payment);
+    if (outcome !== 'credited') {
+      return res.status(409).json({ success: false, message: 'Deposit was already processed' });
+    }
+
+    const bonus = result.tx.bonus || 0;
+    res.json({ 
+      success: true, 
+      message: `Deposit verified! KES ${result.tx.amount} + ${bonus} bonus added to your account.` 
+    });
+  } catch (error) {
+    console.error('Verify deposit error:', error);
+    res.status(500).json({ success: false, message: 'Verification failed' });
+  }
+});
+
+// Query deposit status
+app.get('/api/deposit/status/:reference', async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const result = await pool.query('SELECT * FROM transactions WHERE reference = $1', [reference]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+
+    // Guest direct purchases have no owner; anything else is only visible to its user
+    const tx = result.rows[0];
+    if (tx.user_id === null) {
+      return res.json({ success: true, transaction: tx });
+    }
+
+    userAuth(req, res, () => {
+      if (req.user.id !== tx.user_id) {
+        return res.status(404).json({ success: false, message: 'Transaction not found' });
+      }
+      res.json({ success: true, transaction: tx });
+    });
+  } catch (error) {
+    console.error('Query status error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== AIRTIME ROUTES ==============
+
+// Check airtime float
+app.get('/api/airtime/float', async (req, res) => {
+  try {
+    // Available if some provider could send the smallest purchase (KES 5)
+    const available = await airtimeRouter.canServe(5);
+    const floatData = { available, message: available ? 'Float available' : 'Float low - please try again later' };
+    res.json({ success: true, float: floatData });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to check float' });
+  }
+});
+
+// Buy airtime using balance
+app.post('/api/airtime/buy', userAuth, async (req, res) => {
+  try {
+    const { amount } = req.body;
+    const user = req.user;
+
+    const phone = parsePhoneNumber(req.body.phone_number);
+    if (!phone) {
+      return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+    const phone_number = phone.msisdn;
+
+    if (amount < 5) {
+      return res.status(400).json({ success: false, message: 'Minimum airtime purchase is KES 5' });
+    }
+
+    let promo = null;
+    if (req.body.promo_code) {
+      try {
+        promo = await checkPromoCode({ code: req.body.promo_code }, { userId: user.id, kind: 'airtime_discount', amount });
+      } catch (error) {
+        if (error.code === 'PROMO_INVALID') {
+          return res.status(400).json({ success: false, message: error.message });
+        }
+        throw error;
+      }
+    }
+    const price = promo ? amount - promoValue(promo, amount) : amount;
+
+    let purchase;
+    try {
+      purchase = await buyAirtimeFromWallet(user.id, phone_number, amount, { promo });
+    } catch (debitError) {
+      if (debitError.code === 'PROMO_INVALID') {
+        return res.status(400).json({ success: false, message: debitError.message });
+      }
+      if (debitError.code === 'LOW_FLOAT') {
+        // Queue it; it is sent once an admin tops the float back up
+        await recordPendingPurchase(user.id, phone_number, amount, 'low_float', promo ? promo.id : null);
+        return res.status(503).json({
+          success: false,
+          queued: true,
+          message: 'Airtime is temporarily unavailable. Your purchase is queued and will be sent shortly.'
+        });
+      }
+      if (debitError.code !== 'INSUFFICIENT_BALANCE') {
+        throw debitError;
+      }
+
+      // Store pending purchase request, fulfilled (with the code) once the user tops up
+      await recordPendingPurchase(user.id, phone_number, amount, 'insufficient_balance', promo ? promo.id : null);
+
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Insufficient balance',
+        balance: debitError.balance,
+        required: price,
+        shortfall: price - debitError.balance
+      });
+    }
+
+    if (purchase.pending) {
+      return res.status(202).json({
+        success: false,
+        pending: true,
+        message: 'Airtime purchase is being confirmed with the provider',
+        reference: purchase.reference
+      });
+    }
+    if (!purchase.success) {
+      return res.status(500).json({ success: false, message: 'Airtime purchase failed. Amount refunded.' });
+    }
+
+    res.json({ 
+      success: true, 
+      message: `KES ${purchase.airtime_sent} airtime sent to ${phone_number}`,
+      reference: purchase.reference,
+      airtime_sent: purchase.airtime_sent,
+      discount: purchase.discount
+    });
+  } catch (error) {
+    console.error('Buy airtime error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Direct airtime purchase (with STK push)
+app.post('/api/airtime/direct', async (req, res) => {
+  try {
+    const { amount } = req.body;
+
+    const recipient = parsePhoneNumber(req.body.phone_to_receive);
+    const payer = parsePhoneNumber(req.body.phone_to_pay);
+    if (!recipient || !payer) {
+      return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+
+    if (amount < 5) {
+      return res.status(400).json({ success: false, message: 'Minimum airtime purchase is KES 5' });
+    }
+
+    const reference = `DAIR-${uuidv4().substring(0, 8).toUpperCase()}`;
+    const { airtime: airtimeAmount, rule_id } = await calculateAirtimeAmount(amount, { network: recipient.network });
+
+    // Don't take the customer's money if no provider can deliver it
+    if (!(await airtimeRouter.canServe(airtimeAmount, recipient.network))) {
+      return res.status(503).json({ success: false, message: 'Airtime is temporarily unavailable. Please try again later.' });
+    }
+
+    // Create transaction
+    await pool.query(
+      `INSERT INTO transactions (type, amount, phone_number, reference, status, airtime_sent, recipient_phone, network, pricing_rule_id, created_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+      ['direct_airtime', amount, payer.msisdn, reference, 'pending', airtimeAmount, recipient.msisdn, recipient.network, rule_id]
+    );
+
+    // Initiate STK Push
+    const stkResponse = await initiatePaynectaStkPush(payer.msisdn, amount, reference);
+
+    res.json({ 
+      success: true, 
+      message: 'STK Push sent. Complete payment to receive airtime.',
+      reference,
+      airtime_to_receive: airtimeAmount
+    });
+  } catch (error) {
+    console.error('Direct airtime error:', error);
+    res.status(500).json({ success: false, message: 'Failed to initiate purchase' });
+  }
+});
+
+// ============== BUNDLE ROUTES ==============
+
+// Get the active bundle catalogue, optionally for one network or category
+app.get('/api/bundles', async (req, res) => {
+  try {
+    const { network, category } = req.query;
+    const result = await pool.query(
+      `SELECT id, network, category, name, price, data_mb, sms_count, validity_hours
+       FROM bundles
+       WHERE is_active = true AND ($1::text IS NULL OR network = $1) AND ($2::text IS NULL OR category = $2)
+       ORDER BY network, category, sort_order, price`,
+      [network || null, category || null]
+    );
+    res.json({ success: true, bundles: result.rows });
+  } catch (error) {
+    console.error('Get bundles error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Load an active bundle for a purchase and check it suits the recipient's network
+async function resolveBundlePurchase(bundleId, phone) {
+  const bundle = await getBundle(bundleId);
+  if (!bundle || !bundle.is_active) {
+    return { status: 404, message: 'Bundle not found' };
+  }
+  if (bundle.network !== phone.network) {
+    return { status: 400, message: `This bundle is only for ${bundle.network} numbers` };
+  }
+  return { bundle };
+}
+
+// Buy a bundle using balance
+app.post('/api/bundles/buy', userAuth, async (req, res) => {
+  try {
+    const user = req.user;
+
+    const phone = parsePhoneNumber(req.body.phone_number);
+    if (!phone) {
+      return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+
+    const { bundle, status, message } = await resolveBundlePurchase(req.body.bundle_id, phone);
+    if (!bundle) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    let purchase;
+    try {
+      purchase = await buyBundleFromWallet(user.id, phone.msisdn, bundle);
+    } catch (debitError) {
+      if (debitError.code === 'LOW_FLOAT') {
+        return res.status(503).json({ success: false, message: 'Bundles are temporarily unavailable. Please try again later.' });
+      }
+      if (debitError.code !== 'INSUFFICIENT_BALANCE') {
+        throw debitError;
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance',
+        balance: debitError.balance,
+        required: parseFloat(bundle.price),
+        shortfall: parseFloat(bundle.price) - debitError.balance
+      });
+    }
+
+    if (purchase.pending) {
+      return res.status(202).json({
+        success: false,
+        pending: true,
+        message: 'Bundle purchase is being confirmed with the provider',
+        reference: purchase.reference
+      });
+    }
+    if (!purchase.success) {
+      return res.status(500).json({ success: false, message: 'Bundle purchase failed. Amount refunded.' });
+    }
+
+    res.json({
+      success: true,
+      message: `${bundle.name} sent to ${phone.msisdn}`,
+      reference: purchase.reference
+    });
+  } catch (error) {
+    console.error('Buy bundle error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Direct bundle purchase (with STK push)
+app.post('/api/bundles/direct', async (req, res) => {
+  try {
+    const recipient = parsePhoneNumber(req.body.phone_to_receive);
+    const payer = parsePhoneNumber(req.body.phone_to_pay);
+    if (!recipient || !payer) {
+      return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+
+    const { bundle, status, message } = await resolveBundlePurchase(req.body.bundle_id, recipient);
+    if (!bundle) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    // Don't take the customer's money if no provider can deliver it
+    if (!(await airtimeRouter.canServe(parseFloat(bundle.price), bundle.network, { bundle: true }))) {
+      return res.status(503).json({ success: false, message: 'Bundles are temporarily unavailable. Please try again later.' });
+    }
+
+    const reference = `DBDL-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+    // Create transaction
+    await pool.query(
+      `INSERT INTO transactions (type, amount, phone_number, reference, status, recipient_phone, network, bundle_id, created_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
+      ['direct_bundle', bundle.price, payer.msisdn, reference, 'pending', recipient.msisdn, bundle.network, bundle.id]
+    );
+
+    // Initiate STK Push
+    await initiatePaynectaStkPush(payer.msisdn, parseFloat(bundle.price), reference);
+
+    res.json({
+      success: true,
+      message: 'STK Push sent. Complete payment to receive your bundle.',
+      reference,
+      bundle: bundle.name
+    });
+  } catch (error) {
+    console.error('Direct bundle error:', error);
+    res.status(500).json({ success: false, message: 'Failed to initiate purchase' });
+  }
+});
+
+// ============== BULK AIRTIME ROUTES ==============
+
+// Start a bulk airtime batch. Accepts JSON { name, recipients: [{ phone_number,
+// amount }] } or { name, csv }, or a text/csv body of "phone,amount" lines.
+app.post('/api/airtime/bulk', userAuth, bodyParser.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+  try {
+    const user = req.user;
+    const isCsv = typeof req.body === 'string';
+    const input = isCsv ? parseBulkCsv(req.body) : req.body.csv ? parseBulkCsv(req.body.csv) : req.body.recipients;
+    const name = isCsv ? req.query.name : req.body.name;
+
+    const { rows, errors } = validateBulkRows(input);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Some rows are invalid; nothing was charged', errors });
+    }
+
+    const total = bulkTotal(rows);
+    if (!(await airtimeRouter.canServe(total))) {
+      return res.status(503).json({ success: false, message: 'Airtime is temporarily unavailable. Please try again later.' });
+    }
+
+    let batch;
+    try {
+      batch = await createAirtimeBatch(user.id, rows, name || null);
+    } catch (debitError) {
+      if (debitError.code !== 'INSUFFICIENT_BALANCE') {
+        throw debitError;
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance',
+        balance: debitError.balance,
+        required: total,
+        shortfall: Math.round((total - debitError.balance) * 100) / 100
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `${rows.length} recipients queued`,
+      batch
+    });
+  } catch (error) {
+    console.error('Bulk airtime error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get the user's bulk airtime batches
+app.get('/api/airtime/bulk', userAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM airtime_batches WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50',
+      [req.user.id]
+    );
+    res.json({ success: true, batches: result.rows });
+  } catch (error) {
+    console.error('Get bulk batches error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Rows of a batch with the outcome of each
+async function getBatchItems(batchId) {
+  const result = await pool.query(
+    `SELECT i.row_number, i.phone_number, i.network, i.amount, t.airtime_sent, t.reference,
+            COALESCE(t.status, i.status) AS status, COALESCE(t.failure_reason, i.failure_reason) AS failure_reason
+     FROM airtime_batch_items i
+     LEFT JOIN transactions t ON t.id = i.transaction_id
+     WHERE i.batch_id = $1
+     ORDER BY i.row_number`,
+    [batchId]
+  );
+  return result.rows;
+}
+
+// Get one batch with per-row status
+app.get('/api/airtime/bulk/:id', userAuth, async (req, res) => {
+  try {
+    const batchResult = await pool.query('SELECT * FROM airtime_batches WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+    if (batchResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    res.json({
+      success: true,
+      batch: batchResult.rows[0],
+      summary: await getBatchSummary(req.params.id),
+      items: await getBatchItems(req.params.id)
+    });
+  } catch (error) {
+    console.error('Get bulk batch error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Download a batch's per-row results as CSV
+app.get('/api/airtime/bulk/:id/report', userAuth, async (req, res) => {
+  try {
+    const batchResult = await pool.query('SELECT * FROM airtime_batches WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+    if (batchResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+    const batch = batchResult.rows[0];
+
+    const csvCell = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [['row', 'phone_number', 'network', 'amount', 'airtime_sent', 'status', 'reference', 'failure_reason'].join(',')];
+    for (const item of await getBatchItems(batch.id)) {
+      lines.push([item.row_number, item.phone_number, item.network, item.amount, item.airtime_sent, item.status, item.reference, item.failure_reason]
+        .map(csvCell).join(','));
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${batch.reference}.csv`);
+    res.send(lines.join('\n') + '\n');
+  } catch (error) {
+    console.error('Bulk report error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Cancel the rows of a batch that have not been sent yet and refund them
+app.post('/api/airtime/bulk/:id/cancel', userAuth, async (req, res) => {
+  try {
+    const refunded = await withTransaction(async (client) => {
+      const batchResult = await client.query(
+        `UPDATE airtime_batches SET status = 'cancelled', finished_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND status IN ('queued', 'processing')
+         RETURNING *`,
+        [req.params.id, req.user.id]
+      );
+      if (batchResult.rows.length === 0) {
+        return null;
+      }
+      const pending = await client.query(
+        "SELECT * FROM airtime_batch_items WHERE batch_id = $1 AND status = 'pending' FOR UPDATE",
+        [req.params.id]
+      );
+      if (pending.rows.length === 0) {
+        return 0;
+      }
+      return refundCancelledBatchItems(req.params.id, pending.rows, client);
+    });
+
+    if (refunded === null) {
+      return res.status(404).json({ success: false, message: 'No running batch found' });
+    }
+
+    res.json({ success: true, message: 'Batch cancelled', refunded });
+  } catch (error) {
+    console.error('Cancel bulk batch error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== SCHEDULE ROUTES ==============
+
+// Check a schedule's fields, falling back to the existing schedule's values on
+// update. Returns { schedule } ready to store, or { error }.
+function validateSchedule(body, existing = {}) {
+  const merged = { ...existing };
+  for (const field of ['label', 'phone_number', 'amount', 'frequency', 'day_of_week', 'day_of_month', 'time_of_day', 'start_date']) {
+    if (body[field] !== undefined) {
+      merged[field] = body[field];
+    }
+  }
+
+  const phone = parsePhoneNumber(merged.phone_number);
+  if (!phone) {
+    return { error: 'Invalid phone number' };
+  }
+  const amount = Number(merged.amount);
+  if (!Number.isFinite(amount) || amount < 5) {
+    return { error: 'Minimum airtime purchase is KES 5' };
+  }
+  if (!['once', 'daily', 'weekly', 'monthly'].includes(merged.frequency)) {
+    return { error: 'frequency must be once, daily, weekly or monthly' };
+  }
+  const timeOfDay = merged.time_of_day ? String(merged.time_of_day).slice(0, 5) : '08:00';
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(timeOfDay)) {
+    return { error: 'time_of_day must be HH:MM' };
+  }
+  const startDate = merged.start_date ? formatDateOnly(merged.start_date) : null;
+  if (startDate && (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || isNaN(new Date(startDate)))) {
+    return { error: 'start_date must be YYYY-MM-DD' };
+  }
+
+  const schedule = {
+    label: merged.label || null,
+    phone_number: phone.msisdn,
+    network: phone.network,
+    amount,
+    frequency: merged.frequency,
+    day_of_week: merged.frequency === 'weekly' ? Number(merged.day_of_week) : null,
+    day_of_month: merged.frequency === 'monthly' ? Number(merged.day_of_month) : null,
+    time_of_day: timeOfDay,
+    start_date: startDate
+  };
+  if (schedule.frequency === 'weekly' && !(Number.isInteger(schedule.day_of_week) && schedule.day_of_week >= 0 && schedule.day_of_week <= 6)) {
+    return { error: 'Weekly schedules need day_of_week 0 (Sunday) to 6 (Saturday)' };
+  }
+  if (schedule.frequency === 'monthly' && !(Number.isInteger(schedule.day_of_month) && schedule.day_of_month >= 1 && schedule.day_of_month <= 31)) {
+    return { error: 'Monthly schedules need day_of_month 1 to 31' };
+  }
+  if (schedule.frequency === 'once' && !schedule.start_date) {
+    return { error: 'One-off schedules need a start_date' };
+  }
+
+  schedule.next_run_at = nextScheduleRun(schedule);
+  if (!schedule.next_run_at) {
+    return { error: 'That time has already passed' };
+  }
+  return { schedule };
+}
+
+// Get the user's scheduled top-ups
+app.get('/api/schedules', userAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM airtime_schedules WHERE user_id = $1 AND status <> 'cancelled' ORDER BY created_at DESC",
+      [req.user.id]
+    );
+    res.json({ success: true, schedules: result.rows });
+  } catch (error) {
+    console.error('Get schedules error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Create a scheduled top-up
+app.post('/api/schedules', userAuth, async (req, res) => {
+  try {
+    const { schedule, error } = validateSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO airtime_schedules (user_id, label, phone_number, network, amount, frequency, day_of_week, day_of_month,
+         time_of_day, start_date, next_run_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW()) RETURNING *`,
+      [req.user.id, schedule.label, schedule.phone_number, schedule.network, schedule.amount, schedule.frequency,
+        schedule.day_of_week, schedule.day_of_month, schedule.time_of_day, schedule.start_date, schedule.next_run_at]
+    );
+    res.status(201).json({ success: true, schedule: result.rows[0] });
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get a scheduled top-up with its execution history
+app.get('/api/schedules/:id', userAuth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM airtime_schedules WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Schedule not found' });
+    }
+
+    const runs = await pool.query(
+      `SELECT r.*, t.reference, t.airtime_sent
+       FROM airtime_schedule_runs r
+       LEFT JOIN transactions t ON t.id = r.transaction_id
+       WHERE r.schedule_id = $1
+       ORDER BY r.created_at DESC
+       LIMIT 100`,
+      [req.params.id]
+    );
+    res.json({ success: true, schedule: result.rows[0], runs: runs.rows });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Update a scheduled top-up
+app.put('/api/schedules/:id', userAuth, async (req, res) => {
+  try {
+    const existing = await pool.query(
+      "SELECT * FROM airtime_schedules WHERE id = $1 AND user_id = $2 AND status IN ('active', 'paused')",
+      [req.params.id, req.user.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Schedule not found' });
+    }
+
+    const { schedule, error } = validateSchedule(req.body, existing.rows[0]);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await pool.query(
+      `UPDATE airtime_schedules
+       SET label = $1, phone_number = $2, network = $3, amount = $4, frequency = $5, day_of_week = $6, day_of_month = $7,
+           time_of_day = $8, start_date = $9, next_run_at = $10, retry_count = 0, updated_at = NOW()
+       WHERE id = $11 RETURNING *`,
+      [schedule.label, schedule.phone_number, schedule.network, schedule.amount, schedule.frequency, schedule.day_of_week,
+        schedule.day_of_month, schedule.time_of_day, schedule.start_date, schedule.next_run_at, req.params.id]
+    );
+    res.json({ success: true, schedule: result.rows[0] });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Pause a scheduled top-up
+app.post('/api/schedules/:id/pause', userAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE airtime_schedules SET status = 'paused', updated_at = NOW() WHERE id = $1 AND user_id = $2 AND status = 'active' RETURNING *",
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'No active schedule found' });
+    }
+    res.json({ success: true, schedule: result.rows[0] });
+  } catch (error) {
+    console.error('Pause schedule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Resume a paused top-up from its next occurrence; runs missed while paused are not made up
+app.post('/api/schedules/:id/resume', userAuth, async (req, res) => {
+  try {
+    const existing = await pool.query(
+      "SELECT * FROM airtime_schedules WHERE id = $1 AND user_id = $2 AND status = 'paused'",
+      [req.params.id, req.user.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'No paused schedule found' });
+    }
+
+    const next = nextScheduleRun(existing.rows[0]);
+    if (!next) {
+      return res.status(400).json({ success: false, message: 'This one-off top-up is already past' });
+    }
+
+    const result = await pool.query(
+      "UPDATE airtime_schedules SET status = 'active', next_run_at = $1, retry_count = 0, updated_at = NOW() WHERE id = $2 RETURNING *",
+      [next, req.params.id]
+    );
+    res.json({ success: true, schedule: result.rows[0] });
+  } catch (error) {
+    console.error('Resume schedule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Cancel a scheduled top-up. It stays in the table for its history.
+app.delete('/api/schedules/:id', userAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE airtime_schedules SET status = 'cancelled', next_run_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status IN ('active', 'paused')`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'Schedule not found' });
+    }
+    res.json({ success: true, message: 'Schedule cancelled' });
+  } catch (error) {
+    console.error('Cancel schedule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== AIRTIME TO CASH ROUTES ==============
+
+// Initiate airtime to cash conversion
+app.post('/api/airtime-to-cash/initiate', userAuth, async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const user = req.user;
+
+    const phone = parsePhoneNumber(req.body.phone_number);
+    if (!phone) {
+      return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ success: false, message: 'Valid amount required' });
+    }
+
+    const channelResult = await pool.query(
+      'SELECT * FROM conversion_channels WHERE network = $1 AND is_active = true',
+      [phone.network]
+    );
+    if (channelResult.rows.length === 0) {
+      return res.status(400).json({ success: false, message: `Airtime to cash is not available for ${phone.network} numbers` });
+    }
+    const channel = channelResult.rows[0];
+
+    const { cashback, rule_id } = await calculateCashback(amount, { network: phone.network, segment: user.segment });
+    const reference = `A2C-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+    // Create the conversion
+    await pool.query(
+      `INSERT INTO airtime_conversions (user_id, amount, cashback_amount, phone_number, network, reference, status, pricing_rule_id, receiving_number, created_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+      [user.id, amount, cashback, phone.msisdn, phone.network, reference, 'initiated', rule_id, channel.receiving_number]
+    );
+
+    res.json({ 
+      success: true, 
+      message: 'Airtime conversion initiated',
+      reference,
+      amount,
+      cashback,
+      receiving_number: channel.receiving_number,
+      dial_code: channel.dial_template.replace('{amount}', amount).replace('{number}', channel.receiving_number),
+      whatsapp_number: channel.whatsapp_number
+    });
+  } catch (error) {
+    console.error('Airtime to cash error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Submit the confirmation code from the airtime transfer
+app.post('/api/airtime-to-cash/verify', userAuth, async (req, res) => {
+  try {
+    const { reference, verification_code } = req.body;
+    if (!verification_code) {
+      return res.status(400).json({ success: false, message: 'Verification code required' });
+    }
+
+    const result = await pool.query(
+      `UPDATE airtime_conversions SET verification_code = $1, verified_at = NOW()
+       WHERE reference = $2 AND user_id = $3 AND status = 'initiated'`,
+      [verification_code, reference, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'Conversion not found' });
+    }
+
+    res.json({ 
+      success: true, 
+      message: "Verification submitted. We'll notify you as soon as the airtime is received and your cashback is paid."
+    });
+  } catch (error) {
+    console.error('Verify conversion error:', error);
+    res.status(500).json({ success: false, message: 'Verification failed' });
+  }
+});
+
+// Get the user's airtime to cash conversions
+app.get('/api/airtime-to-cash', userAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM airtime_conversions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50',
+      [req.user.id]
+    );
+    res.json({ success: true, conversions: result.rows });
+  } catch (error) {
+    console.error('Get conversions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== WITHDRAWAL ROUTES ==============
+
+// Withdraw from the wallet to the account's M-Pesa number
+app.post('/api/withdrawals', userAuth, async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const user = req.user;
+
+    if (!Number.isFinite(amount) || amount <= 0 || !Number.isInteger(amount)) {
+      return res.status(400).json({ success: false, message: 'Valid whole-shilling amount required' });
+    }
+    const phone = parsePhoneNumber(user.phone_number);
+    if (!phone) {
+      return res.status(400).json({ success: false, message: 'Add a phone number to your profile before withdrawing' });
+    }
+    if (phone.network !== 'safaricom') {
+      return res.status(400).json({ success: false, message: 'Withdrawals can only be sent to a Safaricom M-Pesa number' });
+    }
+    if (!payoutProvider) {
+      return res.status(503).json({ success: false, message: 'Withdrawals are temporarily unavailable' });
+    }
+
+    let tx;
+    try {
+      tx = await createWithdrawal(user, phone.msisdn, amount);
+    } catch (error) {
+      if (error.code === 'WITHDRAWAL_LIMIT') {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(400).json({ success: false, message: 'Insufficient balance to cover the amount and fee', balance: error.balance });
+      }
+      throw error;
+    }
+
+    if (tx.status === 'awaiting_approval') {
+      return res.json({
+        success: true,
+        message: 'Withdrawal received and awaiting approval',
+        reference: tx.reference,
+        amount,
+        fee: parseFloat(tx.fee),
+        status: tx.status
+      });
+    }
+
+    const payout = await sendWithdrawal(tx);
+    if (!payout.success && !payout.pending) {
+      return res.status(502).json({
+        success: false,
+        message: 'Withdrawal failed. Your balance has been restored.',
+        reference: tx.reference
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Withdrawal of KES ${amount} is being sent to ${phone.msisdn}`,
+      reference: tx.reference,
+      amount,
+      fee: parseFloat(tx.fee),
+      status: 'processing'
+    });
+  } catch (error) {
+    console.error('Withdrawal error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get the user's withdrawals
+app.get('/api/withdrawals', userAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM transactions WHERE user_id = $1 AND type = 'withdrawal' ORDER BY created_at DESC LIMIT 50",
+      [req.user.id]
+    );
+    res.json({ success: true, withdrawals: result.rows });
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== TRANSFER ROUTES ==============
+
+// Send wallet balance to another user by username or phone number
+app.post('/api/transfers', userAuth, async (req, res) => {
+  try {
+    const { recipient, pin } = req.body;
+    const amount = Number(req.body.amount);
+    const sender = req.user;
+
+    if (!recipient) {
+      return res.status(400).json({ success: false, message: 'Recipient username or phone number required' });
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ success: false, message: 'Valid whole-shilling amount required' });
+    }
+
+    const recipients = await findTransferRecipients(recipient);
+    if (recipients.length === 0) {
+      return res.status(404).json({ success: false, message: 'Recipient not found' });
+    }
+    if (recipients.length > 1) {
+      return res.status(400).json({ success: false, message: 'Several accounts use that phone number. Send by username instead.' });
+    }
+    if (recipients[0].id === sender.id) {
+      return res.status(400).json({ success: false, message: 'You cannot transfer to yourself' });
+    }
+
+    const refusal = await checkTransactionPin(sender.id, pin);
+    if (refusal) {
+      return res.status(403).json({ success: false, message: refusal });
+    }
+
+    try {
+      const transfer = await transferBalance(sender, recipients[0], amount);
+      res.json({
+        success: true,
+        message: `KES ${amount} sent to ${recipients[0].username}`,
+        reference: transfer.reference,
+        transaction_id: transfer.transaction_id,
+        balance: transfer.balance
+      });
+    } catch (error) {
+      if (error.code === 'TRANSFER_LIMIT') {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(400).json({ success: false, message: 'Insufficient balance', balance: error.balance });
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Transfer error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get the user's transfers in both directions
+app.get('/api/transfers', userAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.*, cp.username AS counterparty_username
+       FROM transactions t
+       JOIN users cp ON cp.id = t.counterparty_user_id
+       WHERE t.user_id = $1 AND t.type IN ('transfer_out', 'transfer_in')
+       ORDER BY t.created_at DESC
+       LIMIT 50`,
+      [req.user.id]
+    );
+    res.json({ success: true, transfers: result.rows });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== REFERRAL ROUTES ==============
+
+// Get the user's referral code, stats and the people they referred
+app.get('/api/referrals', userAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.id, u.username, r.status, r.reward_amount, r.created_at, r.resolved_at
+       FROM referrals r
+       JOIN users u ON u.id = r.referee_id
+       WHERE r.referrer_id = $1
+       ORDER BY r.created_at DESC`,
+      [req.user.id]
+    );
+    const count = status => result.rows.filter(referral => referral.status === status).length;
+
+    res.json({
+      success: true,
+      referral_code: req.user.referral_code,
+      reward_amount: REFERRAL_REWARD_AMOUNT,
+      min_deposit: REFERRAL_MIN_DEPOSIT,
+      stats: {
+        total: result.rows.length,
+        pending: count('pending'),
+        rewarded: count('rewarded'),
+        rejected: count('rejected'),
+        earned: result.rows.reduce((sum, referral) => sum + parseFloat(referral.reward_amount || 0), 0)
+      },
+      referrals: result.rows
+    });
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== PROMO CODE ROUTES ==============
+
+// Redeem a credit promo code into the wallet
+app.post('/api/promo-codes/redeem', userAuth, async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ success: false, message: 'Promo code required' });
+    }
+
+    const redemption = await redeemCreditCode(req.user, req.body.code);
+    res.json({
+      success: true,
+      message: `KES ${redemption.amount} added to your wallet`,
+      reference: redemption.reference,
+      amount: redemption.amount,
+      balance: redemption.balance
+    });
+  } catch (error) {
+    if (error.code === 'PROMO_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Redeem promo code error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== PENDING PURCHASE ROUTES ==============
+
+// Get user's pending purchases
+app.get('/api/pending-purchases/:username', userAuth, requireSelf, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM pending_purchases WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50',
+      [req.user.id]
+    );
+    res.json({ success: true, pending_purchases: result.rows });
+  } catch (error) {
+    console.error('Get pending purchases error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Confirm a pending purchase now that the balance covers it
+app.post('/api/pending-purchases/:id/confirm', userAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const claimed = await pool.query(
+      `UPDATE pending_purchases SET status = 'processing'
+       WHERE id = $1 AND user_id = $2 AND status IN ('pending', 'awaiting_confirmation') AND expires_at > NOW()
+       RETURNING *`,
+      [id, req.user.id]
+    );
+    if (claimed.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Pending purchase not found' });
+    }
+
+    const outcome = await fulfilPendingPurchase(claimed.rows[0]);
+    if (outcome === 'insufficient_balance' || outcome === 'low_float') {
+      await pool.query("UPDATE pending_purchases SET status = 'pending', reason = $1 WHERE id = $2", [outcome, id]);
+      return outcome === 'low_float'
+        ? res.status(503).json({ success: false, queued: true, message: 'Airtime is temporarily unavailable. Your purchase is queued.' })
+        : res.status(400).json({ success: false, message: 'Insufficient balance' });
+    }
+    if (outcome === 'failed') {
+      return res.status(500).json({ success: false, message: 'Airtime purchase failed. Amount refunded.' });
+    }
+
+    res.json({ success: true, message: `KES ${claimed.rows[0].amount} airtime purchase completed` });
+  } catch (error) {
+    console.error('Confirm pending purchase error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Cancel a pending purchase
+app.delete('/api/pending-purchases/:id', userAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `UPDATE pending_purchases SET status = 'cancelled', resolved_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status IN ('pending', 'awaiting_confirmation')`,
+      [id, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'Pending purchase not found' });
+    }
+
+    res.json({ success: true, message: 'Pending purchase cancelled' });
+  } catch (error) {
+    console.error('Cancel pending purchase error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== TRANSACTION ROUTES ==============
+
+// Columns transaction listings may be sorted by
+const TRANSACTION_SORTS = {
+  created_at: { column: 't.created_at', type: 'timestamptz' },
+  amount: { column: 't.amount', type: 'numeric' }
+};
+
+// Filters shared by the user and admin transaction listings: status and type
+// (comma-separated), from, to, phone (payer or recipient), reference,
+// min_amount, max_amount and q, a free-text match on the reference, phone
+// numbers, M-Pesa receipt, transfer counterparty and any extra columns.
+function addTransactionFilters(filters, query, extraSearchColumns = []) {
+  const searchColumns = ['t.reference', 't.phone_number', 't.recipient_phone', 't.mpesa_receipt', 'cp.username', ...extraSearchColumns];
+  filters.add(`(${searchColumns.map(column => `${column} ILIKE ?`).join(' OR ')})`, query.q && containsPattern(query.q));
+  filters.add('t.status = ANY(?)', listValues(query.status));
+  filters.add('t.type = ANY(?)', listValues(query.type));
+  filters.add('t.created_at >= ?', listDate(query.from, 'from'));
+  filters.add('t.created_at < ?', listDate(query.to, 'to'));
+  filters.add('(t.phone_number = ? OR t.recipient_phone = ?)', listPhone(query.phone));
+  filters.add('t.reference = ?', query.reference);
+  filters.add('t.amount >= ?', listAmount(query.min_amount, 'min_amount'));
+  filters.add('t.amount <= ?', listAmount(query.max_amount, 'max_amount'));
+}
+
+// Get user transactions, newest first, a page at a time
+app.get('/api/transactions/:username', userAuth, requireSelf, async (req, res) => {
+  try {
+    const { username } = req.params;
+    
+    const userResult = await pool.query('SELECT id FROM users WHERE username = $1', [username]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const filters = createListFilters();
+    filters.add('t.user_id = ?', userResult.rows[0].id);
+    addTransactionFilters(filters, req.query);
+
+    const page = await fetchListPage(req.query, {
+      select: 't.*, cp.username AS counterparty_username',
+      from: 'FROM transactions t LEFT JOIN users cp ON cp.id = t.counterparty_user_id',
+      filters,
+      sortable: TRANSACTION_SORTS,
+      idColumn: 't.id',
+      totals: 'COUNT(*) AS count, COALESCE(SUM(t.amount), 0) AS amount'
+    });
+    res.json({ success: true, transactions: page.items, pagination: page.pagination, totals: page.totals });
+  } catch (error) {
+    if (sendListError(res, error)) {
+      return;
+    }
+    console.error('Get transactions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Download transactions as PDF
+app.get('/api/transactions/:username/pdf', userAuth, requireSelf, async (req, res) => {
+  try {
+    const { username } = req.params;
+    
+    const userResult = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const user = userResult.rows[0];
+    const txResult = await pool.query(
+      `SELECT t.*, cp.username AS counterparty_username
+       FROM transactions t
+       LEFT JOIN users cp ON cp.id = t.counterparty_user_id
+       WHERE t.user_id = $1
+       ORDER BY t.created_at DESC`,
+      [user.id]
+    );
+
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=transactions-${username}.pdf`);
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20).text('Airtime Solution Kenya 🇰🇪', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(14).text(`Transaction History for ${username}`, { align: 'center' });
+    doc.fontSize(10).text(`Generated: ${new Date().toLocaleString()}`, { align: 'center' });
+    doc.moveDown(2);
+
+    // Table headers
+    doc.fontSize(10).font('Helvetica-Bold');
+    doc.text('Date', 50, doc.y, { continued: true, width: 100 });
+    doc.text('Type', 150, doc.y, { continued: true, width: 80 });
+    doc.text('Amount', 230, doc.y, { continued: true, width: 60 });
+    doc.text('Phone', 290, doc.y, { continued: true, width: 100 });
+    doc.text('Status', 390, doc.y, { continued: true, width: 80 });
+    doc.text('Reference', 470, doc.y);
+    doc.moveDown();
+
+    doc.font('Helvetica');
+    txResult.rows.forEach(tx => {
+      const date = new Date(tx.created_at).toLocaleDateString();
+      doc.text(date, 50, doc.y, { continued: true, width: 100 });
+      doc.text(tx.type, 150, doc.y, { continued: true, width: 80 });
+      doc.text(`KES ${tx.amount}`, 230, doc.y, { continued: true, width: 60 });
+      doc.text(tx.counterparty_username ? `@${tx.counterparty_username}` : tx.phone_number || '-', 290, doc.y, { continued: true, width: 100 });
+      doc.text(tx.status, 390, doc.y, { continued: true, width: 80 });
+      doc.text(tx.reference || '-', 470, doc.y);
+      if (parseFloat(tx.fee) > 0) {
+        doc.fontSize(8).text(`Fee KES ${tx.fee}`, 230, doc.y).fontSize(10);
+      }
+      doc.moveDown(0.5);
+    });
+
+    doc.end();
+  } catch (error) {
+    console.error('Generate PDF error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate PDF' });
+  }
+});
+
+// ============== NOTIFICATION ROUTES ==============
+
+// Get user notifications
+app.get('/api/notifications/:username', userAuth, requireSelf, async (req, res) => {
+  try {
+    const { username } = req.params;
+    
+    const userResult = await pool.query('SELECT id FROM users WHERE username = $1', [username]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const userId = userResult.rows[0].id;
+    const result = await pool.query(
+      'SELECT * FROM notifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50',
+      [userId]
+    );
+
+    res.json({ success: true, notifications: result.rows });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Mark notification as read
+app.put('/api/notifications/:id/read', userAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await pool.query('UPDATE notifications SET is_read = true WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ success: false });
+  }
+});
+
+// ============== PRICING ROUTES ==============
+
+// Preview what an amount would yield under the current rules. Signed-in
+// users see their own segment's pricing; everyone else sees standard.
+app.get('/api/pricing/preview', optionalUserAuth, async (req, res) => {
+  try {
+    const amount = parseFloat(req.query.amount);
+    if (!amount || amount <= 0) {
+      return res.status(400).json({ success: false, message: 'Valid amount required' });
+    }
+
+    // The network can be given directly or detected from a phone number
+    const phone = req.query.phone_number ? parsePhoneNumber(req.query.phone_number) : null;
+    if (req.query.phone_number && !phone) {
+      return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+
+    const context = { network: phone ? phone.network : req.query.network || null, segment: req.user?.segment || 'standard' };
+    const [deposit, airtime, cashback, withdrawal] = await Promise.all([
+      calculateBonus(amount, context),
+      calculateAirtimeAmount(amount, context),
+      calculateCashback(amount, context),
+      calculateWithdrawalFee(amount, context)
+    ]);
+
+    res.json({
+      success: true,
+      amount,
+      network: context.network,
+      deposit: { bonus: deposit.bonus, credited: amount + deposit.bonus, rule_id: deposit.rule_id },
+      airtime: { airtime: airtime.airtime, rule_id: airtime.rule_id },
+      airtime_to_cash: { cashback: cashback.cashback, rule_id: cashback.rule_id },
+      withdrawal: { fee: withdrawal.fee, total_debit: amount + withdrawal.fee, rule_id: withdrawal.rule_id }
+    });
+  } catch (error) {
+    console.error('Pricing preview error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============== ADMIN ROUTES ==============
+
+// Admin roles and what each may do. Read permissions cover the matching GET
+// routes, the others the changes. superadmin may do everything, including
+// managing admin accounts.
+const ADMIN_ROLE_PERMISSIONS = {
+  support: [
+    'users.read', 'users.write', 'transactions.read', 'notifications.send',
+    'conversions.read', 'referrals.read', 'promos.read', 'catalogue.read', 'operations.read',
+    'alerts.acknowledge'
+  ],
+  finance: [
+    'users.read', 'users.write', 'transactions.read', 'notifications.send',
+    'conversions.read', 'referrals.read', 'promos.read', 'catalogue.read', 'operations.read',
+    'alerts.acknowledge', 'balances.adjust', 'balances.approve', 'conversions.manage',
+    'withdrawals.manage', 'refunds.manage', 'float.manage', 'reconciler.run', 'pricing.manage',
+    'catalogue.manage', 'promos.manage', 'audit.read', 'analytics.read'
+  ],
+  superadmin: ['*']
+};
+
+const ADMIN_ROLES = Object.keys(ADMIN_ROLE_PERMISSIONS);
+
+const ADMIN_PASSWORD_MIN_LENGTH = 10;
+
+// Admin usernames are stored lowercase; login lowercases what is typed
+const ADMIN_USERNAME_PATTERN = /^[a-z0-9._-]{3,50}$/;
+
+function adminCan(admin, permission) {
+  const permissions = ADMIN_ROLE_PERMISSIONS[admin.role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Admin account as returned by the API, without the password hash or the
+// two-factor secret
+function publicAdmin(admin) {
+  const { password_hash, totp_secret, totp_last_step, ...rest } = admin;
+  return rest;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function signAdminAccessToken(admin, sessionId) {
+  return jwt.sign(
+    { sub: admin.id, sid: sessionId, username: admin.username, role: admin.role },
+    JWT_SECRET,
+    { expiresIn: `${ADMIN_ACCESS_TOKEN_MINUTES}m` }
+  );
+}
+
+// Start a session for a signed-in admin. Resolves the tokens for the client.
+async function createAdminSession(admin, req) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const result = await pool.query(
+    `INSERT INTO admin_sessions (admin_user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+     RETURNING id, expires_at`,
+    [admin.id, hashRefreshToken(refreshToken), req.ip, String(req.headers['user-agent'] || '').slice(0, 255), ADMIN_SESSION_HOURS]
+  );
+  const session = result.rows[0];
+  return {
+    token: signAdminAccessToken(admin, session.id),
+    refresh_token: refreshToken,
+    expires_in: ADMIN_ACCESS_TOKEN_MINUTES * 60,
+    session_id: session.id,
+    session_expires_at: session.expires_at
+  };
+}
+
+// Revoke an admin's open sessions, optionally sparing one (usually the
+// caller's own). Resolves how many were revoked.
+async function revokeAdminSessions(adminUserId, reason, { except = null, db = pool } = {}) {
+  const result = await db.query(
+    `UPDATE admin_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE admin_user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3)`,
+    [adminUserId, reason, except]
+  );
+  return result.rowCount;
+}
+
+// Count a failed login, locking the account once it reaches the limit
+async function recordFailedAdminLogin(admin) {
+  const result = await pool.query(
+    `UPDATE admin_users
+     SET failed_login_attempts = CASE WHEN failed_login_attempts + 1 >= $2 THEN 0 ELSE failed_login_attempts + 1 END,
+         locked_until = CASE WHEN failed_login_attempts + 1 >= $2 THEN NOW() + make_interval(mins => $3) ELSE locked_until END
+     WHERE id = $1
+     RETURNING locked_until`,
+    [admin.id, ADMIN_MAX_FAILED_LOGINS, ADMIN_LOCK_MINUTES]
+  );
+  const lockedUntil = result.rows[0]?.locked_until;
+  if (lockedUntil && lockedUntil > new Date()) {
+    await raiseAdminAlert('admin_locked', `Admin "${admin.username}" locked for ${ADMIN_LOCK_MINUTES} minutes after ${ADMIN_MAX_FAILED_LOGINS} failed logins`, {
+      admin_user_id: admin.id,
+      username: admin.username
+    });
+  }
+}
+
+// Create the first superadmin from ADMIN_BOOTSTRAP_PASSWORD when there are no
+// admin accounts yet
+async function bootstrapAdmin() {
+  const existing = await pool.query('SELECT COUNT(*) AS count FROM admin_users');
+  if (parseInt(existing.rows[0].count) > 0) {
+    return;
+  }
+  if (!ADMIN_BOOTSTRAP_PASSWORD || ADMIN_BOOTSTRAP_PASSWORD.length < ADMIN_PASSWORD_MIN_LENGTH) {
+    console.warn(`WARNING: No admin accounts. Set ADMIN_BOOTSTRAP_PASSWORD (at least ${ADMIN_PASSWORD_MIN_LENGTH} characters) to create the first superadmin.`);
+    return;
+  }
+  if (!ADMIN_USERNAME_PATTERN.test(ADMIN_BOOTSTRAP_USERNAME)) {
+    console.warn('WARNING: No admin accounts. ADMIN_BOOTSTRAP_USERNAME must be 3-50 letters, digits, dots, dashes or underscores.');
+    return;
+  }
+  const passwordHash = await bcrypt.hash(ADMIN_BOOTSTRAP_PASSWORD, 10);
+  await pool.query(
+    `INSERT INTO admin_users (username, password_hash, role, created_at)
+     VALUES ($1, $2, 'superadmin', NOW())
+     ON CONFLICT (username) DO NOTHING`,
+    [ADMIN_BOOTSTRAP_USERNAME, passwordHash]
+  );
+  console.log(`Created superadmin "${ADMIN_BOOTSTRAP_USERNAME}" from ADMIN_BOOTSTRAP_PASSWORD`);
+}
+
+// Admin login. Accounts with two-factor enabled must also send totp_code, the
+// current code from their authenticator app; without it the response says
+// two_factor_required so the client can ask for it.
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { username, password, totp_code } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ success: false, message: 'Username and password required' });
+    }
+
+    const result = await pool.query('SELECT * FROM admin_users WHERE username = $1', [String(username).toLowerCase()]);
+    const admin = result.rows[0];
+    if (admin?.locked_until && admin.locked_until > new Date()) {
+      return res.status(423).json({ success: false, message: 'Too many failed logins. Try again later.' });
+    }
+    if (!admin || !admin.is_active || !(await bcrypt.compare(String(password), admin.password_hash))) {
+      if (admin?.is_active) {
+        await recordFailedAdminLogin(admin);
+      }
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+    }
+
+    if (admin.totp_enabled_at) {
+      if (!totp_code) {
+        return res.status(401).json({ success: false, message: 'Authenticator code required', two_factor_required: true });
+      }
+      const step = verifyTotp(admin.totp_secret, totp_code, { lastStep: admin.totp_last_step });
+      // The conditional update stops two logins racing on the same code
+      const accepted = step !== null && (await pool.query(
+        'UPDATE admin_users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)',
+        [admin.id, step]
+      )).rowCount > 0;
+      if (!accepted) {
+        await recordFailedAdminLogin(admin);
+        return res.status(401).json({ success: false, message: 'Invalid authenticator code', two_factor_required: true });
+      }
+    }
+
+    await pool.query(
+      'UPDATE admin_users SET last_login_at = NOW(), failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
+      [admin.id]
+    );
+    const session = await createAdminSession(admin, req);
+    req.admin = publicAdmin(admin);
+    await logAdminAction(req, 'admin_session.login', 'admin_session', session.session_id);
+
+    res.json({
+      success: true,
+      ...session,
+      two_factor_enrolment_required: ADMIN_REQUIRE_2FA && !admin.totp_enabled_at,
+      admin: publicAdmin(admin)
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Swap a refresh token for a new access token (admin). The refresh token is
+// replaced on every use, so each one works once.
+app.post('/api/admin/token/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token) {
+      return res.status(400).json({ success: false, message: 'Refresh token required' });
+    }
+
+    const newRefreshToken = crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(
+      `UPDATE admin_sessions s SET refresh_token_hash = $2, last_used_at = NOW()
+       FROM admin_users a
+       WHERE s.refresh_token_hash = $1 AND a.id = s.admin_user_id
+         AND s.revoked_at IS NULL AND s.expires_at > NOW() AND a.is_active = true
+       RETURNING s.id AS session_id, s.expires_at, a.*`,
+      [hashRefreshToken(refresh_token), hashRefreshToken(newRefreshToken)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({ success: false, message: 'Session expired or revoked' });
+    }
+
+    const { session_id, expires_at, ...admin } = result.rows[0];
+    res.json({
+      success: true,
+      token: signAdminAccessToken(admin, session_id),
+      refresh_token: newRefreshToken,
+      expires_in: ADMIN_ACCESS_TOKEN_MINUTES * 60,
+      session_id,
+      session_expires_at: expires_at
+    });
+  } catch (error) {
+    console.error('Admin token refresh error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin middleware. The session and account are re-read on every request so
+// revoking a session, deactivating an admin or changing their role takes
+// effect immediately.
+const adminAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'No token provided' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ success: false, message: 'Invalid token' });
+  }
+  if (!Number.isInteger(decoded.sub) || !UUID_PATTERN.test(decoded.sid || '')) {
+    return res.status(401).json({ success: false, message: 'Invalid token' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT a.* FROM admin_sessions s
+       JOIN admin_users a ON a.id = s.admin_user_id
+       WHERE s.id = $1 AND s.admin_user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+      [decoded.sid, decoded.sub]
+    );
+    const admin = result.rows[0];
+    if (!admin) {
+      return res.status(401).json({ success: false, message: 'Session expired or revoked' });
+    }
+    if (!admin.is_active) {
+      return res.status(401).json({ success: false, message: 'Admin account disabled' });
+    }
+    req.admin = publicAdmin(admin);
+    req.adminSessionId = decoded.sid;
+    next();
+  } catch (error) {
+    console.error('Admin auth error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Permission check for an admin route; use after adminAuth. While two-factor
+// is required, admins who have not enrolled may only reach their own account
+// routes, which do not use this check.
+const requirePermission = (permission) => (req, res, next) => {
+  if (ADMIN_REQUIRE_2FA && !req.admin.totp_enabled_at) {
+    return res.status(403).json({ success: false, message: 'Set up two-factor authentication first', two_factor_enrolment_required: true });
+  }
+  if (!adminCan(req.admin, permission)) {
+    return res.status(403).json({ success: false, message: 'Not authorized' });
+  }
+  next();
+};
+
+// Record an admin change in the audit log. details.before and details.after
+// hold the record's state either side of the change; anything else in details
+// is kept as context. Pass the DB client when the change runs in a
+// transaction so the entry commits or rolls back with it.
+async function logAdminAction(req, action, entityType, entityId, details = {}, db = pool) {
+  const { before, after, ...context } = details;
+  await db.query(
+    `INSERT INTO admin_audit_log (admin_user_id, actor, action, entity_type, entity_id, details, before_values, after_values, ip_address, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+    [
+      req.admin.id,
+      req.admin.username,
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      JSON.stringify(context),
+      before === undefined ? null : JSON.stringify(before),
+      after === undefined ? null : JSON.stringify(after),
+      req.ip
+    ]
+  );
+}
+
+// Make an admin change to one row in a transaction and log it with the row as
+// it was before and after. beforeSql selects the row by $1 = entityId (omit
+// it for inserts). change(client) resolves the changed row, or null when
+// nothing matched, in which case nothing is logged.
+async function auditedRowChange(req, { action, entityType, entityId = null, beforeSql = null, details = {} }, change) {
+  return withTransaction(async (client) => {
+    const before = beforeSql ? (await client.query(beforeSql, [entityId])).rows[0] || null : null;
+    const after = await change(client);
+    if (after) {
+      await logAdminAction(req, action, entityType, entityId ?? after.id, { before, after, ...details }, client);
+    }
+    return after || null;
+  });
+}
+
+// List users (admin). Filters: q (username, email, phone or referral code),
+// username, phone, is_active, segment, from, to (joined), min_balance and
+// max_balance. Sort by created_at, balance or username.
+app.get('/api/admin/users', adminAuth, requirePermission('users.read'), async (req, res) => {
+  try {
+    const { query } = req;
+    if (query.is_active !== undefined && !['true', 'false'].includes(query.is_active)) {
+      return res.status(400).json({ success: false, message: 'is_active must be true or false' });
+    }
+
+    const filters = createListFilters();
+    filters.add('(u.username ILIKE ? OR u.email ILIKE ? OR u.phone_number ILIKE ? OR u.referral_code ILIKE ?)', query.q && containsPattern(query.q));
+    filters.add('u.username = ?', query.username);
+    filters.add('u.phone_number = ?', listPhone(query.phone));
+    filters.add('u.is_active = ?', query.is_active === undefined ? null : query.is_active === 'true');
+    filters.add('u.segment = ?', query.segment);
+    filters.add('u.created_at >= ?', listDate(query.from, 'from'));
+    filters.add('u.created_at < ?', listDate(query.to, 'to'));
+    filters.add('u.balance >= ?', listAmount(query.min_balance, 'min_balance'));
+    filters.add('u.balance <= ?', listAmount(query.max_balance, 'max_balance'));
+
+    const page = await fetchListPage(query, {
+      select: 'u.*',
+      from: 'FROM users u',
+      filters,
+      sortable: {
+        created_at: { column: 'u.created_at', type: 'timestamptz' },
+        balance: { column: 'u.balance', type: 'numeric' },
+        username: { column: 'u.username', type: 'text' }
+      },
+      idColumn: 'u.id',
+      totals: 'COUNT(*) AS count, COALESCE(SUM(u.balance), 0) AS balance'
+    });
+    res.json({ success: true, users: page.items, pagination: page.pagination, totals: page.totals });
+  } catch (error) {
+    if (sendListError(res, error)) {
+      return;
+    }
+    console.error('Admin get users error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Update user status (admin)
+app.put('/api/admin/users/:id/status', adminAuth, requirePermission('users.write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { is_active } = req.body;
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'is_active must be true or false' });
+    }
+
+    const found = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT is_active FROM users WHERE id = $1 FOR UPDATE', [id]);
+      if (existing.rows.length === 0) {
+        return false;
+      }
+      await client.query('UPDATE users SET is_active = $1 WHERE id = $2', [is_active, id]);
+      await logAdminAction(req, is_active ? 'user.activate' : 'user.deactivate', 'user', id, {
+        before: existing.rows[0],
+        after: { is_active }
+      }, client);
+      return true;
+    });
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, message: `User ${is_active ? 'activated' : 'deactivated'}` });
+  } catch (error) {
+    console.error('Admin update status error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Credit or debit a user's wallet with a reason code (admin). Amounts above
+// the approval threshold wait for a second admin.
+function adjustmentRoute(direction) {
+  return async (req, res) => {
+    try {
+      const { reason_code, note } = req.body;
+      const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+
+      if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({ success: false, message: 'Amount must be a positive number' });
+      }
+      if (!Object.hasOwn(ADJUSTMENT_REASONS, reason_code)) {
+        return res.status(400).json({ success: false, message: `reason_code must be one of ${Object.keys(ADJUSTMENT_REASONS).join(', ')}` });
+      }
+      if (reason_code === 'other' && !note) {
+        return res.status(400).json({ success: false, message: 'A note is required when the reason is "other"' });
+      }
+
+      const adjustment = await requestBalanceAdjustment(req, req.params.id, direction, { amount, reasonCode: reason_code, note });
+      const applied = adjustment.status === 'applied';
+      res.status(201).json({
+        success: true,
+        message: applied ? `Wallet ${direction}ed` : `Adjustments over KES ${ADJUSTMENT_APPROVAL_THRESHOLD} a day to one user need a second admin; this one awaits approval`,
+        adjustment
+      });
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return res.status(404).json({ success: false, message: error.message });
+      }
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(400).json({ success: false, message: `Wallet balance is only KES ${error.balance.toFixed(2)}` });
+      }
+      if (error.code === '22P02') {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      console.error(`Admin ${direction} adjustment error:`, error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+}
+
+app.post('/api/admin/users/:id/credit', adminAuth, requirePermission('balances.adjust'), adjustmentRoute('credit'));
+app.post('/api/admin/users/:id/debit', adminAuth, requirePermission('balances.adjust'), adjustmentRoute('debit'));
+
+// Get balance adjustments, optionally by status or user (admin)
+app.get('/api/admin/adjustments', adminAuth, requirePermission('balances.adjust'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ba.*, u.username, requester.username AS requested_by_username, reviewer.username AS reviewed_by_username,
+              t.reference
+       FROM balance_adjustments ba
+       JOIN users u ON u.id = ba.user_id
+       JOIN admin_users requester ON requester.id = ba.requested_by
+       LEFT JOIN admin_users reviewer ON reviewer.id = ba.reviewed_by
+       LEFT JOIN transactions t ON t.id = ba.transaction_id
+       WHERE ($1::text IS NULL OR ba.status = $1) AND ($2::integer IS NULL OR ba.user_id = $2)
+       ORDER BY ba.created_at DESC
+       LIMIT 200`,
+      [req.query.status || null, req.query.user_id || null]
+    );
+    res.json({ success: true, adjustments: result.rows, reasons: ADJUSTMENT_REASONS, approval_threshold: ADJUSTMENT_APPROVAL_THRESHOLD });
+  } catch (error) {
+    if (error.code === '22P02') {
+      return res.status(400).json({ success: false, message: 'Invalid user_id' });
+    }
+    console.error('Admin get adjustments error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Approve a pending adjustment and apply it (admin). The approver must not be
+// the admin who requested it.
+app.post('/api/admin/adjustments/:id/approve', adminAuth, requirePermission('balances.approve'), async (req, res) => {
+  try {
+    const adjustment = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE balance_adjustments SET reviewed_by = $2, review_note = $3, reviewed_at = NOW()
+         WHERE id = $1 AND status = 'pending' AND requested_by <> $2 RETURNING *`,
+        [req.params.id, req.admin.id, req.body.note || null]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await logAdminAction(req, 'adjustment.approve', 'balance_adjustment', req.params.id, { note: req.body.note || null }, client);
+      return applyBalanceAdjustment(req, client, result.rows[0]);
+    });
+
+    if (!adjustment) {
+      return res.status(400).json({ success: false, message: 'Adjustment not found, not pending, or requested by you' });
+    }
+    res.json({ success: true, message: 'Adjustment approved and applied', adjustment });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ success: false, message: `Wallet balance is only KES ${error.balance.toFixed(2)}; reject the debit or wait for funds` });
+    }
+    console.error('Admin approve adjustment error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Reject a pending adjustment (admin). The requester may withdraw their own.
+app.post('/api/admin/adjustments/:id/reject', adminAuth, requirePermission('balances.adjust'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to reject an adjustment' });
+    }
+
+    const adjustment = await auditedRowChange(req, {
+      action: 'adjustment.reject',
+      entityType: 'balance_adjustment',
+      entityId: req.params.id,
+      beforeSql: 'SELECT * FROM balance_adjustments WHERE id = $1 FOR UPDATE'
+    }, async (client) => (await client.query(
+      `UPDATE balance_adjustments SET status = 'rejected', reviewed_by = $2, review_note = $3, reviewed_at = NOW()
+       WHERE id = $1 AND status = 'pending' AND ($4 OR requested_by = $2)
+       RETURNING *`,
+      [req.params.id, req.admin.id, reason, adminCan(req.admin, 'balances.approve')]
+    )).rows[0]);
+
+    if (!adjustment) {
+      return res.status(400).json({ success: false, message: 'Adjustment not found or not pending' });
+    }
+    res.json({ success: true, message: 'Adjustment rejected', adjustment });
+  } catch (error) {
+    console.error('Admin reject adjustment error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get a user's deposit verification attempts (admin)
+app.get('/api/admin/users/:id/deposit-verifications', adminAuth, requirePermission('users.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'SELECT * FROM deposit_verification_attempts WHERE user_id = $1 ORDER BY created_at DESC LIMIT 100',
+      [id]
+    );
+    res.json({ success: true, attempts: result.rows });
+  } catch (error) {
+    console.error('Admin get deposit verifications error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Reconcile cached balances against the ledger (admin)
+app.get('/api/admin/ledger/reconcile', adminAuth, requirePermission('transactions.read'), async (req, res) => {
+  try {
+    const mismatches = await pool.query(`
+      SELECT u.id, u.username, u.balance, COALESCE(SUM(le.amount), 0) AS ledger_balance
+      FROM users u
+      LEFT JOIN ledger_entries le ON le.user_id = u.id
+      GROUP BY u.id
+      HAVING u.balance <> COALESCE(SUM(le.amount), 0)
+      ORDER BY u.id
+    `);
+    const unbalanced = await pool.query(`
+      SELECT journal_id, SUM(amount) AS total
+      FROM ledger_entries
+      GROUP BY journal_id
+      HAVING SUM(amount) <> 0
+    `);
+
+    res.json({
+      success: true,
+      balanced: mismatches.rows.length === 0 && unbalanced.rows.length === 0,
+      balance_mismatches: mismatches.rows,
+      unbalanced_journals: unbalanced.rows
+    });
+  } catch (error) {
+    console.error('Admin reconcile error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List transactions (admin). Takes the same filters as a user's own history
+// plus username and user_id, and q also matches the username and email.
+app.get('/api/admin/transactions', adminAuth, requirePermission('transactions.read'), async (req, res) => {
+  try {
+    const { query } = req;
+    if (query.user_id !== undefined && !/^\d+$/.test(query.user_id)) {
+      return res.status(400).json({ success: false, message: 'user_id must be a number' });
+    }
+
+    const filters = createListFilters();
+    addTransactionFilters(filters, query, ['u.username', 'u.email']);
+    filters.add('u.username = ?', query.username);
+    filters.add('t.user_id = ?', query.user_id);
+
+    const page = await fetchListPage(query, {
+      select: 't.*, u.username, u.email, cp.username AS counterparty_username',
+      from: `FROM transactions t
+             LEFT JOIN users u ON t.user_id = u.id
+             LEFT JOIN users cp ON cp.id = t.counterparty_user_id`,
+      filters,
+      sortable: TRANSACTION_SORTS,
+      idColumn: 't.id',
+      totals: 'COUNT(*) AS count, COALESCE(SUM(t.amount), 0) AS amount'
+    });
+    res.json({ success: true, transactions: page.items, pagination: page.pagination, totals: page.totals });
+  } catch (error) {
+    if (sendListError(res, error)) {
+      return;
+    }
+    console.error('Admin get transactions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get dashboard stats (admin)
+app.get('/api/admin/stats', adminAuth, requirePermission('operations.read'), async (req, res) => {
+  try {
+    const totalUsers = await pool.query('SELECT COUNT(*) as count FROM users');
+    const activeUsers = await pool.query('SELECT COUNT(*) as count FROM users WHERE is_active = true');
+    const totalDeposits = await pool.query("SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE type = 'deposit' AND status = 'completed'");
+    const totalAirtime = await pool.query("SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE type = 'airtime' AND status = 'completed'");
+    const todayTransactions = await pool.query("SELECT COUNT(*) as count FROM transactions WHERE created_at >= date_trunc('day', NOW() AT TIME ZONE 'Africa/Nairobi') AT TIME ZONE 'Africa/Nairobi'");
+
+    res.json({
+      success: true,
+      stats: {
+        total_users: parseInt(totalUsers.rows[0].count),
+        active_users: parseInt(activeUsers.rows[0].count),
+        total_deposits: parseFloat(totalDeposits.rows[0].total),
+        total_airtime: parseFloat(totalAirtime.rows[0].total),
+        today_transactions: parseInt(todayTransactions.rows[0].count)
+      }
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Analytics (admin). Every report takes interval (day, week or month), from
+// and to (Nairobi dates, inclusive) and network.
+const analyticsRoute = (name, report) => async (req, res) => {
+  try {
+    const options = parseAnalyticsQuery(req.query);
+    res.json({ success: true, ...options, ...(await report(options)) });
+  } catch (error) {
+    if (error.code === 'INVALID_INPUT') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(`Analytics ${name} error:`, error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Deposits, airtime sold, margin and bonus cost per period
+app.get('/api/admin/analytics/revenue', adminAuth, requirePermission('analytics.read'), analyticsRoute('revenue', revenueSeries));
+
+// Sale failure rates per period and provider
+app.get('/api/admin/analytics/provider-failures', adminAuth, requirePermission('analytics.read'), analyticsRoute('provider failures', providerFailureSeries));
+
+// New and active users per period
+app.get('/api/admin/analytics/users', adminAuth, requirePermission('analytics.read'), analyticsRoute('users', userActivitySeries));
+
+// Retention of each sign-up cohort in the range
+app.get('/api/admin/analytics/retention', adminAuth, requirePermission('analytics.read'), analyticsRoute('retention', cohortRetention));
+
+// Send notification to user (admin)
+app.post('/api/admin/notifications', adminAuth, requirePermission('notifications.send'), async (req, res) => {
+  try {
+    const { user_id, title, message } = req.body;
+
+    await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
+         VALUES ($1, $2, $3, $4, NOW(), false) RETURNING id`,
+        [user_id, title, message, 'admin']
+      );
+      await logAdminAction(req, 'notification.send', 'user', user_id, { notification_id: result.rows[0].id, title, message }, client);
+    });
+
+    res.json({ success: true, message: 'Notification sent' });
+  } catch (error) {
+    console.error('Admin notification error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Send notification to all users (admin)
+app.post('/api/admin/notifications/broadcast', adminAuth, requirePermission('notifications.send'), async (req, res) => {
+  try {
+    const { title, message } = req.body;
+
+    const users = await pool.query('SELECT id FROM users');
+    for (const user of users.rows) {
+      await pool.query(
+        `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
+         VALUES ($1, $2, $3, $4, NOW(), false)`,
+        [user.id, title, message, 'admin']
+      );
+    }
+    await logAdminAction(req, 'notification.broadcast', 'notification', null, { title, message, recipients: users.rows.length });
+
+    res.json({ success: true, message: `Notification sent to ${users.rows.length} users` });
+  } catch (error) {
+    console.error('Admin broadcast error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List airtime conversions (admin). Filters: status (comma-separated),
+// network, from, to, phone, reference, username, min_amount, max_amount and
+// q (reference, phone, verification code, username or email). Sort by
+// created_at or amount.
+app.get('/api/admin/conversions', adminAuth, requirePermission('conversions.read'), async (req, res) => {
+  try {
+    const { query } = req;
+    const filters = createListFilters();
+    filters.add(
+      '(ac.reference ILIKE ? OR ac.phone_number ILIKE ? OR ac.verification_code ILIKE ? OR u.username ILIKE ? OR u.email ILIKE ?)',
+      query.q && containsPattern(query.q)
+    );
+    filters.add('ac.status = ANY(?)', listValues(query.status));
+    filters.add('ac.network = ?', query.network);
+    filters.add('ac.created_at >= ?', listDate(query.from, 'from'));
+    filters.add('ac.created_at < ?', listDate(query.to, 'to'));
+    filters.add('ac.phone_number = ?', listPhone(query.phone));
+    filters.add('ac.reference = ?', query.reference);
+    filters.add('u.username = ?', query.username);
+    filters.add('ac.amount >= ?', listAmount(query.min_amount, 'min_amount'));
+    filters.add('ac.amount <= ?', listAmount(query.max_amount, 'max_amount'));
+
+    const page = await fetchListPage(query, {
+      select: 'ac.*, u.username, u.email',
+      from: 'FROM airtime_conversions ac LEFT JOIN users u ON ac.user_id = u.id',
+      filters,
+      sortable: {
+        created_at: { column: 'ac.created_at', type: 'timestamptz' },
+        amount: { column: 'ac.amount', type: 'numeric' }
+      },
+      idColumn: 'ac.id',
+      totals: 'COUNT(*) AS count, COALESCE(SUM(ac.amount), 0) AS amount, COALESCE(SUM(ac.cashback_amount), 0) AS cashback_amount'
+    });
+    res.json({ success: true, conversions: page.items, pagination: page.pagination, totals: page.totals });
+  } catch (error) {
+    if (sendListError(res, error)) {
+      return;
+    }
+    console.error('Admin get conversions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Move a conversion along its workflow (admin)
+app.put('/api/admin/conversions/:id', adminAuth, requirePermission('conversions.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason, payout_method, payout_reference } = req.body;
+
+    const conversion = await transitionConversion(req, id, status, {
+      reason,
+      payoutMethod: payout_method || 'wallet',
+      payoutReference: payout_reference
+    });
+    res.json({ success: true, message: `Conversion ${conversion.status}`, conversion });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.code === 'INVALID_TRANSITION' || error.code === 'INVALID_INPUT') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Admin update conversion error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get where customers send airtime for conversion, per network (admin)
+app.get('/api/admin/conversion-channels', adminAuth, requirePermission('conversions.read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM conversion_channels ORDER BY network');
+    res.json({ success: true, channels: result.rows });
+  } catch (error) {
+    console.error('Admin get conversion channels error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Set the receiving number and dial code for a network (admin)
+app.put('/api/admin/conversion-channels/:network', adminAuth, requirePermission('conversions.manage'), async (req, res) => {
+  try {
+    const { network } = req.params;
+    const { receiving_number, dial_template, whatsapp_number, is_active } = req.body;
+
+    if (!NETWORKS.includes(network)) {
+      return res.status(400).json({ success: false, message: `Network must be one of ${NETWORKS.join(', ')}` });
+    }
+    if (receiving_number !== undefined && !parsePhoneNumber(receiving_number)) {
+      return res.status(400).json({ success: false, message: 'Invalid receiving number' });
+    }
+    if (dial_template !== undefined && !String(dial_template).includes('{amount}')) {
+      return res.status(400).json({ success: false, message: 'dial_template must include {amount}' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM conversion_channels WHERE network = $1', [network]);
+      if (existing.rows.length === 0 && (!receiving_number || !dial_template)) {
+        return null;
+      }
+      const saved = await client.query(
+        `INSERT INTO conversion_channels (network, receiving_number, dial_template, whatsapp_number, is_active, updated_at)
+         VALUES ($1, $2, $3, $4, COALESCE($5, true), NOW())
+         ON CONFLICT (network) DO UPDATE SET
+           receiving_number = COALESCE($2, conversion_channels.receiving_number),
+           dial_template = COALESCE($3, conversion_channels.dial_template),
+           whatsapp_number = CASE WHEN $6 THEN $4 ELSE conversion_channels.whatsapp_number END,
+           is_active = COALESCE($5, conversion_channels.is_active),
+           updated_at = NOW()
+         RETURNING *`,
+        [network, receiving_number, dial_template, whatsapp_number ?? null, is_active, whatsapp_number !== undefined]
+      );
+      await logAdminAction(req, 'conversion_channel.update', 'conversion_channel', network, {
+        before: existing.rows[0] || null,
+        after: saved.rows[0]
+      }, client);
+      return saved.rows[0];
+    });
+
+    if (!result) {
+      return res.status(400).json({ success: false, message: 'receiving_number and dial_template required for a new channel' });
+    }
+    res.json({ success: true, channel: result });
+  } catch (error) {
+    console.error('Admin update conversion channel error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Query the admin audit log (admin). Filters: admin_user_id, actor, action
+// (exact, or a prefix such as "withdrawal." for every withdrawal action),
+// entity_type, entity_id, from and to.
+app.get('/api/admin/audit-log', adminAuth, requirePermission('audit.read'), async (req, res) => {
   try {
-    const { reference } = req.params;
-    const result = await pool.query('SELECT * FROM transactions WHERE reference = $1', [reference]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    const { admin_user_id, actor, action, entity_type, entity_id, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 500);
+
+    const result = await pool.query(
+      `SELECT * FROM admin_audit_log
+       WHERE ($1::integer IS NULL OR admin_user_id = $1)
+         AND ($2::text IS NULL OR actor = $2)
+         AND ($3::text IS NULL OR action = $3 OR (RIGHT($3, 1) = '.' AND action LIKE $3 || '%'))
+         AND ($4::text IS NULL OR entity_type = $4)
+         AND ($5::text IS NULL OR entity_id = $5)
+         AND ($6::timestamptz IS NULL OR created_at >= $6)
+         AND ($7::timestamptz IS NULL OR created_at < $7)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $8`,
+      [admin_user_id || null, actor || null, action || null, entity_type || null, entity_id || null, from || null, to || null, limit]
+    );
+    res.json({ success: true, entries: result.rows });
+  } catch (error) {
+    if (['22P02', '22007', '22008'].includes(error.code)) {
+      return res.status(400).json({ success: false, message: 'Invalid filter value' });
     }
+    console.error('Admin get audit log error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    res.json({ success: true, transaction: result.rows[0] });
+// List admin accounts (superadmin)
+app.get('/api/admin/admins', adminAuth, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, username, email, role, is_active, totp_enabled_at, failed_login_attempts, locked_until, last_login_at, created_at, updated_at
+       FROM admin_users ORDER BY username`
+    );
+    res.json({ success: true, admins: result.rows });
   } catch (error) {
-    console.error('Query status error:', error);
+    console.error('Admin get admins error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// ============== AIRTIME ROUTES ==============
+// Create an admin account (superadmin)
+app.post('/api/admin/admins', adminAuth, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { email, role, password } = req.body;
+    const username = String(req.body.username || '').trim().toLowerCase();
 
-// Check Statum float
-app.get('/api/airtime/float', async (req, res) => {
+    if (!ADMIN_USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({ success: false, message: 'Username must be 3-50 letters, digits, dots, dashes or underscores' });
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of ${ADMIN_ROLES.join(', ')}` });
+    }
+    if (typeof password !== 'string' || password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ success: false, message: `Password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const admin = await auditedRowChange(req, { action: 'admin_user.create', entityType: 'admin_user' }, async (client) => {
+      const result = await client.query(
+        `INSERT INTO admin_users (username, email, password_hash, role, created_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         RETURNING id, username, email, role, is_active, last_login_at, created_at, updated_at`,
+        [username, email || null, passwordHash, role]
+      );
+      return result.rows[0];
+    });
+
+    res.status(201).json({ success: true, admin });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'Username already taken' });
+    }
+    console.error('Admin create admin error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Change an admin's role, email or active flag, reset their password or
+// two-factor, or lift a login lockout (superadmin). Deactivating an admin or
+// resetting their password or two-factor also signs them out everywhere.
+app.put('/api/admin/admins/:id', adminAuth, requirePermission('admins.manage'), async (req, res) => {
   try {
-    const floatData = await checkStatumFloat();
-    res.json({ success: true, float: floatData });
+    const { email, role, is_active, password, reset_two_factor, unlock } = req.body;
+
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of ${ADMIN_ROLES.join(', ')}` });
+    }
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'is_active must be true or false' });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < ADMIN_PASSWORD_MIN_LENGTH)) {
+      return res.status(400).json({ success: false, message: `Password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters` });
+    }
+    // Admins cannot lock themselves out; another superadmin has to do it
+    if (String(req.admin.id) === String(req.params.id) && (is_active === false || (role !== undefined && role !== 'superadmin'))) {
+      return res.status(400).json({ success: false, message: 'You cannot demote or deactivate your own account' });
+    }
+
+    const passwordHash = password !== undefined ? await bcrypt.hash(password, 10) : null;
+    const resetTwoFactor = reset_two_factor === true;
+    const signOut = is_active === false || password !== undefined || resetTwoFactor;
+    let sessionsRevoked = 0;
+    const admin = await auditedRowChange(req, {
+      action: 'admin_user.update',
+      entityType: 'admin_user',
+      entityId: req.params.id,
+      beforeSql: `SELECT id, username, email, role, is_active, totp_enabled_at, locked_until
+                  FROM admin_users WHERE id = $1 FOR UPDATE`,
+      details: { password_reset: password !== undefined }
+    }, async (client) => {
+      const result = await client.query(
+        `UPDATE admin_users SET
+           email = CASE WHEN $2 THEN $3 ELSE email END,
+           role = COALESCE($4, role),
+           is_active = COALESCE($5, is_active),
+           password_hash = COALESCE($6, password_hash),
+           totp_secret = CASE WHEN $7 THEN NULL ELSE totp_secret END,
+           totp_enabled_at = CASE WHEN $7 THEN NULL ELSE totp_enabled_at END,
+           totp_last_step = CASE WHEN $7 THEN NULL ELSE totp_last_step END,
+           failed_login_attempts = CASE WHEN $8 THEN 0 ELSE failed_login_attempts END,
+           locked_until = CASE WHEN $8 THEN NULL ELSE locked_until END,
+           updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, username, email, role, is_active, totp_enabled_at, locked_until`,
+        [req.params.id, email !== undefined, email || null, role ?? null, is_active ?? null, passwordHash,
+          resetTwoFactor, unlock === true || password !== undefined]
+      );
+      if (result.rows.length > 0 && signOut) {
+        sessionsRevoked = await revokeAdminSessions(result.rows[0].id, 'account_changed', { db: client });
+      }
+      return result.rows[0];
+    });
+
+    if (!admin) {
+      return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+    res.json({ success: true, admin, sessions_revoked: sessionsRevoked });
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Failed to check float' });
+    console.error('Admin update admin error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Buy airtime using balance
-app.post('/api/airtime/buy', async (req, res) => {
+// Get the signed-in admin's account and permissions (admin)
+app.get('/api/admin/me', adminAuth, async (req, res) => {
+  const permissions = ADMIN_ROLE_PERMISSIONS[req.admin.role];
+  res.json({ success: true, admin: req.admin, permissions });
+});
+
+// Change the signed-in admin's own password (admin)
+app.put('/api/admin/me/password', adminAuth, async (req, res) => {
   try {
-    const { username, phone_number, amount } = req.body;
+    const { current_password, new_password } = req.body;
+    if (typeof new_password !== 'string' || new_password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ success: false, message: `Password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters` });
+    }
 
-    if (amount < 5) {
-      return res.status(400).json({ success: false, message: 'Minimum airtime purchase is KES 5' });
+    const result = await pool.query('SELECT password_hash FROM admin_users WHERE id = $1', [req.admin.id]);
+    if (!(await bcrypt.compare(String(current_password || ''), result.rows[0].password_hash))) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
     }
 
-    // Get user
-    const userResult = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    const passwordHash = await bcrypt.hash(new_password, 10);
+    // Sign out every other session in case the old password leaked
+    const sessionsRevoked = await withTransaction(async (client) => {
+      await client.query('UPDATE admin_users SET password_hash = $1, updated_at = NOW() WHERE id = $2', [passwordHash, req.admin.id]);
+      const revoked = await revokeAdminSessions(req.admin.id, 'password_changed', { except: req.adminSessionId, db: client });
+      await logAdminAction(req, 'admin_user.change_password', 'admin_user', req.admin.id, { sessions_revoked: revoked }, client);
+      return revoked;
+    });
+    res.json({ success: true, message: 'Password changed', sessions_revoked: sessionsRevoked });
+  } catch (error) {
+    console.error('Admin change password error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Start two-factor enrolment (admin). Resolves a new secret and otpauth URL
+// for the authenticator app; two-factor is only enforced once a code from it
+// is confirmed through /api/admin/me/2fa/enable.
+app.post('/api/admin/me/2fa/setup', adminAuth, async (req, res) => {
+  try {
+    if (req.admin.totp_enabled_at) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
     }
 
-    const user = userResult.rows[0];
+    const secret = generateSecret();
+    await pool.query('UPDATE admin_users SET totp_secret = $1, totp_last_step = NULL, updated_at = NOW() WHERE id = $2', [secret, req.admin.id]);
+    res.json({ success: true, secret, otpauth_url: otpauthUrl(secret, req.admin.username, ADMIN_TOTP_ISSUER) });
+  } catch (error) {
+    console.error('Admin 2FA setup error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Check balance
-    if (parseFloat(user.balance) < amount) {
-      // Store pending purchase request
-      await pool.query(
-        `INSERT INTO pending_purchases (user_id, phone_number, amount, type, created_at) 
-         VALUES ($1, $2, $3, $4, NOW())`,
-        [user.id, phone_number, amount, 'airtime']
+// Confirm enrolment with a code from the authenticator app (admin)
+app.post('/api/admin/me/2fa/enable', adminAuth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT totp_secret, totp_enabled_at FROM admin_users WHERE id = $1', [req.admin.id]);
+    const { totp_secret, totp_enabled_at } = result.rows[0];
+    if (totp_enabled_at) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+    if (!totp_secret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(totp_secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: 'Invalid authenticator code' });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE admin_users SET totp_enabled_at = NOW(), totp_last_step = $1, updated_at = NOW() WHERE id = $2',
+        [step, req.admin.id]
       );
+      await logAdminAction(req, 'admin_user.enable_2fa', 'admin_user', req.admin.id, {
+        before: { two_factor: false },
+        after: { two_factor: true }
+      }, client);
+    });
+    res.json({ success: true, message: 'Two-factor authentication enabled' });
+  } catch (error) {
+    console.error('Admin 2FA enable error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Insufficient balance',
-        balance: user.balance,
-        required: amount,
-        shortfall: amount - parseFloat(user.balance)
-      });
+// Columns of a session shown to admins
+const ADMIN_SESSION_COLUMNS = 'id, admin_user_id, ip_address, user_agent, created_at, last_used_at, expires_at, revoked_at, revoked_reason';
+
+// List the signed-in admin's open sessions (admin)
+app.get('/api/admin/me/sessions', adminAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${ADMIN_SESSION_COLUMNS}, id = $2 AS current FROM admin_sessions
+       WHERE admin_user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.admin.id, req.adminSessionId]
+    );
+    res.json({ success: true, sessions: result.rows });
+  } catch (error) {
+    console.error('Admin get sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Sign out one of the signed-in admin's sessions (admin)
+app.delete('/api/admin/me/sessions/:id', adminAuth, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    const result = await pool.query(
+      `UPDATE admin_sessions SET revoked_at = NOW(), revoked_reason = 'revoked'
+       WHERE id = $1 AND admin_user_id = $2 AND revoked_at IS NULL`,
+      [req.params.id, req.admin.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
     }
+    await logAdminAction(req, 'admin_session.revoke', 'admin_session', req.params.id);
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Admin revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Calculate actual airtime to send (user gets 90%)
-    const airtimeAmount = calculateAirtimeAmount(amount);
-    const reference = `AIR-${uuidv4().substring(0, 8).toUpperCase()}`;
+// Sign the signed-in admin out everywhere, this session included (admin)
+app.delete('/api/admin/me/sessions', adminAuth, async (req, res) => {
+  try {
+    const revoked = await revokeAdminSessions(req.admin.id, 'logout_everywhere');
+    await logAdminAction(req, 'admin_session.revoke_all', 'admin_user', req.admin.id, { sessions_revoked: revoked });
+    res.json({ success: true, message: `Signed out of ${revoked} sessions`, sessions_revoked: revoked });
+  } catch (error) {
+    console.error('Admin revoke all sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Deduct from balance
+// Sign out of this session (admin)
+app.post('/api/admin/logout', adminAuth, async (req, res) => {
+  try {
     await pool.query(
-      'UPDATE users SET balance = balance - $1 WHERE id = $2',
-      [amount, user.id]
+      "UPDATE admin_sessions SET revoked_at = NOW(), revoked_reason = 'logout' WHERE id = $1 AND revoked_at IS NULL",
+      [req.adminSessionId]
     );
+    await logAdminAction(req, 'admin_session.logout', 'admin_session', req.adminSessionId);
+    res.json({ success: true, message: 'Signed out' });
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Create transaction
-    await pool.query(
-      `INSERT INTO transactions (user_id, type, amount, phone_number, reference, status, airtime_sent, created_at) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
-      [user.id, 'airtime', amount, phone_number, reference, 'processing', airtimeAmount]
+// List an admin's recent sessions (superadmin)
+app.get('/api/admin/admins/:id/sessions', adminAuth, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${ADMIN_SESSION_COLUMNS} FROM admin_sessions
+       WHERE admin_user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 100`,
+      [req.params.id]
     );
+    res.json({ success: true, sessions: result.rows });
+  } catch (error) {
+    console.error('Admin get admin sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Send airtime via Statum
-    try {
-      const airtimeResponse = await purchaseAirtime(phone_number, airtimeAmount);
-      
-      // Update transaction
-      await pool.query(
-        'UPDATE transactions SET status = $1, statum_request_id = $2, completed_at = NOW() WHERE reference = $3',
-        ['completed', airtimeResponse.request_id, reference]
-      );
+// Sign an admin out everywhere (superadmin)
+app.delete('/api/admin/admins/:id/sessions', adminAuth, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const revoked = await revokeAdminSessions(req.params.id, 'revoked_by_admin');
+    await logAdminAction(req, 'admin_session.revoke_all', 'admin_user', req.params.id, { sessions_revoked: revoked });
+    res.json({ success: true, message: `Revoked ${revoked} sessions`, sessions_revoked: revoked });
+  } catch (error) {
+    if (error.code === '22P02') {
+      return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+    console.error('Admin revoke admin sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-      // Create notification
-      await pool.query(
-        `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
-         VALUES ($1, $2, $3, $4, NOW(), false)`,
-        [user.id, 'Airtime Sent! 📱', `KES ${airtimeAmount} airtime sent to ${phone_number}`, 'airtime']
-      );
+// Get withdrawals, optionally by status (admin)
+app.get('/api/admin/withdrawals', adminAuth, requirePermission('transactions.read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT t.*, u.username, u.email
+      FROM transactions t
+      LEFT JOIN users u ON t.user_id = u.id
+      WHERE t.type = 'withdrawal' AND ($1::text IS NULL OR t.status = $1)
+      ORDER BY t.created_at DESC
+      LIMIT 200
+    `, [req.query.status || null]);
+    res.json({ success: true, withdrawals: result.rows });
+  } catch (error) {
+    console.error('Admin get withdrawals error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-      res.json({ 
-        success: true, 
-        message: `KES ${airtimeAmount} airtime sent to ${phone_number}`,
-        reference,
-        airtime_sent: airtimeAmount
-      });
-    } catch (airtimeError) {
-      // Refund on failure
-      await pool.query(
-        'UPDATE users SET balance = balance + $1 WHERE id = $2',
-        [amount, user.id]
-      );
-      await pool.query(
-        'UPDATE transactions SET status = $1 WHERE reference = $2',
-        ['failed', reference]
+// Approve a withdrawal above the approval threshold and send it (admin)
+app.post('/api/admin/withdrawals/:id/approve', adminAuth, requirePermission('withdrawals.manage'), async (req, res) => {
+  try {
+    if (!payoutProvider) {
+      return res.status(503).json({ success: false, message: 'No payout provider configured' });
+    }
+
+    const claimed = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE transactions SET status = 'processing', approved_at = NOW()
+         WHERE id = $1 AND type = 'withdrawal' AND status = 'awaiting_approval' RETURNING *`,
+        [req.params.id]
       );
+      if (result.rows.length > 0) {
+        await logAdminAction(req, 'withdrawal.approve', 'transaction', req.params.id, {
+          before: { status: 'awaiting_approval' },
+          after: { status: result.rows[0].status },
+          reference: result.rows[0].reference,
+          amount: result.rows[0].amount
+        }, client);
+      }
+      return result.rows[0] || null;
+    });
+    if (!claimed) {
+      return res.status(400).json({ success: false, message: 'Withdrawal not found or not awaiting approval' });
+    }
+
+    const payout = await sendWithdrawal(claimed);
+    res.json({
+      success: payout.success || Boolean(payout.pending),
+      message: payout.success ? 'Withdrawal approved and sent' : payout.pending ? 'Withdrawal approved; payout unconfirmed' : `Payout failed: ${payout.reason}`,
+      reference: claimed.reference
+    });
+  } catch (error) {
+    console.error('Admin approve withdrawal error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Reject a withdrawal awaiting approval and return the money (admin)
+app.post('/api/admin/withdrawals/:id/reject', adminAuth, requirePermission('withdrawals.manage'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to reject a withdrawal' });
+    }
 
-      res.status(500).json({ success: false, message: 'Airtime purchase failed. Amount refunded.' });
+    const rejected = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE transactions SET status = 'rejected', failure_reason = $1, completed_at = NOW()
+         WHERE id = $2 AND type = 'withdrawal' AND status = 'awaiting_approval' RETURNING *`,
+        [reason, req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await reverseWithdrawal(client, result.rows[0]);
+      await logAdminAction(req, 'withdrawal.reject', 'transaction', req.params.id, {
+        before: { status: 'awaiting_approval' },
+        after: { status: result.rows[0].status },
+        reference: result.rows[0].reference,
+        reason
+      }, client);
+      return result.rows[0];
+    });
+    if (!rejected) {
+      return res.status(400).json({ success: false, message: 'Withdrawal not found or not awaiting approval' });
     }
+
+    res.json({ success: true, message: 'Withdrawal rejected and refunded', reference: rejected.reference });
   } catch (error) {
-    console.error('Buy airtime error:', error);
+    console.error('Admin reject withdrawal error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Direct airtime purchase (with STK push)
-app.post('/api/airtime/direct', async (req, res) => {
+// Settle a withdrawal whose payout result never arrived (admin). Used once
+// the payment has been checked on the M-Pesa portal: outcome 'completed'
+// needs the M-Pesa receipt, 'failed' needs a reason and returns the money.
+app.post('/api/admin/withdrawals/:id/resolve', adminAuth, requirePermission('withdrawals.manage'), async (req, res) => {
   try {
-    const { phone_to_receive, phone_to_pay, amount } = req.body;
+    const { outcome, receipt, reason } = req.body;
+    if (outcome !== 'completed' && outcome !== 'failed') {
+      return res.status(400).json({ success: false, message: 'outcome must be completed or failed' });
+    }
+    if (outcome === 'completed' && !receipt) {
+      return res.status(400).json({ success: false, message: 'The M-Pesa receipt is required to mark a withdrawal completed' });
+    }
+    if (outcome === 'failed' && !reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to mark a withdrawal failed' });
+    }
 
-    if (amount < 5) {
-      return res.status(400).json({ success: false, message: 'Minimum airtime purchase is KES 5' });
+    const resolved = await withTransaction(async (client) => {
+      const result = outcome === 'completed'
+        ? await client.query(
+          `UPDATE transactions SET status = 'completed', mpesa_receipt = $1, failure_reason = NULL, completed_at = NOW()
+           WHERE id = $2 AND type = 'withdrawal' AND status = 'processing' RETURNING *`,
+          [receipt, req.params.id]
+        )
+        : await client.query(
+          `UPDATE transactions SET status = 'failed', failure_reason = $1, completed_at = NOW()
+           WHERE id = $2 AND type = 'withdrawal' AND status = 'processing' RETURNING *`,
+          [reason, req.params.id]
+        );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      const tx = result.rows[0];
+      if (outcome === 'completed') {
+        await client.query(
+          `INSERT INTO notifications (user_id, title, message, type, created_at, is_read)
+           VALUES ($1, $2, $3, $4, NOW(), false)`,
+          [tx.user_id, 'Withdrawal Sent 💸', `KES ${tx.amount} has been sent to ${tx.phone_number} (M-Pesa ${receipt})`, 'withdrawal']
+        );
+        await settleConversionPayout(client, tx);
+      } else {
+        await reverseWithdrawal(client, tx);
+      }
+      await logAdminAction(req, 'withdrawal.resolve', 'transaction', req.params.id, {
+        before: { status: 'processing' },
+        after: { status: tx.status, mpesa_receipt: tx.mpesa_receipt },
+        reference: tx.reference,
+        reason: reason || null
+      }, client);
+      return tx;
+    });
+    if (!resolved) {
+      return res.status(400).json({ success: false, message: 'Withdrawal not found or not processing' });
     }
 
-    const reference = `DAIR-${uuidv4().substring(0, 8).toUpperCase()}`;
-    const airtimeAmount = calculateAirtimeAmount(amount);
+    res.json({
+      success: true,
+      message: outcome === 'completed' ? 'Withdrawal marked completed' : 'Withdrawal marked failed and refunded',
+      reference: resolved.reference
+    });
+  } catch (error) {
+    console.error('Admin resolve withdrawal error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Create transaction
-    await pool.query(
-      `INSERT INTO transactions (type, amount, phone_number, reference, status, airtime_sent, recipient_phone, created_at) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
-      ['direct_airtime', amount, phone_to_pay, reference, 'pending', airtimeAmount, phone_to_receive]
-    );
+// Get referrals, optionally by status (admin)
+app.get('/api/admin/referrals', adminAuth, requirePermission('referrals.read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT r.*, referrer.username AS referrer_username, referee.username AS referee_username
+      FROM referrals r
+      JOIN users referrer ON referrer.id = r.referrer_id
+      JOIN users referee ON referee.id = r.referee_id
+      WHERE ($1::text IS NULL OR r.status = $1)
+      ORDER BY r.created_at DESC
+      LIMIT 200
+    `, [req.query.status || null]);
+    res.json({ success: true, referrals: result.rows });
+  } catch (error) {
+    console.error('Admin get referrals error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Initiate STK Push
-    const stkResponse = await initiatePaynectaStkPush(phone_to_pay, amount, reference);
+// Referral totals, rejections by reason and the top referrers (admin)
+app.get('/api/admin/referrals/report', adminAuth, requirePermission('referrals.read'), async (req, res) => {
+  try {
+    const [totals, rejections, referrers] = await Promise.all([
+      pool.query(`
+        SELECT
+          COUNT(*) AS total,
+          COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+          COUNT(*) FILTER (WHERE status = 'rewarded') AS rewarded,
+          COUNT(*) FILTER (WHERE status = 'rejected') AS rejected,
+          COALESCE(SUM(reward_amount), 0) AS rewards_paid
+        FROM referrals
+      `),
+      pool.query(`
+        SELECT rejection_reason, COUNT(*) AS count
+        FROM referrals
+        WHERE status = 'rejected'
+        GROUP BY rejection_reason
+        ORDER BY count DESC
+      `),
+      pool.query(`
+        SELECT u.id, u.username, COUNT(*) AS referrals,
+               COUNT(*) FILTER (WHERE r.status = 'rewarded') AS rewarded,
+               COUNT(*) FILTER (WHERE r.status = 'rejected') AS rejected,
+               COALESCE(SUM(r.reward_amount), 0) AS earned
+        FROM referrals r
+        JOIN users u ON u.id = r.referrer_id
+        GROUP BY u.id
+        ORDER BY rewarded DESC, referrals DESC
+        LIMIT 50
+      `)
+    ]);
 
-    res.json({ 
-      success: true, 
-      message: 'STK Push sent. Complete payment to receive airtime.',
-      reference,
-      airtime_to_receive: airtimeAmount
+    res.json({
+      success: true,
+      totals: totals.rows[0],
+      rejections: rejections.rows,
+      top_referrers: referrers.rows
     });
   } catch (error) {
-    console.error('Direct airtime error:', error);
-    res.status(500).json({ success: false, message: 'Failed to initiate purchase' });
+    console.error('Admin referral report error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// ============== AIRTIME TO CASH ROUTES ==============
+// List promo codes (admin)
+app.get('/api/admin/promo-codes', adminAuth, requirePermission('promos.read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM promo_codes ORDER BY is_active DESC, created_at DESC');
+    res.json({ success: true, promo_codes: result.rows });
+  } catch (error) {
+    console.error('Admin get promo codes error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-// Initiate airtime to cash conversion
-app.post('/api/airtime-to-cash/initiate', async (req, res) => {
+// Columns an admin may set on a promo code
+const PROMO_CODE_FIELDS = [
+  'code', 'description', 'kind', 'value', 'max_value', 'min_amount', 'max_redemptions',
+  'max_per_user', 'starts_at', 'ends_at', 'is_active'
+];
+
+// Database rejections that mean the promo code itself is invalid
+function promoCodeError(error) {
+  if (error.constraint === 'promo_codes_code_key') {
+    return 'A promo code with that code already exists';
+  }
+  if (error.code === '23514') {
+    return 'Invalid promo code: check kind, value (percent kinds up to 100), caps and dates';
+  }
+  if (['22P02', '22003', '22007', '22008', '22001'].includes(error.code)) {
+    return 'Invalid value in promo code';
+  }
+  return null;
+}
+
+// Create a promo code (admin)
+app.post('/api/admin/promo-codes', adminAuth, requirePermission('promos.manage'), async (req, res) => {
   try {
-    const { username, amount, phone_number } = req.body;
+    if (!req.body.code || !req.body.kind || req.body.value === undefined) {
+      return res.status(400).json({ success: false, message: 'Code, kind and value required' });
+    }
+    const body = { ...req.body, code: String(req.body.code).trim().toUpperCase() };
+    const fields = PROMO_CODE_FIELDS.filter(field => body[field] !== undefined);
+
+    const promo = await auditedRowChange(req, { action: 'promo_code.create', entityType: 'promo_code' }, async (client) => {
+      const result = await client.query(
+        `INSERT INTO promo_codes (${fields.join(', ')})
+         VALUES (${fields.map((field, i) => `$${i + 1}`).join(', ')})
+         RETURNING *`,
+        fields.map(field => body[field])
+      );
+      return result.rows[0];
+    });
 
-    // Get user
-    const userResult = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    res.status(201).json({ success: true, promo_code: promo });
+  } catch (error) {
+    const message = promoCodeError(error);
+    if (message) {
+      return res.status(400).json({ success: false, message });
     }
+    console.error('Admin create promo code error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    const user = userResult.rows[0];
-    const cashback = Math.floor(amount * 0.8); // 80% cashback
-    const reference = `A2C-${uuidv4().substring(0, 8).toUpperCase()}`;
+// Update a promo code (admin)
+app.put('/api/admin/promo-codes/:id', adminAuth, requirePermission('promos.manage'), async (req, res) => {
+  try {
+    const body = req.body.code !== undefined ? { ...req.body, code: String(req.body.code).trim().toUpperCase() } : req.body;
+    const fields = PROMO_CODE_FIELDS.filter(field => body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
 
-    // Create pending conversion
-    await pool.query(
-      `INSERT INTO airtime_conversions (user_id, amount, cashback_amount, phone_number, reference, status, created_at) 
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
-      [user.id, amount, cashback, phone_number, reference, 'pending']
-    );
+    const promo = await auditedRowChange(req, {
+      action: 'promo_code.update',
+      entityType: 'promo_code',
+      entityId: req.params.id,
+      beforeSql: 'SELECT * FROM promo_codes WHERE id = $1 FOR UPDATE'
+    }, async (client) => {
+      const result = await client.query(
+        `UPDATE promo_codes
+         SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id, ...fields.map(field => body[field])]
+      );
+      return result.rows[0];
+    });
 
-    res.json({ 
-      success: true, 
-      message: 'Airtime conversion initiated',
-      reference,
-      amount,
-      cashback,
-      dial_code: `*140*${amount}*0718369524#`,
-      whatsapp_number: '+254718369524'
+    if (!promo) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    res.json({ success: true, promo_code: promo });
+  } catch (error) {
+    const message = promoCodeError(error);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+    console.error('Admin update promo code error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Deactivate a promo code (admin). Codes stay in the table because
+// redemptions refer to them.
+app.delete('/api/admin/promo-codes/:id', adminAuth, requirePermission('promos.manage'), async (req, res) => {
+  try {
+    const promo = await auditedRowChange(req, {
+      action: 'promo_code.deactivate',
+      entityType: 'promo_code',
+      entityId: req.params.id,
+      beforeSql: 'SELECT * FROM promo_codes WHERE id = $1 FOR UPDATE'
+    }, async (client) => {
+      const result = await client.query(
+        'UPDATE promo_codes SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [req.params.id]
+      );
+      return result.rows[0];
     });
+
+    if (!promo) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    res.json({ success: true, promo_code: promo });
   } catch (error) {
-    console.error('Airtime to cash error:', error);
+    console.error('Admin delete promo code error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Verify airtime conversion
-app.post('/api/airtime-to-cash/verify', async (req, res) => {
+// Get the redemptions of a promo code (admin)
+app.get('/api/admin/promo-codes/:id/redemptions', adminAuth, requirePermission('promos.read'), async (req, res) => {
   try {
-    const { reference, verification_code, phone_number } = req.body;
-
-    // Update conversion status
-    await pool.query(
-      'UPDATE airtime_conversions SET status = $1, verification_code = $2, verified_at = NOW() WHERE reference = $3',
-      ['pending_verification', verification_code, reference]
-    );
-
-    res.json({ 
-      success: true, 
-      message: 'Verification submitted. You will receive your cashback within 24 hours.',
-      whatsapp_link: `https://wa.me/254718369524?text=Verification%20for%20${reference}:%20${verification_code}%20from%20${phone_number}`
-    });
+    const result = await pool.query(`
+      SELECT pr.*, u.username, t.reference, t.type AS transaction_type
+      FROM promo_redemptions pr
+      JOIN users u ON u.id = pr.user_id
+      JOIN transactions t ON t.id = pr.transaction_id
+      WHERE pr.promo_code_id = $1
+      ORDER BY pr.created_at DESC
+    `, [req.params.id]);
+    res.json({ success: true, redemptions: result.rows });
   } catch (error) {
-    console.error('Verify conversion error:', error);
-    res.status(500).json({ success: false, message: 'Verification failed' });
+    console.error('Admin get promo redemptions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// ============== TRANSACTION ROUTES ==============
-
-// Get user transactions
-app.get('/api/transactions/:username', async (req, res) => {
+// Get direct airtime and bundle purchases awaiting refund (admin)
+app.get('/api/admin/direct-airtime/refunds', adminAuth, requirePermission('transactions.read'), async (req, res) => {
   try {
-    const { username } = req.params;
-    
-    const userResult = await pool.query('SELECT id FROM users WHERE username = $1', [username]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
-
-    const userId = userResult.rows[0].id;
     const result = await pool.query(
-      'SELECT * FROM transactions WHERE user_id = $1 ORDER BY created_at DESC',
-      [userId]
+      "SELECT * FROM transactions WHERE type = ANY($1) AND status = 'refund_pending' ORDER BY created_at ASC",
+      [DIRECT_PURCHASE_TYPES]
     );
-
     res.json({ success: true, transactions: result.rows });
   } catch (error) {
-    console.error('Get transactions error:', error);
+    console.error('Admin get refunds error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Download transactions as PDF
-app.get('/api/transactions/:username/pdf', async (req, res) => {
+// Retry delivery for a failed direct purchase (admin)
+app.post('/api/admin/direct-airtime/:id/retry', adminAuth, requirePermission('refunds.manage'), async (req, res) => {
   try {
-    const { username } = req.params;
-    
-    const userResult = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
+    const { id } = req.params;
 
-    const user = userResult.rows[0];
+    // Claim the transaction so two retries cannot both deliver
     const txResult = await pool.query(
-      'SELECT * FROM transactions WHERE user_id = $1 ORDER BY created_at DESC',
-      [user.id]
+      `UPDATE transactions SET status = 'processing'
+       WHERE id = $1 AND type = ANY($2) AND status = 'refund_pending' RETURNING *`,
+      [id, DIRECT_PURCHASE_TYPES]
     );
+    if (txResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'No refund-pending direct purchase found' });
+    }
 
-    const doc = new PDFDocument({ margin: 50 });
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=transactions-${username}.pdf`);
-    doc.pipe(res);
+    const delivery = await deliverDirectPurchase(txResult.rows[0]);
+    await logAdminAction(req, 'direct_purchase.retry', 'transaction', id, {
+      before: { status: 'refund_pending' },
+      after: { status: delivery.success ? 'completed' : delivery.pending ? 'processing' : 'refund_pending' },
+      provider: delivery.provider || null,
+      failure_reason: delivery.success ? null : delivery.reason
+    });
+    if (!delivery.success) {
+      return res.status(502).json({ success: false, message: `Delivery failed: ${delivery.reason}` });
+    }
 
-    // Header
-    doc.fontSize(20).text('Airtime Solution Kenya 🇰🇪', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(14).text(`Transaction History for ${username}`, { align: 'center' });
-    doc.fontSize(10).text(`Generated: ${new Date().toLocaleString()}`, { align: 'center' });
-    doc.moveDown(2);
+    res.json({ success: true, message: 'Purchase delivered', provider: delivery.provider, provider_request_id: delivery.request_id });
+  } catch (error) {
+    console.error('Admin retry direct airtime error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Table headers
-    doc.fontSize(10).font('Helvetica-Bold');
-    doc.text('Date', 50, doc.y, { continued: true, width: 100 });
-    doc.text('Type', 150, doc.y, { continued: true, width: 80 });
-    doc.text('Amount', 230, doc.y, { continued: true, width: 60 });
-    doc.text('Phone', 290, doc.y, { continued: true, width: 100 });
-    doc.text('Status', 390, doc.y, { continued: true, width: 80 });
-    doc.text('Reference', 470, doc.y);
-    doc.moveDown();
+// Mark a failed direct purchase as refunded to the payer (admin)
+app.put('/api/admin/direct-airtime/:id/refund', adminAuth, requirePermission('refunds.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { refund_reference } = req.body;
 
-    doc.font('Helvetica');
-    txResult.rows.forEach(tx => {
-      const date = new Date(tx.created_at).toLocaleDateString();
-      doc.text(date, 50, doc.y, { continued: true, width: 100 });
-      doc.text(tx.type, 150, doc.y, { continued: true, width: 80 });
-      doc.text(`KES ${tx.amount}`, 230, doc.y, { continued: true, width: 60 });
-      doc.text(tx.phone_number || '-', 290, doc.y, { continued: true, width: 100 });
-      doc.text(tx.status, 390, doc.y, { continued: true, width: 80 });
-      doc.text(tx.reference || '-', 470, doc.y);
-      doc.moveDown(0.5);
+    const refunded = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE transactions SET status = 'refunded', refund_reference = $1, completed_at = NOW()
+         WHERE id = $2 AND type = ANY($3) AND status = 'refund_pending' RETURNING *`,
+        [refund_reference, id, DIRECT_PURCHASE_TYPES]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await logAdminAction(req, 'direct_purchase.refund', 'transaction', id, {
+        before: { status: 'refund_pending' },
+        after: { status: 'refunded', refund_reference: refund_reference || null }
+      }, client);
+      return result.rows[0];
     });
+    if (!refunded) {
+      return res.status(404).json({ success: false, message: 'No refund-pending direct purchase found' });
+    }
 
-    doc.end();
+    res.json({ success: true, message: 'Purchase marked as refunded', transaction: refunded });
   } catch (error) {
-    console.error('Generate PDF error:', error);
-    res.status(500).json({ success: false, message: 'Failed to generate PDF' });
+    console.error('Admin refund direct airtime error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// ============== NOTIFICATION ROUTES ==============
-
-// Get user notifications
-app.get('/api/notifications/:username', async (req, res) => {
+// Get provider callback log (admin)
+app.get('/api/admin/callbacks', adminAuth, requirePermission('operations.read'), async (req, res) => {
   try {
-    const { username } = req.params;
-    
-    const userResult = await pool.query('SELECT id FROM users WHERE username = $1', [username]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
-
-    const userId = userResult.rows[0].id;
+    const { provider, status } = req.query;
     const result = await pool.query(
-      'SELECT * FROM notifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50',
-      [userId]
+      `SELECT * FROM callback_logs
+       WHERE ($1::text IS NULL OR provider = $1) AND ($2::text IS NULL OR status = $2)
+       ORDER BY received_at DESC
+       LIMIT 200`,
+      [provider || null, status || null]
     );
+    res.json({ success: true, callbacks: result.rows });
+  } catch (error) {
+    console.error('Admin get callbacks error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    res.json({ success: true, notifications: result.rows });
+// Get airtime provider health and float (admin)
+app.get('/api/admin/airtime/providers', adminAuth, requirePermission('operations.read'), async (req, res) => {
+  try {
+    res.json({ success: true, providers: await airtimeRouter.status() });
   } catch (error) {
-    console.error('Get notifications error:', error);
+    console.error('Admin get providers error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Mark notification as read
-app.put('/api/notifications/:id/read', async (req, res) => {
+// Get tracked airtime float per provider (admin)
+app.get('/api/admin/float', adminAuth, requirePermission('operations.read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    await pool.query('UPDATE notifications SET is_read = true WHERE id = $1', [id]);
-    res.json({ success: true });
+    const result = await pool.query('SELECT * FROM provider_floats ORDER BY provider');
+    res.json({ success: true, floats: result.rows });
   } catch (error) {
-    console.error('Mark read error:', error);
-    res.status(500).json({ success: false });
+    console.error('Admin get float error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// ============== ADMIN ROUTES ==============
+// Set a provider's float amount, thresholds or availability (admin)
+app.put('/api/admin/float/:provider', adminAuth, requirePermission('float.manage'), async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { float_amount, low_threshold, block_threshold, available } = req.body;
 
-// Admin login
-app.post('/api/admin/login', (req, res) => {
-  const { password } = req.body;
-  
-  if (password === ADMIN_PASSWORD) {
-    const token = jwt.sign({ role: 'admin' }, JWT_SECRET, { expiresIn: '24h' });
-    res.json({ success: true, token });
-  } else {
-    res.status(401).json({ success: false, message: 'Invalid password' });
+    if (!airtimeProviders[provider]) {
+      return res.status(404).json({ success: false, message: 'Unknown provider' });
+    }
+    for (const value of [float_amount, low_threshold, block_threshold]) {
+      if (value !== undefined && value !== null && (isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+        return res.status(400).json({ success: false, message: 'Float amounts must be non-negative numbers' });
+      }
+    }
+
+    // Recording a new float amount also re-arms the low-float alert
+    let previous = null;
+    const float = await auditedRowChange(req, {
+      action: 'float.update',
+      entityType: 'provider_float',
+      entityId: provider,
+      beforeSql: 'SELECT * FROM provider_floats WHERE provider = $1 FOR UPDATE'
+    }, async (client) => {
+      previous = await getProviderFloat(provider, client);
+      return (await client.query(
+        `INSERT INTO provider_floats (provider, available, float_amount, low_threshold, block_threshold, updated_at)
+         VALUES ($1, COALESCE($2, true), $3, COALESCE($4, 1000), COALESCE($5, 0), NOW())
+         ON CONFLICT (provider) DO UPDATE SET
+           available = COALESCE($2, provider_floats.available),
+           float_amount = CASE WHEN $6 THEN $3 ELSE provider_floats.float_amount END,
+           low_threshold = COALESCE($4, provider_floats.low_threshold),
+           block_threshold = COALESCE($5, provider_floats.block_threshold),
+           last_alert_at = CASE WHEN $6 THEN NULL ELSE provider_floats.last_alert_at END,
+           updated_at = NOW()
+         RETURNING *`,
+        [provider, available, float_amount ?? null, low_threshold, block_threshold, float_amount !== undefined]
+      )).rows[0];
+    });
+
+    // Send what was queued for float in the background, and only when this
+    // update made room for it
+    const headroom = (state) => state.float_amount === null ? Infinity : parseFloat(state.float_amount) - parseFloat(state.block_threshold);
+    const released = float.available && (!previous || !previous.available || headroom(float) > headroom(previous));
+    if (released) {
+      processFloatQueue().catch(error => console.error('Float queue error:', error));
+    }
+    res.json({ success: true, float, processing_queue: released });
+  } catch (error) {
+    if (error.code === '23514') {
+      return res.status(400).json({ success: false, message: 'Low threshold must be at least the block threshold' });
+    }
+    console.error('Admin update float error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Admin middleware
-const adminAuth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({ success: false, message: 'No token provided' });
+// Get admin alerts (admin)
+app.get('/api/admin/alerts', adminAuth, requirePermission('operations.read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM admin_alerts
+       WHERE ($1::boolean IS NOT TRUE OR acknowledged_at IS NULL)
+       ORDER BY created_at DESC
+       LIMIT 100`,
+      [req.query.unacknowledged === 'true']
+    );
+    res.json({ success: true, alerts: result.rows });
+  } catch (error) {
+    console.error('Admin get alerts error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
+});
 
+// Acknowledge an admin alert (admin)
+app.put('/api/admin/alerts/:id/acknowledge', adminAuth, requirePermission('alerts.acknowledge'), async (req, res) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Not authorized' });
-    }
-    next();
+    await auditedRowChange(req, {
+      action: 'alert.acknowledge',
+      entityType: 'admin_alert',
+      entityId: req.params.id,
+      beforeSql: 'SELECT * FROM admin_alerts WHERE id = $1 FOR UPDATE'
+    }, async (client) => (await client.query(
+      'UPDATE admin_alerts SET acknowledged_at = NOW() WHERE id = $1 AND acknowledged_at IS NULL RETURNING *',
+      [req.params.id]
+    )).rows[0]);
+    res.json({ success: true });
   } catch (error) {
-    res.status(401).json({ success: false, message: 'Invalid token' });
+    console.error('Admin acknowledge alert error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
-};
+});
 
-// Get all users (admin)
-app.get('/api/admin/users', adminAuth, async (req, res) => {
+// Get recent reconciler runs and what they changed (admin)
+app.get('/api/admin/reconciler/runs', adminAuth, requirePermission('operations.read'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM users ORDER BY created_at DESC');
-    res.json({ success: true, users: result.rows });
+    const result = await pool.query('SELECT * FROM reconciliation_runs ORDER BY started_at DESC LIMIT 50');
+    res.json({ success: true, runs: result.rows });
   } catch (error) {
-    console.error('Admin get users error:', error);
+    console.error('Admin get reconciler runs error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Update user status (admin)
-app.put('/api/admin/users/:id/status', adminAuth, async (req, res) => {
+// Run the reconciler now (admin)
+app.post('/api/admin/reconciler/run', adminAuth, requirePermission('reconciler.run'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { is_active } = req.body;
+    const report = await runReconciler('admin');
+    if (!report) {
+      return res.status(409).json({ success: false, message: 'Reconciler is already running' });
+    }
+    await logAdminAction(req, 'reconciler.run', 'reconciliation_run', report.id, {
+      checked: report.checked,
+      changes: report.changes.length,
+      needs_review: report.needs_review.length
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Admin run reconciler error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    await pool.query('UPDATE users SET is_active = $1 WHERE id = $2', [is_active, id]);
-    res.json({ success: true, message: `User ${is_active ? 'activated' : 'deactivated'}` });
+// List pricing rules (admin)
+app.get('/api/admin/pricing-rules', adminAuth, requirePermission('catalogue.read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM pricing_rules
+       WHERE ($1::text IS NULL OR kind = $1)
+       ORDER BY kind, is_active DESC, priority DESC, id DESC`,
+      [req.query.kind || null]
+    );
+    res.json({ success: true, rules: result.rows });
   } catch (error) {
-    console.error('Admin update status error:', error);
+    console.error('Admin get pricing rules error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Update user balance (admin)
-app.put('/api/admin/users/:id/balance', adminAuth, async (req, res) => {
+// Columns an admin may set on a pricing rule
+const PRICING_RULE_FIELDS = [
+  'name', 'kind', 'network', 'user_segment', 'min_amount', 'max_amount', 'bonus_fixed',
+  'bonus_percent', 'rate', 'priority', 'starts_at', 'ends_at', 'is_active'
+];
+
+// Database rejections that mean the rule itself is invalid
+function pricingRuleError(error) {
+  if (error.code === '23514') {
+    return 'Invalid rule: check kind, amount range, dates and that the bonus or rate is set';
+  }
+  if (['22P02', '22003', '22007', '22008'].includes(error.code)) {
+    return 'Invalid value in rule';
+  }
+  return null;
+}
+
+// Create a pricing rule (admin)
+app.post('/api/admin/pricing-rules', adminAuth, requirePermission('pricing.manage'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { balance } = req.body;
+    const fields = PRICING_RULE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (req.body.network && !NETWORKS.includes(req.body.network)) {
+      return res.status(400).json({ success: false, message: `Network must be one of ${NETWORKS.join(', ')}` });
+    }
+    if (!req.body.name || !req.body.kind) {
+      return res.status(400).json({ success: false, message: 'Name and kind required' });
+    }
 
-    await pool.query('UPDATE users SET balance = $1 WHERE id = $2', [balance, id]);
-    res.json({ success: true, message: 'Balance updated' });
+    const rule = await auditedRowChange(req, { action: 'pricing_rule.create', entityType: 'pricing_rule' }, async (client) => (await client.query(
+      `INSERT INTO pricing_rules (${fields.join(', ')})
+       VALUES (${fields.map((field, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+      fields.map(field => req.body[field])
+    )).rows[0]);
+
+    clearPricingCache();
+    res.status(201).json({ success: true, rule });
   } catch (error) {
-    console.error('Admin update balance error:', error);
+    const message = pricingRuleError(error);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+    console.error('Admin create pricing rule error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Get all transactions (admin)
-app.get('/api/admin/transactions', adminAuth, async (req, res) => {
+// Update a pricing rule (admin)
+app.put('/api/admin/pricing-rules/:id', adminAuth, requirePermission('pricing.manage'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT t.*, u.username, u.email 
-      FROM transactions t 
-      LEFT JOIN users u ON t.user_id = u.id 
-      ORDER BY t.created_at DESC
-    `);
-    res.json({ success: true, transactions: result.rows });
+    const fields = PRICING_RULE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
+    if (req.body.network && !NETWORKS.includes(req.body.network)) {
+      return res.status(400).json({ success: false, message: `Network must be one of ${NETWORKS.join(', ')}` });
+    }
+
+    const rule = await auditedRowChange(req, {
+      action: 'pricing_rule.update',
+      entityType: 'pricing_rule',
+      entityId: req.params.id,
+      beforeSql: 'SELECT * FROM pricing_rules WHERE id = $1 FOR UPDATE'
+    }, async (client) => (await client.query(
+      `UPDATE pricing_rules
+       SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id, ...fields.map(field => req.body[field])]
+    )).rows[0]);
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+
+    clearPricingCache();
+    res.json({ success: true, rule });
   } catch (error) {
-    console.error('Admin get transactions error:', error);
+    const message = pricingRuleError(error);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+    console.error('Admin update pricing rule error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Get dashboard stats (admin)
-app.get('/api/admin/stats', adminAuth, async (req, res) => {
+// Deactivate a pricing rule (admin). Rules stay in the table because
+// transactions refer to them.
+app.delete('/api/admin/pricing-rules/:id', adminAuth, requirePermission('pricing.manage'), async (req, res) => {
   try {
-    const totalUsers = await pool.query('SELECT COUNT(*) as count FROM users');
-    const activeUsers = await pool.query('SELECT COUNT(*) as count FROM users WHERE is_active = true');
-    const totalDeposits = await pool.query("SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE type = 'deposit' AND status = 'completed'");
-    const totalAirtime = await pool.query("SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE type = 'airtime' AND status = 'completed'");
-    const todayTransactions = await pool.query("SELECT COUNT(*) as count FROM transactions WHERE DATE(created_at) = CURRENT_DATE");
+    const rule = await auditedRowChange(req, {
+      action: 'pricing_rule.deactivate',
+      entityType: 'pricing_rule',
+      entityId: req.params.id,
+      beforeSql: 'SELECT * FROM pricing_rules WHERE id = $1 FOR UPDATE'
+    }, async (client) => (await client.query(
+      'UPDATE pricing_rules SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [req.params.id]
+    )).rows[0]);
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
 
-    res.json({
-      success: true,
-      stats: {
-        total_users: parseInt(totalUsers.rows[0].count),
-        active_users: parseInt(activeUsers.rows[0].count),
-        total_deposits: parseFloat(totalDeposits.rows[0].total),
-        total_airtime: parseFloat(totalAirtime.rows[0].total),
-        today_transactions: parseInt(todayTransactions.rows[0].count)
-      }
-    });
+    clearPricingCache();
+    res.json({ success: true, rule });
   } catch (error) {
-    console.error('Admin stats error:', error);
+    console.error('Admin delete pricing rule error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Send notification to user (admin)
-app.post('/api/admin/notifications', adminAuth, async (req, res) => {
+// Set a user's pricing segment (admin)
+app.put('/api/admin/users/:id/segment', adminAuth, requirePermission('pricing.manage'), async (req, res) => {
   try {
-    const { user_id, title, message } = req.body;
+    const { segment } = req.body;
+    if (!segment || typeof segment !== 'string' || segment.length > 30) {
+      return res.status(400).json({ success: false, message: 'Valid segment required' });
+    }
 
-    await pool.query(
-      `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
-       VALUES ($1, $2, $3, $4, NOW(), false)`,
-      [user_id, title, message, 'admin']
-    );
+    const user = await auditedRowChange(req, {
+      action: 'user.segment',
+      entityType: 'user',
+      entityId: req.params.id,
+      beforeSql: 'SELECT id, username, segment FROM users WHERE id = $1 FOR UPDATE'
+    }, async (client) => (await client.query(
+      'UPDATE users SET segment = $1 WHERE id = $2 RETURNING id, username, segment',
+      [segment, req.params.id]
+    )).rows[0]);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
 
-    res.json({ success: true, message: 'Notification sent' });
+    res.json({ success: true, user });
   } catch (error) {
-    console.error('Admin notification error:', error);
+    console.error('Admin update segment error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Send notification to all users (admin)
-app.post('/api/admin/notifications/broadcast', adminAuth, async (req, res) => {
+// List the bundle catalogue, including inactive bundles (admin)
+app.get('/api/admin/bundles', adminAuth, requirePermission('catalogue.read'), async (req, res) => {
   try {
-    const { title, message } = req.body;
+    const result = await pool.query('SELECT * FROM bundles ORDER BY network, category, sort_order, price');
+    res.json({ success: true, bundles: result.rows });
+  } catch (error) {
+    console.error('Admin get bundles error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    const users = await pool.query('SELECT id FROM users');
-    for (const user of users.rows) {
-      await pool.query(
-        `INSERT INTO notifications (user_id, title, message, type, created_at, is_read) 
-         VALUES ($1, $2, $3, $4, NOW(), false)`,
-        [user.id, title, message, 'admin']
-      );
-    }
+// Columns an admin may set on a bundle
+const BUNDLE_FIELDS = [
+  'network', 'category', 'name', 'product_code', 'price', 'data_mb', 'sms_count',
+  'validity_hours', 'sort_order', 'is_active'
+];
 
-    res.json({ success: true, message: `Notification sent to ${users.rows.length} users` });
+// Columns a new bundle must have; the size column depends on the category
+const BUNDLE_REQUIRED_FIELDS = ['network', 'category', 'name', 'product_code', 'price', 'validity_hours'];
+
+// Database rejections that mean the bundle itself is invalid
+function bundleError(error) {
+  if (error.code === '23505') {
+    return 'A bundle with this product code already exists on that network';
+  }
+  if (error.code === '23514' || error.code === '23502') {
+    return 'Invalid bundle: check network, category, price, validity and the data or SMS size';
+  }
+  if (['22P02', '22003'].includes(error.code)) {
+    return 'Invalid value in bundle';
+  }
+  return null;
+}
+
+// Add a bundle to the catalogue (admin)
+app.post('/api/admin/bundles', adminAuth, requirePermission('catalogue.manage'), async (req, res) => {
+  try {
+    const missing = BUNDLE_REQUIRED_FIELDS.filter(field => req.body[field] === undefined || req.body[field] === null || req.body[field] === '');
+    if (missing.length > 0) {
+      return res.status(400).json({ success: false, message: `${missing.join(', ')} required` });
+    }
+    const fields = BUNDLE_FIELDS.filter(field => req.body[field] !== undefined);
+    const bundle = await auditedRowChange(req, { action: 'bundle.create', entityType: 'bundle' }, async (client) => (await client.query(
+      `INSERT INTO bundles (${fields.join(', ')})
+       VALUES (${fields.map((field, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+      fields.map(field => req.body[field])
+    )).rows[0]);
+    res.status(201).json({ success: true, bundle });
   } catch (error) {
-    console.error('Admin broadcast error:', error);
+    const message = bundleError(error);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+    console.error('Admin create bundle error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Get airtime conversions (admin)
-app.get('/api/admin/conversions', adminAuth, async (req, res) => {
+// Update a bundle (admin)
+app.put('/api/admin/bundles/:id', adminAuth, requirePermission('catalogue.manage'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT ac.*, u.username, u.email 
-      FROM airtime_conversions ac 
-      LEFT JOIN users u ON ac.user_id = u.id 
-      ORDER BY ac.created_at DESC
-    `);
-    res.json({ success: true, conversions: result.rows });
+    const fields = BUNDLE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
+
+    const bundle = await auditedRowChange(req, {
+      action: 'bundle.update',
+      entityType: 'bundle',
+      entityId: req.params.id,
+      beforeSql: 'SELECT * FROM bundles WHERE id = $1 FOR UPDATE'
+    }, async (client) => (await client.query(
+      `UPDATE bundles
+       SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id, ...fields.map(field => req.body[field])]
+    )).rows[0]);
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
+
+    res.json({ success: true, bundle });
   } catch (error) {
-    console.error('Admin get conversions error:', error);
+    const message = bundleError(error);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+    console.error('Admin update bundle error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Update conversion status (admin)
-app.put('/api/admin/conversions/:id', adminAuth, async (req, res) => {
+// Withdraw a bundle from sale (admin). Bundles stay in the table because
+// transactions refer to them.
+app.delete('/api/admin/bundles/:id', adminAuth, requirePermission('catalogue.manage'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    const bundle = await auditedRowChange(req, {
+      action: 'bundle.deactivate',
+      entityType: 'bundle',
+      entityId: req.params.id,
+      beforeSql: 'SELECT * FROM bundles WHERE id = $1 FOR UPDATE'
+    }, async (client) => (await client.query(
+      'UPDATE bundles SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [req.params.id]
+    )).rows[0]);
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
 
-    await pool.query('UPDATE airtime_conversions SET status = $1, completed_at = NOW() WHERE id = $2', [status, id]);
-    res.json({ success: true, message: 'Conversion updated' });
+    res.json({ success: true, bundle });
   } catch (error) {
-    console.error('Admin update conversion error:', error);
+    console.error('Admin delete bundle error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -953,27 +7090,68 @@ app.put('/api/admin/conversions/:id', adminAuth, async (req, res) => {
 // ============== STATUM CALLBACK ==============
 
 app.post('/api/statum/callback', async (req, res) => {
-  try {
-    console.log('Statum Callback:', req.body);
-    const { request_id, result_code, result_desc } = req.body;
+  console.log('Statum Callback:', req.body);
+  const result = airtimeProviders.statum.parseCallback(req.body);
+
+  await handleProviderCallback(req, res, {
+    provider: 'statum',
+    idempotencyKey: `${result.request_id}:${req.body.result_code}`,
+    source: STATUM_CALLBACK_SOURCE,
+    requireVerification: true,
+    settle: () => settleAirtimeResult('statum', result.request_id, result.delivered, result.description)
+  });
+});
 
-    if (result_code === '200') {
-      await pool.query(
-        'UPDATE transactions SET status = $1 WHERE statum_request_id = $2',
-        ['completed', request_id]
-      );
-    } else {
+// ============== AFRICA'S TALKING CALLBACK ==============
+
+app.post('/api/africastalking/callback', async (req, res) => {
+  console.log('Africa\'s Talking Callback:', req.body);
+  const result = airtimeProviders.africastalking.parseCallback(req.body);
+
+  await handleProviderCallback(req, res, {
+    provider: 'africastalking',
+    idempotencyKey: `${result.request_id}:${req.body.status}`,
+    source: AFRICASTALKING_CALLBACK_SOURCE,
+    requireVerification: true,
+    settle: () => settleAirtimeResult('africastalking', result.request_id, result.delivered, result.description)
+  });
+});
+
+// ============== M-PESA B2C CALLBACKS ==============
+
+app.post('/api/mpesa/b2c/result', async (req, res) => {
+  console.log('M-Pesa B2C Result:', JSON.stringify(req.body));
+  const result = payoutProviders.daraja.parseCallback(req.body);
+
+  await handleProviderCallback(req, res, {
+    provider: 'daraja',
+    idempotencyKey: `${result.request_id}:${req.body.Result?.ResultCode}`,
+    source: MPESA_B2C_CALLBACK_SOURCE,
+    requireVerification: true,
+    settle: () => settleWithdrawalResult('daraja', result.request_id, result)
+  });
+});
+
+// Safaricom gave up waiting on the payout. It may still have gone through,
+// so the withdrawal stays processing; the reconciler flags it for review and
+// an admin resolves it once the payment is checked.
+app.post('/api/mpesa/b2c/timeout', async (req, res) => {
+  console.log('M-Pesa B2C Timeout:', JSON.stringify(req.body));
+  const requestId = req.body.Result?.ConversationID;
+
+  await handleProviderCallback(req, res, {
+    provider: 'daraja',
+    idempotencyKey: `${requestId}:timeout`,
+    source: MPESA_B2C_CALLBACK_SOURCE,
+    requireVerification: true,
+    settle: async () => {
       await pool.query(
-        'UPDATE transactions SET status = $1 WHERE statum_request_id = $2',
-        ['failed', request_id]
+        "UPDATE transactions SET failure_reason = $1 WHERE payout_provider = 'daraja' AND payout_request_id = $2 AND status = 'processing'",
+        ['Unconfirmed: M-Pesa B2C queue timeout', requestId]
       );
+      return 'timeout';
     }
-
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Statum callback error:', error);
-    res.status(500).json({ success: false });
-  }
+  });
 });
 
 // ============== HEALTH CHECK ==============
@@ -994,4 +7172,8 @@ app.get('/login', (req, res) => {
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🇰🇪 Airtime Solution Kenya server running on port ${PORT}`);
+  bootstrapAdmin().catch(error => console.error('Admin bootstrap error:', error));
+  startReconciler();
+  startBulkAirtimeWorker();
+  startScheduler();
 });
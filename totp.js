@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) for admin two-factor login
+//
+// Secrets are 20 random bytes shared with the admin's authenticator app as
+// base32. Codes are six digits over 30-second steps, HMAC-SHA1, which is what
+// Google Authenticator, Authy and 1Password expect. A code is accepted one
+// step either side of the server clock to allow for drift; callers pass the
+// last step they accepted so a code cannot be used twice.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = '';
+  for (const char of String(input).toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// New base32 secret for an authenticator app
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// otpauth:// URI that authenticator apps import, usually shown as a QR code
+function otpauthUrl(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+function codeForStep(key, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Step the code was generated in, or null when it does not match. Steps at or
+// before lastStep are refused so an intercepted code cannot be replayed.
+function verifyTotp(secret, code, { lastStep = null, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (lastStep !== null && step <= Number(lastStep)) {
+      continue;
+    }
+    const expected = codeForStep(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  generateSecret,
+  otpauthUrl,
+  verifyTotp
+};